@@ -52,7 +52,10 @@ class ScrabbleAPI {
                     config: config,
                     errorData: errorData
                 });
-                throw new Error(errorMessage);
+                const apiError = new Error(errorMessage);
+                apiError.status = response.status;
+                apiError.data = errorData;
+                throw apiError;
             }
 
             return JSON.parse(text);
@@ -159,10 +162,10 @@ class ScrabbleAPI {
     }
 
     // Game API methods
-    async createGame(playerNames) {
+    async createGame(playerNames, options = {}) {
         const data = await this.request('/games', {
             method: 'POST',
-            body: JSON.stringify({ playerNames })
+            body: JSON.stringify({ playerNames, ...options })
         });
 
         // Cache the created game
@@ -182,6 +185,13 @@ class ScrabbleAPI {
         return data;
     }
 
+    // The standard rules (letter values, tiles, board and bingo bonus), kept for offline use
+    async getStandardRuleset() {
+        const data = await this.request('/rulesets/standard');
+        this.cacheData('/rulesets/standard', data);
+        return data;
+    }
+
     async searchPlayers(query, limit = 15) {
         const params = new URLSearchParams();
         if (query) params.set('query', query);
@@ -190,6 +200,44 @@ class ScrabbleAPI {
         return await this.request(`/players?${params.toString()}`);
     }
 
+    async getPlayerProfile(playerId) {
+        return await this.request(`/players/${playerId}`);
+    }
+
+    async getHeadToHead(playerId, otherId) {
+        return await this.request(`/players/${playerId}/vs/${otherId}`);
+    }
+
+    async getAllPlayers() {
+        return await this.request('/players?includeArchived=true');
+    }
+
+    async renamePlayer(playerId, name) {
+        return await this.request(`/players/${playerId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ name })
+        });
+    }
+
+    async mergePlayers(playerId, intoId) {
+        const data = await this.request(`/players/${playerId}/merge`, {
+            method: 'POST',
+            body: JSON.stringify({ intoId })
+        });
+
+        // Cached games may name the merged player
+        localStorage.removeItem('scrabble_cache__games');
+
+        return data;
+    }
+
+    async setPlayerArchived(playerId, archived) {
+        return await this.request(`/players/${playerId}/archive`, {
+            method: 'PUT',
+            body: JSON.stringify({ archived })
+        });
+    }
+
     async submitTurn(gameId, turnData) {
         const data = await this.request(`/games/${gameId}/turns`, {
             method: 'POST',
@@ -203,6 +251,32 @@ class ScrabbleAPI {
         return data;
     }
 
+    async submitPass(gameId, playerId) {
+        return await this.submitTurn(gameId, { playerId, direction: 'pass' });
+    }
+
+    async submitExchange(gameId, playerId, tilesExchanged) {
+        return await this.submitTurn(gameId, { playerId, direction: 'exchange', tilesExchanged });
+    }
+
+    async challengeTurn(gameId, challengerId, turnId = null) {
+        const payload = { challengerId };
+        if (turnId) {
+            payload.turnId = turnId;
+        }
+
+        const data = await this.request(`/games/${gameId}/challenge`, {
+            method: 'POST',
+            body: JSON.stringify(payload)
+        });
+
+        // Invalidate game cache since the turn list has changed
+        const cacheKey = `scrabble_cache__games_${gameId}`;
+        localStorage.removeItem(cacheKey);
+
+        return data;
+    }
+
     async updateGameStatus(gameId, status, winnerId = null) {
         const payload = { status };
         if (winnerId) {
@@ -224,6 +298,18 @@ class ScrabbleAPI {
         return await this.updateGameStatus(gameId, 'finished', winnerId);
     }
 
+    // Settle leftover racks and finish the game in one request.
+    // wentOutPlayerId is the player who used all their tiles, or 'none'.
+    async settleGame(gameId, wentOutPlayerId, racks) {
+        const data = await this.request(`/games/${gameId}/finish`, {
+            method: 'POST',
+            body: JSON.stringify({ wentOutPlayerId, racks })
+        });
+
+        localStorage.removeItem(`scrabble_cache__games_${gameId}`);
+        return data;
+    }
+
     async deleteGame(gameId) {
         const data = await this.request(`/games/${gameId}`, {
             method: 'DELETE'
@@ -236,6 +322,40 @@ class ScrabbleAPI {
         return data;
     }
 
+    async getTrash() {
+        return await this.request('/games/trash');
+    }
+
+    async restoreGame(gameId) {
+        const data = await this.request(`/games/trash/${gameId}/restore`, {
+            method: 'POST'
+        });
+
+        // Invalidate caches
+        localStorage.removeItem(`scrabble_cache__games_${gameId}`);
+        localStorage.removeItem('scrabble_cache__games');
+
+        return data;
+    }
+
+    async purgeGame(gameId) {
+        return await this.request(`/games/trash/${gameId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async importGcg(gcg) {
+        const data = await this.request('/games/import', {
+            method: 'POST',
+            body: JSON.stringify({ gcg })
+        });
+
+        // Invalidate caches
+        localStorage.removeItem('scrabble_cache__games');
+
+        return data;
+    }
+
     async reinstateGame(gameId) {
         const data = await this.request(`/games/${gameId}/reinstate`, {
             method: 'PUT'
@@ -259,11 +379,55 @@ class ScrabbleAPI {
         return data;
     }
 
+    // Roll a game back to just after turnId (0 for the start); the removed turns are archived
+    async rewindGame(gameId, turnId) {
+        const data = await this.request(`/games/${gameId}/rewind`, {
+            method: 'POST',
+            body: JSON.stringify({ turnId })
+        });
+
+        localStorage.removeItem(`scrabble_cache__games_${gameId}`);
+
+        return data;
+    }
+
+    async getRewinds(gameId) {
+        return await this.request(`/games/${gameId}/rewinds`);
+    }
+
+    // Undo a rewind by putting its archived turns back
+    async restoreRewind(gameId, rewindId) {
+        const data = await this.request(`/games/${gameId}/rewinds/${rewindId}/restore`, {
+            method: 'POST'
+        });
+
+        localStorage.removeItem(`scrabble_cache__games_${gameId}`);
+
+        return data;
+    }
+
+    // Correct a past play; the server re-scores every turn after it
+    async editTurn(gameId, turnId, changes) {
+        const data = await this.request(`/games/${gameId}/turns/${turnId}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes)
+        });
+
+        localStorage.removeItem(`scrabble_cache__games_${gameId}`);
+
+        return data;
+    }
+
     // Get comprehensive game statistics
     async getGameStatistics(gameId) {
         return this.request(`/games/${gameId}/statistics`);
     }
 
+    // Each turn of a finished game compared with the best play available
+    async getGameAnalysis(gameId) {
+        return this.request(`/games/${gameId}/analysis`);
+    }
+
     // Dictionary management
     async getDictionaries() {
         return await this.request('/dictionaries');
@@ -50,6 +50,13 @@ class ScrabbleApp {
         // Register service worker
         await this.registerServiceWorker();
 
+        // The standard rules set up the board and tile bag until a game is loaded
+        try {
+            await window.gameState.loadStandardRuleset();
+        } catch (error) {
+            console.error('Scrabble App: Failed to load the standard ruleset:', error);
+        }
+
         // Setup event listeners
         this.setupEventListeners();
 
@@ -77,6 +84,10 @@ class ScrabbleApp {
         this.playerNameInputs = document.querySelectorAll('.player-name-input');
         this.startGameBtn = document.getElementById('start-game-btn');
         this.dictionaryToggle = document.getElementById('dictionary-toggle');
+        this.challengeRuleSelect = document.getElementById('challenge-rule-select');
+        this.challengePenaltyInput = document.getElementById('challenge-penalty-input');
+        this.dictionaryModeSelect = document.getElementById('dictionary-mode-select');
+        this.bingoBonusInput = document.getElementById('bingo-bonus-input');
         this.loadLatestActiveBtn = document.getElementById('load-latest-active-btn');
         this.playerNameHelper = document.getElementById('player-name-helper');
 
@@ -118,6 +129,9 @@ class ScrabbleApp {
         this.submitTurnBtn = document.getElementById('submit-turn-btn');
         this.cancelTurnBtn = document.getElementById('cancel-turn-btn'); // New cancel button
         this.topbarUndoBtn = document.getElementById('topbar-undo-btn'); // New topbar undo button
+        this.passTurnBtn = document.getElementById('pass-turn-btn');
+        this.exchangeTilesBtn = document.getElementById('exchange-tiles-btn');
+        this.challengeTurnBtn = document.getElementById('challenge-turn-btn');
         this.endGameBtn = document.getElementById('end-game-btn');
         this.pauseGameBtn = document.getElementById('pause-game-btn');
         this.abandonGameBtn = document.getElementById('abandon-game-btn');
@@ -218,6 +232,15 @@ class ScrabbleApp {
         this.cancelTurnBtn.addEventListener('click', () => this.handleCancelTurn()); // New cancel button listener
         this.topbarUndoBtn.addEventListener('click', () => this.handleUndo()); // New undo button listener
         this.endGameBtn.addEventListener('click', () => this.handleEndGame());
+        if (this.passTurnBtn) {
+            this.passTurnBtn.addEventListener('click', () => this.handlePass());
+        }
+        if (this.exchangeTilesBtn) {
+            this.exchangeTilesBtn.addEventListener('click', () => this.handleExchange());
+        }
+        if (this.challengeTurnBtn) {
+            this.challengeTurnBtn.addEventListener('click', () => this.handleChallenge());
+        }
         if (this.pauseGameBtn) {
             this.pauseGameBtn.addEventListener('click', () => this.handlePauseGame());
         }
@@ -551,7 +574,7 @@ class ScrabbleApp {
 
     async handleAbandonGame() {
         if (!window.gameState.gameId || this.isReadOnly) return;
-        const confirmed = confirm('Are you sure you want to abandon this game? This will permanently delete all progress.');
+        const confirmed = confirm('Are you sure you want to abandon this game? It will be moved to the Trash on the history screen.');
         if (!confirmed) return;
 
         try {
@@ -597,7 +620,7 @@ class ScrabbleApp {
             if (savedGameId) {
                 try {
                     const gameData = await window.scrabbleAPI.getGame(savedGameId);
-                    if (gameData.status === 'active') {
+                    if (gameData.status === 'active' || gameData.status === 'ending') {
                         await this.loadGame(gameData, false);
                         return;
                     }
@@ -618,7 +641,7 @@ class ScrabbleApp {
 
         try {
             this.setLoading(this.startGameBtn, true);
-            const gameData = await window.scrabbleAPI.createGame(names);
+            const gameData = await window.scrabbleAPI.createGame(names, this.getGameOptions());
             await this.loadGame(gameData);
 
             // Save game ID
@@ -637,6 +660,27 @@ class ScrabbleApp {
         }
     }
 
+    getGameOptions() {
+        const options = {};
+        if (this.challengeRuleSelect) {
+            options.challengeRule = this.challengeRuleSelect.value;
+        }
+        if (this.challengePenaltyInput && this.challengePenaltyInput.value !== '') {
+            options.challengePenalty = parseInt(this.challengePenaltyInput.value, 10);
+        }
+        if (this.dictionaryModeSelect) {
+            options.dictionaryMode = this.dictionaryModeSelect.value;
+        }
+        // House rules: only sent when they differ from the standard game
+        if (this.bingoBonusInput && this.bingoBonusInput.value !== '') {
+            const bingoBonus = parseInt(this.bingoBonusInput.value, 10);
+            if (bingoBonus !== 50) {
+                options.ruleset = { name: 'house', bingoBonus };
+            }
+        }
+        return options;
+    }
+
     async loadGame(gameData, isReadOnly = false) {
         window.gameState.initializeGame(gameData);
         this.isReadOnly = isReadOnly;
@@ -663,6 +707,16 @@ class ScrabbleApp {
         }
         this.updateResumeButtonVisibility();
         this.updateCancelAndUndoButtonVisibility(); // Update button visibility
+
+        if (!isReadOnly && gameData.status === 'ending') {
+            this.handleScorelessEnding();
+        }
+    }
+
+    // Six scoreless turns in a row end the game: collect the racks with nobody going out
+    handleScorelessEnding() {
+        alert('Six scoreless turns in a row have ended the game. Enter the tiles left on each rack.');
+        startFinishGameFlow({ scoreless: true });
     }
 
     setupReadOnlyMode(isReadOnly) {
@@ -922,7 +976,7 @@ class ScrabbleApp {
 
     handleWordInput() {
         // Don't auto-populate - let the user type naturally
-        const rawInput = this.wordInput.value.toUpperCase().replace(/[^A-Z]/g, '');
+        const rawInput = this.wordInput.value.toUpperCase().replace(/[^\p{L}·]/gu, '');
         this.wordInput.value = rawInput;
         this.currentWord = rawInput;
 
@@ -1143,14 +1197,17 @@ class ScrabbleApp {
         let extensionLetter = null;
         let extensionPosition = -1;
 
+        // Squares covered by the typed word (a digraph tile such as CH covers one square)
+        const typedTileCount = window.gameState.splitWordIntoTiles(this.currentWord || '').length;
+
         if (window.gameState && window.gameState.selectedCell.row !== null &&
-            window.gameState.wordDirection && this.currentWord && this.currentWord.length > 0) {
+            window.gameState.wordDirection && typedTileCount > 0) {
 
             // Calculate position immediately after the last letter of the user's input
             const afterRow = window.gameState.wordDirection === 'across' ?
-                window.gameState.selectedCell.row : window.gameState.selectedCell.row + this.currentWord.length;
+                window.gameState.selectedCell.row : window.gameState.selectedCell.row + typedTileCount;
             const afterCol = window.gameState.wordDirection === 'across' ?
-                window.gameState.selectedCell.col + this.currentWord.length : window.gameState.selectedCell.col;
+                window.gameState.selectedCell.col + typedTileCount : window.gameState.selectedCell.col;
 
             // Check if there's an existing tile at that extension position
             if (afterRow < 15 && afterCol < 15) {
@@ -1158,13 +1215,13 @@ class ScrabbleApp {
                 if (existingTile) {
                     // We can extend the word! Get the existing tile letter
                     extensionLetter = existingTile.letter;
-                    extensionPosition = this.currentWord.length; // Position where extension occurs
+                    extensionPosition = typedTileCount; // Position where extension occurs
                 }
             }
         }
 
         // Determine the final word to display (user input + any extension)
-        if (extensionLetter !== null && extensionPosition === this.currentWord.length) {
+        if (extensionLetter !== null && extensionPosition === typedTileCount) {
             // Extend the display word to include the connected existing tile
             displayWord = this.currentWord + extensionLetter;
             console.log('updateTileDisplay: Word extension detected - showing extended word:', displayWord, 'instead of user input:', this.currentWord, 'extension:', extensionLetter, 'at position:', extensionPosition);
@@ -1188,8 +1245,9 @@ class ScrabbleApp {
         }
 
         // Display tiles based on the final word (including any extension)
-        for (let i = 0; i < finalWord.length; i++) {
-            const letter = finalWord[i];
+        const finalTiles = window.gameState.splitWordIntoTiles(finalWord);
+        for (let i = 0; i < finalTiles.length; i++) {
+            const letter = finalTiles[i];
             const row = window.gameState.wordDirection === 'across' ?
                 window.gameState.selectedCell.row : window.gameState.selectedCell.row + i;
             const col = window.gameState.wordDirection === 'across' ?
@@ -1206,7 +1264,7 @@ class ScrabbleApp {
             let isBlank = window.gameState.blankTileIndices.has(i);
 
             // Determine if this tile is part of the extension
-            const isExtensionTile = (i >= this.currentWord.length && extensionLetter !== null);
+            const isExtensionTile = (i >= typedTileCount && extensionLetter !== null);
 
             // Create letter span
             const letterSpan = document.createElement('span');
@@ -1241,12 +1299,12 @@ class ScrabbleApp {
                 }
             } else {
                 // No existing tile at this position - this is a new tile placement
-                const tileLetter = isBlank ? 'BLANK' : letter;
+                const tileLetter = isBlank ? '_' : letter;
                 const hasTileConflict = conflictMap.has(tileLetter);
 
                 if (hasTileConflict) {
                     tile.classList.add('tile-conflict');
-                    tile.title = `Not enough ${tileLetter} tiles in bag (need ${conflictMap.get(tileLetter).needed}, have ${conflictMap.get(tileLetter).available})`;
+                    tile.title = `Not enough ${isBlank ? 'blank' : letter} tiles in bag (need ${conflictMap.get(tileLetter).needed}, have ${conflictMap.get(tileLetter).available})`;
                 } else {
                     tile.classList.add('tile-new');
                 }
@@ -1406,7 +1464,7 @@ class ScrabbleApp {
 
         } catch (error) {
             console.error('Failed to submit turn:', error);
-            this.showError('Failed to submit turn. Please try again.');
+            this.showError(this.describeSubmitError(error));
         } finally {
             this.isSubmitting = false;
             this.setLoading(this.submitTurnBtn, false);
@@ -1463,7 +1521,21 @@ class ScrabbleApp {
         console.log('Sending turnDataForServer:', turnDataForServer); // DEBUG LOG
 
         // Submit to server
-        await window.scrabbleAPI.submitTurn(window.gameState.gameId, turnDataForServer);
+        let gameStatus = 'active';
+        try {
+            const result = await window.scrabbleAPI.submitTurn(window.gameState.gameId, turnDataForServer);
+            newTurn.id = result.turnId;
+            if (result.invalidWords && result.invalidWords.length > 0) {
+                newTurn.invalidWords = result.invalidWords;
+                this.showError(`Flagged as not in the dictionary: ${result.invalidWords.join(', ')}`);
+            }
+            gameStatus = result.gameStatus;
+        } catch (error) {
+            // The server rejected the turn, so drop the locally applied copy
+            const gameData = await window.scrabbleAPI.getGame(window.gameState.gameId);
+            await this.loadGame(gameData, false);
+            throw error;
+        }
 
         // Update UI
         this.renderBoard();
@@ -1471,6 +1543,21 @@ class ScrabbleApp {
         this.updateTurnIndicator();
         this.resetTurn();
         this.updateTileCountdown(); // Update tile countdown after each turn
+
+        if (gameStatus === 'ending') {
+            this.handleScorelessEnding();
+        }
+    }
+
+    describeSubmitError(error) {
+        if (error.data && error.data.code === 'INVALID_WORDS') {
+            return `Turn rejected. Not in the dictionary: ${error.data.invalidWords.join(', ')}`;
+        }
+        // Placement rule violations come back from the server with a code and a readable message
+        if (error.data && error.data.code) {
+            return `Turn rejected: ${error.message}`;
+        }
+        return 'Failed to submit turn. Please try again.';
     }
 
     // Phase 4 Fix: New method for bingo toast
@@ -1535,7 +1622,7 @@ class ScrabbleApp {
             await this.submitTurnToServer();
         } catch (error) {
             console.error('Failed to submit turn:', error);
-            this.showError('Failed to submit turn. Please try again.');
+            this.showError(this.describeSubmitError(error));
         } finally {
             this.isSubmitting = false;
             this.setLoading(this.submitTurnBtn, false);
@@ -1555,6 +1642,108 @@ class ScrabbleApp {
         }
     }
 
+    async handlePass() {
+        if (this.isSubmitting || this.isReadOnly) return;
+        const currentPlayer = window.gameState.getCurrentPlayer();
+        if (!currentPlayer) return;
+
+        if (!confirm(`Record a pass for ${currentPlayer.name}?`)) return;
+
+        try {
+            this.isSubmitting = true;
+            const result = await window.scrabbleAPI.submitPass(window.gameState.gameId, currentPlayer.id);
+            const turn = window.gameState.applySkippedTurn('pass');
+            turn.id = result.turnId;
+            this.updatePlayerCards();
+            this.updateTurnIndicator();
+            this.resetTurn();
+            if (result.gameStatus === 'ending') {
+                this.handleScorelessEnding();
+            }
+        } catch (error) {
+            console.error('Failed to record pass:', error);
+            this.showError(error.message || 'Failed to record pass. Please try again.');
+        } finally {
+            this.isSubmitting = false;
+        }
+    }
+
+    async handleExchange() {
+        if (this.isSubmitting || this.isReadOnly) return;
+        const currentPlayer = window.gameState.getCurrentPlayer();
+        if (!currentPlayer) return;
+
+        const answer = prompt(`How many tiles is ${currentPlayer.name} exchanging? (1-7)`, '7');
+        if (answer === null) return;
+
+        const tilesExchanged = parseInt(answer, 10);
+        if (!Number.isInteger(tilesExchanged) || tilesExchanged < 1 || tilesExchanged > 7) {
+            this.showError('Please enter a number of tiles between 1 and 7.');
+            return;
+        }
+
+        try {
+            this.isSubmitting = true;
+            const result = await window.scrabbleAPI.submitExchange(window.gameState.gameId, currentPlayer.id, tilesExchanged);
+            const turn = window.gameState.applySkippedTurn('exchange', tilesExchanged);
+            turn.id = result.turnId;
+            this.updatePlayerCards();
+            this.updateTurnIndicator();
+            this.resetTurn();
+            if (result.gameStatus === 'ending') {
+                this.handleScorelessEnding();
+            }
+        } catch (error) {
+            console.error('Failed to record exchange:', error);
+            this.showError(error.message || 'Failed to record exchange. Please try again.');
+        } finally {
+            this.isSubmitting = false;
+        }
+    }
+
+    async handleChallenge() {
+        if (this.isSubmitting || this.isReadOnly) return;
+        const challenger = window.gameState.getCurrentPlayer();
+        if (!challenger) return;
+
+        if (!confirm(`${challenger.name} is challenging the last play. Continue?`)) return;
+
+        try {
+            this.isSubmitting = true;
+            const gameId = window.gameState.gameId;
+            const result = await window.scrabbleAPI.challengeTurn(gameId, challenger.id);
+
+            const words = result.challengedWords.join(', ');
+            if (result.outcome === 'phony') {
+                alert(`Challenge upheld: ${result.invalidWords.join(', ')} not in the dictionary. The play has been withdrawn.`);
+            } else if (result.outcome === 'penalty') {
+                alert(`Challenge failed: ${words} ${result.challengedWords.length === 1 ? 'is' : 'are'} valid. ${challenger.name} loses ${Math.abs(result.score)} points.`);
+            } else {
+                alert(`Challenge failed: ${words} ${result.challengedWords.length === 1 ? 'is' : 'are'} valid. ${challenger.name} loses their turn.`);
+            }
+
+            // A challenge can withdraw a play, so reload the authoritative game
+            const gameData = await window.scrabbleAPI.getGame(gameId);
+            await this.loadGame(gameData, false);
+        } catch (error) {
+            console.error('Failed to resolve challenge:', error);
+            this.showError(error.message || 'Failed to resolve challenge. Please try again.');
+        } finally {
+            this.isSubmitting = false;
+        }
+    }
+
+    describeChallenge(turn) {
+        const result = turn.challengeResult ?? turn.challenge_result;
+        if (result === 'phony') {
+            return `Challenged off: ${turn.word}`;
+        }
+        if (result === 'penalty') {
+            return `Failed challenge of ${turn.word} (penalty)`;
+        }
+        return `Failed challenge of ${turn.word} (lost turn)`;
+    }
+
     async handleEndGame() {
         // Use the global finish game system
         startFinishGameFlow();
@@ -1986,7 +2175,14 @@ class ScrabbleApp {
                         const adjustmentType = turn.score > 0 ? 'bonus' : (turn.score < 0 ? 'deduction' : 'empty');
 
                         let wordDisplay = '';
-                        if (isFinalAdjustment) {
+                        if (turn.direction === 'pass') {
+                            wordDisplay = `<div class="font-medium text-gray-500"><em>Pass</em></div>`;
+                        } else if (turn.direction === 'exchange') {
+                            const swapped = turn.tilesExchanged ?? turn.tiles_exchanged ?? 0;
+                            wordDisplay = `<div class="font-medium text-gray-500"><em>Exchanged ${swapped} tile${swapped === 1 ? '' : 's'}</em></div>`;
+                        } else if (turn.direction === 'challenge') {
+                            wordDisplay = `<div class="font-medium text-gray-500"><em>${this.describeChallenge(turn)}</em></div>`;
+                        } else if (isFinalAdjustment) {
                             // Special display for final adjustment turns
                             if (adjustmentType === 'bonus') {
                                 wordDisplay = `<div class="font-medium text-green-600">Game End Bonus</div>`;
@@ -2001,6 +2197,10 @@ class ScrabbleApp {
                             if (crossWords) {
                                 wordDisplay += `<div class="text-xs text-gray-400 mt-1">Cross: ${crossWords}</div>`;
                             }
+                            const flagged = turn.invalidWords || [];
+                            if (flagged.length > 0) {
+                                wordDisplay += `<div class="text-xs text-amber-600 mt-1">⚠ Not in dictionary: ${flagged.join(', ')}</div>`;
+                            }
                         }
 
                         const score = turn.score ?? 0;
@@ -2064,10 +2264,10 @@ class ScrabbleApp {
         const { supply } = window.gameState.getTileSupply();
         this.tileInventoryGrid.innerHTML = ''; // Clear previous tiles
 
+        // The game's tile set, with the blank tile explicitly at the end
         const tileOrder = [
-            'A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L', 'M',
-            'N', 'O', 'P', 'Q', 'R', 'S', 'T', 'U', 'V', 'W', 'X', 'Y', 'Z',
-            'BLANK' // Blank tile explicitly at the end
+            ...Object.keys(supply).filter(letter => letter !== '_'),
+            '_'
         ];
 
         tileOrder.forEach(letter => {
@@ -2090,8 +2290,8 @@ class ScrabbleApp {
             countSpan.className = 'tile-count';
             countSpan.textContent = count;
 
-            // Apply special styling for BLANK tiles
-            if (letter === 'BLANK') {
+            // Apply special styling for blank tiles
+            if (letter === '_') {
                 tileElement.classList.add('tile-blank');
                 letterSpan.textContent = 'BLANK';
                 scoreSpan.textContent = '0';
@@ -2300,10 +2500,14 @@ const restartGameBtn = document.getElementById('restart-game-btn');
 
 // --- State ---
 let finishGameState = {};
-const tileValues = { 'A': 1, 'B': 3, 'C': 3, 'D': 2, 'E': 1, 'F': 4, 'G': 2, 'H': 4, 'I': 1, 'J': 8, 'K': 5, 'L': 1, 'M': 3, 'N': 1, 'O': 1, 'P': 3, 'Q': 10, 'R': 1, 'S': 1, 'T': 1, 'U': 1, 'V': 4, 'W': 4, 'X': 8, 'Y': 4, 'Z': 10, '_': 0 };
+
+// Leftover tiles are valued with the current game's letter scores; blanks ('_') are worth nothing
+function tileValue(letter) {
+    return letter === '_' ? 0 : (window.gameState.letterScores[letter] || 0);
+}
 
 // --- Main Flow Control ---
-function startFinishGameFlow() {
+function startFinishGameFlow(options = {}) {
     try {
         // Validate game state before starting
         if (!window.gameState || !window.gameState.players || window.gameState.players.length === 0) {
@@ -2347,6 +2551,17 @@ function startFinishGameFlow() {
 
         console.log('Finish game state initialized:', finishGameState);
 
+        // After six scoreless turns nobody went out, so go straight to the racks
+        if (options.scoreless) {
+            finishGameState.isScoreless = true;
+            finishGameState.selectedRecipient = finishGameState.players[0];
+            renderFinishModal2();
+            finishModal1.classList.add('hidden');
+            finishModal2.classList.remove('hidden');
+            finishModal3.classList.add('hidden');
+            return;
+        }
+
         renderFinishModal1();
         finishModal1.classList.remove('hidden');
         finishModal2.classList.add('hidden');
@@ -2414,81 +2629,27 @@ function returnTile(player, letter, index) {
 
 async function calculateAndShowFinalScores() {
     try {
-        console.log('=== FINAL SCORE CALCULATION WITH ADJUSTMENT TURNS ===');
+        console.log('=== FINAL SCORE SETTLEMENT ===');
 
-        // Create tile distribution map for final adjustment turns
-        const tileDistribution = {};
+        // Leftover racks for every player; the server checks them and writes the adjustments
+        const racks = {};
         finishGameState.players.forEach(player => {
-            if (player.id !== finishGameState.gameEnder.id && player.leftoverTiles.length > 0) {
-                tileDistribution[player.id] = player.leftoverTiles;
-            }
+            racks[player.id] = player.leftoverTiles;
         });
 
-        console.log('Tile distribution for adjustment turns:', tileDistribution);
-        console.log('Game ender ID:', finishGameState.gameEnder.id);
-
-        // Generate final adjustment turns
-        const adjustmentTurns = window.gameState.generateFinalAdjustmentTurns(
-            finishGameState.gameEnder.id,
-            tileDistribution
+        const result = await window.scrabbleAPI.settleGame(
+            window.gameState.gameId,
+            finishGameState.gameEnder ? finishGameState.gameEnder.id : 'none',
+            racks
         );
 
-        console.log('Generated final adjustment turns:', adjustmentTurns);
-
-        // Submit final adjustment turns to server
-        for (const adjustmentTurn of adjustmentTurns) {
-            const turnData = {
-                playerId: adjustmentTurn.playerId,
-                word: adjustmentTurn.word,
-                score: adjustmentTurn.score,
-                secondaryWords: adjustmentTurn.secondary_words,
-                boardState: adjustmentTurn.board_state_after,
-                startRow: adjustmentTurn.start_row,
-                startCol: adjustmentTurn.start_col,
-                direction: adjustmentTurn.direction,
-                blankTiles: adjustmentTurn.blank_tiles
-            };
-
-            console.log(`=== SUBMITTING ADJUSTMENT TURN ===`);
-            console.log(`Player ID: ${turnData.playerId}`);
-            console.log(`Word: "${turnData.word}"`);
-            console.log(`Score: ${turnData.score}`);
-            console.log(`Secondary Words:`, turnData.secondaryWords);
-            console.log(`Board State After:`, turnData.boardState ? 'Provided' : 'Not provided');
-            console.log(`Start Row: ${turnData.startRow}`);
-            console.log(`Start Col: ${turnData.startCol}`);
-            console.log(`Direction: "${turnData.direction}"`);
-            console.log(`Blank Tiles:`, turnData.blankTiles);
-            console.log(`Full Turn Data:`, turnData);
-            console.log(`================================`);
-
-            await window.scrabbleAPI.submitTurn(window.gameState.gameId, turnData);
-
-            console.log(`✅ Successfully submitted final adjustment turn for player ${adjustmentTurn.playerId}: ${adjustmentTurn.word} (${adjustmentTurn.score})`);
-        }
-
-        // Calculate final scores after submitting adjustment turns
-        const finalScores = window.gameState.calculateFinalScores(
-            finishGameState.gameEnder.id,
-            tileDistribution
-        );
+        console.log('Settlement result:', result);
 
-        console.log('Final scores after adjustment:', finalScores);
+        const sortedPlayers = result.players.map(player => ({
+            ...finishGameState.players.find(p => p.id === player.id),
+            finalScore: player.score
+        }));
 
-        // Find winner
-        const sortedPlayers = Object.entries(finalScores)
-            .sort(([, a], [, b]) => b - a)
-            .map(([playerId, score]) => {
-                const player = finishGameState.players.find(p => p.id === parseInt(playerId));
-                return { ...player, finalScore: score };
-            });
-
-        const winner = sortedPlayers[0];
-
-        console.log('Winner determined:', winner);
-
-        // Update game on server
-        await window.scrabbleAPI.finishGame(window.gameState.gameId, winner.id);
         window.gameState.isGameActive = false;
 
         // Clear stored game references
@@ -2504,16 +2665,16 @@ async function calculateAndShowFinalScores() {
         }
 
         // Show final scores
-        renderFinishModal3(sortedPlayers);
+        renderFinishModal3(sortedPlayers, result.isTie);
         finishModal2.classList.add('hidden');
         finishModal3.classList.remove('hidden');
 
-        console.log('=== FINAL SCORE CALCULATION COMPLETED ===');
+        console.log('=== FINAL SCORE SETTLEMENT COMPLETED ===');
 
     } catch (error) {
         console.error('Failed to calculate and show final scores:', error);
         if (window.scrabbleApp) {
-            window.scrabbleApp.showError('Failed to finish game. Please try again.');
+            window.scrabbleApp.showError(error.message || 'Failed to finish game. Please try again.');
         }
     }
 }
@@ -2532,14 +2693,18 @@ function renderFinishModal1() {
 }
 
 function renderFinishModal2() {
-    gameEnderName.textContent = finishGameState.gameEnder.name;
+    const gameEnder = finishGameState.gameEnder;
+    gameEnderName.textContent = gameEnder ? gameEnder.name : 'Nobody (six scoreless turns)';
+    finishStep2BackBtn.classList.toggle('hidden', !!finishGameState.isScoreless);
     tileRecipientList.innerHTML = '';
     let totalDeductedPoints = 0;
 
-    const otherPlayers = finishGameState.players.filter(p => p.id !== finishGameState.gameEnder.id);
+    const otherPlayers = gameEnder
+        ? finishGameState.players.filter(p => p.id !== gameEnder.id)
+        : finishGameState.players;
     otherPlayers.forEach(player => {
         const isSelected = finishGameState.selectedRecipient && finishGameState.selectedRecipient.id === player.id;
-        const deduction = player.leftoverTiles.reduce((sum, letter) => sum + tileValues[letter], 0);
+        const deduction = player.leftoverTiles.reduce((sum, letter) => sum + tileValue(letter), 0);
         totalDeductedPoints += deduction;
 
         const playerContainer = document.createElement('div');
@@ -2574,12 +2739,14 @@ function renderFinishModal2() {
     });
 }
 
-function renderFinishModal3(finalScores) {
+function renderFinishModal3(finalScores, isTie = false) {
     const winner = finalScores[0];
-    winnerAnnouncement.innerHTML = `The winner is <strong>${winner.name}</strong> with ${winner.finalScore} points!`;
+    winnerAnnouncement.innerHTML = isTie
+        ? `It's a tie at <strong>${winner.finalScore}</strong> points!`
+        : `The winner is <strong>${winner.name}</strong> with ${winner.finalScore} points!`;
     finalScoresList.innerHTML = '';
     finalScores.forEach(player => {
-        const isWinner = player.id === winner.id;
+        const isWinner = !isTie && player.id === winner.id;
         const scoreItem = document.createElement('div');
         scoreItem.className = `score-item ${isWinner ? 'winner' : ''}`;
         scoreItem.innerHTML = `<span class="player-name">${isWinner ? '🏆 ' : ''}${player.name}</span><span class="player-score">${player.finalScore}</span>`;
@@ -2631,7 +2798,7 @@ function createTileElement(letter, count, isSmall = false) {
         scoreSpan.textContent = '0';
     } else {
         letterSpan.textContent = letter;
-        scoreSpan.textContent = tileValues[letter];
+        scoreSpan.textContent = tileValue(letter);
     }
 
     // Assemble tile
@@ -1,28 +1,11 @@
 // Game state management module
+
 class GameState {
     constructor() {
-        this.letterScores = {
-            'A': 1, 'B': 3, 'C': 3, 'D': 2, 'E': 1, 'F': 4, 'G': 2, 'H': 4, 'I': 1, 'J': 8,
-            'K': 5, 'L': 1, 'M': 3, 'N': 1, 'O': 1, 'P': 3, 'Q': 10, 'R': 1, 'S': 1, 'T': 1,
-            'U': 1, 'V': 4, 'W': 4, 'X': 8, 'Y': 4, 'Z': 10
-        };
-        this.boardLayout = [
-            ['TWS', '', '', 'DLS', '', '', '', 'TWS', '', '', '', 'DLS', '', '', 'TWS'],
-            ['', 'DWS', '', '', '', 'TLS', '', '', '', 'TLS', '', '', '', 'DWS', ''],
-            ['', '', 'DWS', '', '', '', 'DLS', '', 'DLS', '', '', '', 'DWS', '', ''],
-            ['DLS', '', '', 'DWS', '', '', '', 'DLS', '', '', '', 'DWS', '', '', 'DLS'],
-            ['', '', '', '', 'DWS', '', '', '', '', '', 'DWS', '', '', '', ''],
-            ['', 'TLS', '', '', '', 'TLS', '', '', '', 'TLS', '', '', '', 'TLS', ''],
-            ['', '', 'DLS', '', '', '', 'DLS', '', 'DLS', '', '', '', 'DLS', '', ''],
-            ['TWS', '', '', 'DLS', '', '', '', 'DWS', '', '', '', 'DLS', '', '', 'TWS'],
-            ['', '', 'DLS', '', '', '', 'DLS', '', 'DLS', '', '', '', 'DLS', '', ''],
-            ['', 'TLS', '', '', '', 'TLS', '', '', '', 'TLS', '', '', '', 'TLS', ''],
-            ['', '', '', '', 'DWS', '', '', '', '', '', 'DWS', '', '', '', ''],
-            ['DLS', '', '', 'DWS', '', '', '', 'DLS', '', '', '', 'DWS', '', '', 'DLS'],
-            ['', '', 'DWS', '', '', '', 'DLS', '', 'DLS', '', '', '', 'DWS', '', ''],
-            ['', 'DWS', '', '', '', 'TLS', '', '', '', 'TLS', '', '', '', 'DWS', ''],
-            ['TWS', '', '', 'DLS', '', '', '', 'TWS', '', '', '', 'DLS', '', '', 'TWS']
-        ];
+        // The standard rules come from the server (loadStandardRuleset). Until they arrive the
+        // board has no premium squares and the bag is empty.
+        this.standardRuleset = null;
+        this.applyRuleset(null);
         this.reset();
     }
 
@@ -36,11 +19,7 @@ class GameState {
         this.boardState = Array(15).fill(null).map(() => Array(15).fill(null));
         this.blankTileIndices = new Set();
         this.isGameActive = false;
-        this.tileSupply = {
-            'A': 9, 'B': 2, 'C': 2, 'D': 4, 'E': 12, 'F': 2, 'G': 3, 'H': 2, 'I': 9, 'J': 1,
-            'K': 1, 'L': 4, 'M': 2, 'N': 6, 'O': 8, 'P': 2, 'Q': 1, 'R': 6, 'S': 4, 'T': 6,
-            'U': 4, 'V': 2, 'W': 2, 'X': 1, 'Y': 2, 'Z': 1, 'BLANK': 2 // Using 'BLANK' for blank tiles
-        };
+        this.tileSupply = { ...this.tileDistribution };
 
         // Phase 4 Fix: Initialize premium square tracker with state persistence
         this.premiumSquareTracker = new PremiumSquareTracker();
@@ -55,10 +34,33 @@ class GameState {
         this.tileValidator = new TileValidator(this.premiumSquareTracker);
     }
 
+    // Fetch the standard rules, used whenever no game is loaded
+    async loadStandardRuleset() {
+        this.standardRuleset = await window.scrabbleAPI.getStandardRuleset();
+        if (!this.gameId) {
+            this.applyRuleset(null);
+            this.tileSupply = { ...this.tileDistribution };
+        }
+    }
+
+    // Use a game's ruleset (as returned by the server) for scoring, the board and the tile bag.
+    // Passing null restores the standard rules. The blank tile is '_', as on the server.
+    applyRuleset(ruleset) {
+        const rules = ruleset || this.standardRuleset || {};
+        this.letterScores = { ...(rules.letterScores || {}) };
+        this.boardLayout = rules.boardLayout
+            ? rules.boardLayout.map(row => [...row])
+            : Array(15).fill(null).map(() => Array(15).fill(''));
+        this.bingoBonus = rules.bingoBonus || 0;
+        this.rackSize = rules.rackSize;
+        this.tileDistribution = { ...(rules.tileDistribution || {}) };
+    }
+
     // Initialize new game
     initializeGame(gameData) {
         console.log('GameState: Initializing game with ID', gameData.id);
         this.gameId = gameData.id;
+        this.applyRuleset(gameData.ruleset);
         this.players = gameData.players || [];
         this.turnHistory = gameData.turns || [];
         this.isGameActive = gameData.status === 'active';
@@ -90,24 +92,37 @@ class GameState {
     }
 
     // Replay turns to rebuild board state
-    // This will reconstruct the boardState based on turnHistory
+    // Server turns carry the tiles they placed, plus a full board checkpoint every few turns
     replayTurns() {
         // Reset board
         this.boardState = Array(15).fill(null).map(() => Array(15).fill(null));
 
         // Apply each turn
         this.turnHistory.forEach(turn => {
-            if (turn.board_state_after) {
-                this.boardState = JSON.parse(JSON.stringify(turn.board_state_after));
+            if (turn.board_checkpoint) {
+                this.boardState = JSON.parse(JSON.stringify(turn.board_checkpoint));
+                return;
+            }
+
+            // Passes and exchanges leave the board unchanged
+            if (this.isSkippedTurn(turn)) {
+                return;
+            }
+
+            if (Array.isArray(turn.placed_tiles)) {
+                turn.placed_tiles.forEach(({ row, col, letter, isBlank }) => {
+                    this.boardState[row][col] = { letter, isBlank };
+                });
             } else {
-                // Backward compatibility for older turns if board_state_after wasn't explicitly saved
+                // Backward compatibility for turns sent without their placed tiles
                 // This logic mirrors how applyTurn places tiles onto the board
-                const { word, startRow, startCol, direction, blankTiles } = turn;
+                const { startRow, startCol, direction, blankTiles } = turn;
+                const word = this.splitWordIntoTiles(turn.word);
 
                 for (let i = 0; i < word.length; i++) {
                     const letter = word[i];
                     const row = direction === 'across' ? startRow : startRow + i;
-                    const col = direction === 'across' ? startCol + i : col;
+                    const col = direction === 'across' ? startCol + i : startCol;
                     const isBlank = blankTiles.includes(i);
                     // Only place if it's a new tile placement (not already on board for the next turn)
                     if (this.boardState[row] && this.boardState[row][col] === null) {
@@ -118,13 +133,19 @@ class GameState {
         });
     }
 
+    // Passes and exchanges are recorded as turns but never place tiles
+    isSkippedTurn(turn) {
+        return turn.direction === 'pass' || turn.direction === 'exchange';
+    }
+
+    // Every recorded turn uses up a player's turn except a single-challenge penalty
+    consumesTurn(turn) {
+        return !(turn.direction === 'challenge' && turn.challenge_result === 'penalty');
+    }
+
     // Restore tile supply based on current board state after replaying turns
     restoreTileSupply() {
-        this.tileSupply = {
-            'A': 9, 'B': 2, 'C': 2, 'D': 4, 'E': 12, 'F': 2, 'G': 3, 'H': 2, 'I': 9, 'J': 1,
-            'K': 1, 'L': 4, 'M': 2, 'N': 6, 'O': 8, 'P': 2, 'Q': 1, 'R': 6, 'S': 4, 'T': 6,
-            'U': 4, 'V': 2, 'W': 2, 'X': 1, 'Y': 2, 'Z': 1, 'BLANK': 2
-        };
+        this.tileSupply = { ...this.tileDistribution };
 
         // Iterate through the board and subtract tiles found
         for (let r = 0; r < 15; r++) {
@@ -132,7 +153,7 @@ class GameState {
                 const tile = this.boardState[r][c];
                 if (tile) {
                     if (tile.isBlank) {
-                        this.tileSupply['BLANK']--;
+                        this.tileSupply['_']--;
                     } else {
                         this.tileSupply[tile.letter]--;
                     }
@@ -218,13 +239,16 @@ class GameState {
 
     // CRITICAL FIX: Calculate correct current player for game resumption
     calculateCurrentPlayerOnResume() {
-        if (this.turnHistory.length === 0) {
+        // Single-challenge penalties are recorded as turns but don't move play on
+        const takenTurns = this.turnHistory.filter(t => this.consumesTurn(t));
+
+        if (takenTurns.length === 0) {
             console.log('Resume: No turn history, starting with first player (index 0)');
             return 0; // New game - first player
         }
 
         // Get the last turn that was actually played
-        const lastTurn = this.turnHistory[this.turnHistory.length - 1];
+        const lastTurn = takenTurns[takenTurns.length - 1];
         const lastPlayerId = lastTurn.playerId || lastTurn.player_id;
         const lastRoundNumber = lastTurn.round_number;
 
@@ -246,7 +270,7 @@ class GameState {
         let nextPlayerIndex = (lastPlayerIndex + 1) % this.players.length;
 
         // Complex case: check if round is complete
-        const turnsInCurrentRound = this.turnHistory.filter(t => t.round_number === lastRoundNumber);
+        const turnsInCurrentRound = takenTurns.filter(t => t.round_number === lastRoundNumber);
         const isRoundComplete = turnsInCurrentRound.length === this.players.length;
 
         console.log('Resume: Round analysis:', {
@@ -445,10 +469,10 @@ class GameState {
 
         // Step 5: Check for Bingo Bonus
         const newlyPlacedTiles = newPlacements.filter(p => p.isNew).length;
-        if (newlyPlacedTiles === 7) {
-            breakdown.bingoBonus = 50;
+        if (newlyPlacedTiles === this.rackSize) {
+            breakdown.bingoBonus = this.bingoBonus;
             breakdown.eligibleForBingo = true;
-            totalScore += 50;
+            totalScore += this.bingoBonus;
         } else {
             breakdown.eligibleForBingo = false;
         }
@@ -461,10 +485,11 @@ class GameState {
         const placements = [];
 
         // Validate input parameters
-        if (!word || typeof word !== 'string' || startRow === null || startCol === null || !direction) {
+        if (!word || startRow === null || startCol === null || !direction) {
             console.warn('Invalid parameters in identifyNewPlacements');
             return [];
         }
+        word = this.splitWordIntoTiles(word);
 
         // Validate blank indices
         if (!blankIndices || !(blankIndices instanceof Set)) {
@@ -983,8 +1008,9 @@ class GameState {
         }
 
         // Return the letter at this position in the current word
-        if (wordIndex >= 0 && wordIndex < currentWord.length) {
-            return currentWord[wordIndex];
+        const tiles = this.splitWordIntoTiles(currentWord);
+        if (wordIndex >= 0 && wordIndex < tiles.length) {
+            return tiles[wordIndex];
         }
 
         // Fallback to placement letter if available
@@ -1014,6 +1040,8 @@ class GameState {
 
     // Phase 3 Fix: Enhanced validateTurnPlacement with Tile Validator integration
     validateTurnPlacement(word, startRow, startCol, direction, blankIndices = new Set()) {
+        word = this.splitWordIntoTiles(word);
+
         // Phase 3 Fix: Use Tile Validator for comprehensive validation
         const tileValidation = this.tileValidator.validateWordPlacement(
             word,
@@ -1092,6 +1120,8 @@ class GameState {
 
     // Phase 1 Fix: New method for comprehensive word boundary validation
     validateWordBoundaries(word, startRow, startCol, direction) {
+        word = this.splitWordIntoTiles(word);
+
         // Phase 1 Fix: Check if start position is valid
         if (!this.isValidBoardPosition(startRow, startCol)) {
             return { valid: false, error: `Invalid start position: ${startRow}, ${startCol}. Position must be within board boundaries (0-14).` };
@@ -1205,8 +1235,8 @@ class GameState {
             console.log(`Processing placement: ${letter} at (${placement.row}, ${placement.col}), isNew: ${placement.isNew}, isBlank: ${isBlank}`);
 
             if (isBlank) {
-                requiredTiles['BLANK'] = (requiredTiles['BLANK'] || 0) + 1;
-                console.log(`Required BLANK tile: ${requiredTiles['BLANK']}`);
+                requiredTiles['_'] = (requiredTiles['_'] || 0) + 1;
+                console.log(`Required blank tile: ${requiredTiles['_']}`);
             } else {
                 requiredTiles[letter] = (requiredTiles[letter] || 0) + 1;
                 console.log(`Required ${letter} tile: ${requiredTiles[letter]}`);
@@ -1233,7 +1263,7 @@ class GameState {
 
         if (missingTiles.length > 0) {
             const missingTileMessages = missingTiles.map(tile =>
-                `${tile.letter}: ${tile.shortage} needed (${tile.available} available)`
+                `${tile.letter === '_' ? 'Blank' : tile.letter}: ${tile.shortage} needed (${tile.available} available)`
             ).join(', ');
 
             console.log('❌ Tile validation FAILED:', missingTileMessages);
@@ -1285,8 +1315,9 @@ class GameState {
         // Store used premium squares in turn record for undo functionality
         turn.usedPremiumSquares = usedPremiumSquares;
 
-        for (let i = 0; i < turnData.word.length; i++) {
-            const letter = turnData.word[i];
+        const placedTiles = this.splitWordIntoTiles(turnData.word);
+        for (let i = 0; i < placedTiles.length; i++) {
+            const letter = placedTiles[i];
             const row = direction === 'across' ? startRow : startRow + i;
             const col = direction === 'across' ? startCol + i : startCol;
             const isBlank = (turnData.blankTiles || []).includes(i);
@@ -1295,7 +1326,7 @@ class GameState {
                 this.boardState[row][col] = { letter, isBlank };
                 // Decrement tile supply for newly placed tiles
                 if (isBlank) {
-                    this.tileSupply['BLANK']--;
+                    this.tileSupply['_']--;
                 } else {
                     this.tileSupply[letter]--;
                 }
@@ -1320,100 +1351,92 @@ class GameState {
         return turn;
     }
 
-    // Undo last turn
+    // Record a pass or tile exchange for the current player (no tiles reach the board)
+    applySkippedTurn(turnType, tilesExchanged = 0) {
+        const turn = {
+            playerIndex: this.currentPlayerIndex,
+            playerId: this.getCurrentPlayer().id,
+            score: 0,
+            word: '',
+            secondaryWords: [],
+            startRow: -1,
+            startCol: -1,
+            direction: turnType,
+            blankTiles: [],
+            tilesExchanged: turnType === 'exchange' ? tilesExchanged : 0,
+            playerStateBefore: JSON.parse(JSON.stringify(this.getCurrentPlayer())),
+            boardStateBefore: JSON.parse(JSON.stringify(this.boardState)),
+            boardStateAfter: JSON.parse(JSON.stringify(this.boardState))
+        };
+
+        this.turnHistory.push(turn);
+
+        // Move to next player
+        this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
+
+        return turn;
+    }
+
+    // Undo last turn: rewind to the turn before it
     async undoLastTurn() {
         if (this.turnHistory.length === 0) return false;
+
+        const previousTurn = this.turnHistory[this.turnHistory.length - 2];
+        return this.rewindToTurn(previousTurn ? previousTurn.id : 0);
+    }
+
+    // Roll the game back to just after turnId (0 for the start of the game).
+    // The server archives the removed turns, so the rewind itself can be undone.
+    async rewindToTurn(turnId) {
         if (!this.gameId) {
-            console.error('Cannot undo: gameId is null.');
+            console.error('Cannot rewind: gameId is null.');
             return false;
         }
 
-        try {
-            // Call API to delete the last turn from the server
-            await window.scrabbleAPI.deleteLastTurn(this.gameId);
+        const keepCount = turnId === 0 ? 0 : this.turnHistory.findIndex(turn => turn.id === turnId) + 1;
+        if (!Number.isInteger(turnId) || (turnId !== 0 && keepCount === 0)) {
+            console.error(`Cannot rewind: turn ${turnId} is not in this game's history.`);
+            return false;
+        }
 
-            // If successful, proceed with client-side state restoration
-            const lastTurn = this.turnHistory.pop();
+        try {
+            const result = await window.scrabbleAPI.rewindGame(this.gameId, turnId);
 
-            console.log('Undo: Restoring state after undoing turn:', {
-                undonePlayerIndex: lastTurn.playerIndex,
-                undonePlayerId: lastTurn.playerId,
-                turnsBeforeUndo: this.turnHistory.length + 1,
-                turnsAfterUndo: this.turnHistory.length
+            console.log('Rewind: Restoring state:', {
+                rewindId: result.rewindId,
+                turnsBeforeRewind: this.turnHistory.length,
+                turnsAfterRewind: keepCount
             });
 
-            // Restore board state
-            // For resumed games, boardStateBefore is missing, so we calculate it or use previous turn's state
-            let previousBoardState = null;
-            if (lastTurn.boardStateBefore) {
-                previousBoardState = lastTurn.boardStateBefore;
-            } else if (this.turnHistory.length > 0) {
-                const previousTurn = this.turnHistory[this.turnHistory.length - 1];
-                // Handle different case styles from server/client
-                const rawState = previousTurn.boardStateAfter || previousTurn.board_state_after || previousTurn.boardState;
-                previousBoardState = typeof rawState === 'string' ? JSON.parse(rawState) : rawState;
-            }
-
-            // Fallback to empty board if no history
-            if (!previousBoardState || !Array.isArray(previousBoardState)) {
-                previousBoardState = Array(15).fill(null).map(() => Array(15).fill(null));
-            }
-
-            this.boardState = JSON.parse(JSON.stringify(previousBoardState));
+            this.turnHistory = this.turnHistory.slice(0, keepCount);
+            this.applyServerPosition(result);
 
-            // Restore player state (score)
-            // For resumed games, playerStateBefore is missing, so we subtract the turn score
-            const playerToUpdate = this.players.find(p => p.id === (lastTurn.playerId || lastTurn.player_id));
-            if (playerToUpdate) {
-                playerToUpdate.score -= (lastTurn.score || 0);
-            } else if (typeof lastTurn.playerIndex === 'number' && this.players[lastTurn.playerIndex]) {
-                // Fallback to index if available
-                this.players[lastTurn.playerIndex].score -= (lastTurn.score || 0);
-            }
-
-            // Increment tile supply for tiles that were un-placed
-            // Ensure blankTiles is a Set for calculateTurnScore
-            const blankTiles = new Set(lastTurn.blankTiles || (typeof lastTurn.blank_tiles === 'string' ? JSON.parse(lastTurn.blank_tiles) : []));
-            const { breakdown } = this.calculateTurnScore(
-                lastTurn.word,
-                lastTurn.startRow || lastTurn.start_row,
-                lastTurn.startCol || lastTurn.start_col,
-                lastTurn.direction,
-                blankTiles
-            );
+            return result;
+        } catch (error) {
+            console.error('Failed to rewind game on server:', error);
+            throw error; // Re-throw the error for app.js to handle UI updates.
+        }
+    }
 
-            const newPlacementsInUndoneTurn = breakdown.newPlacements;
-            for (const placement of newPlacementsInUndoneTurn) {
-                if (placement.isBlank) {
-                    this.tileSupply['BLANK']++;
-                } else {
-                    this.tileSupply[placement.letter]++;
-                }
-            }
+    // Take the board, scores and status the server reports after a rewind and rebuild
+    // everything derived from them (tile supply, premium squares, whose turn it is)
+    applyServerPosition({ boardState, scores, gameStatus }) {
+        this.boardState = Array.isArray(boardState) && boardState.length === 15
+            ? JSON.parse(JSON.stringify(boardState))
+            : Array(15).fill(null).map(() => Array(15).fill(null));
 
-            // Phase 3 Fix: Restore premium squares that were used in the undone turn
-            if (lastTurn.usedPremiumSquares) {
-                this.premiumSquareTracker.restorePremiumSquares(lastTurn.usedPremiumSquares);
-                console.log('Restored premium squares:', lastTurn.usedPremiumSquares);
-            }
-
-            // CRITICAL FIX: Recalculate current player after undo using same logic as resume
-            const currentPlayerBeforeUndo = this.currentPlayerIndex;
-            this.currentPlayerIndex = this.calculateCurrentPlayerOnResume();
+        (scores || []).forEach(({ playerId, score }) => {
+            const player = this.players.find(p => p.id === playerId);
+            if (player) player.score = score;
+        });
 
-            console.log('Undo: Current player recalculation:', {
-                currentPlayerBeforeUndo,
-                currentPlayerAfterUndo: this.currentPlayerIndex,
-                nextPlayerName: this.getCurrentPlayer()?.name,
-                logic: 'Using same calculateCurrentPlayerOnResume logic as game resumption'
-            });
+        this.isGameActive = gameStatus === 'active';
+        this.restoreTileSupply();
 
-            return true;
+        this.premiumSquareTracker.reconstructFromBoardState(this.boardState, this.boardLayout);
+        this.premiumSquareTracker.saveState();
 
-        } catch (error) {
-            console.error('Failed to undo turn on server:', error);
-            throw error; // Re-throw the error for app.js to handle UI updates.
-        }
+        this.currentPlayerIndex = this.calculateCurrentPlayerOnResume();
     }
 
     // Find existing word fragment at position
@@ -1531,11 +1554,7 @@ class GameState {
         const remainingTiles = [];
 
         // Create a copy of the initial tile supply
-        const initialSupply = {
-            'A': 9, 'B': 2, 'C': 2, 'D': 4, 'E': 12, 'F': 2, 'G': 3, 'H': 2, 'I': 9, 'J': 1,
-            'K': 1, 'L': 4, 'M': 2, 'N': 6, 'O': 8, 'P': 2, 'Q': 1, 'R': 6, 'S': 4, 'T': 6,
-            'U': 4, 'V': 2, 'W': 2, 'X': 1, 'Y': 2, 'Z': 1, 'BLANK': 2
-        };
+        const initialSupply = { ...this.tileDistribution };
 
         // Subtract tiles that are currently on the board
         for (let r = 0; r < 15; r++) {
@@ -1543,7 +1562,7 @@ class GameState {
                 const tile = this.boardState[r][c];
                 if (tile) {
                     if (tile.isBlank) {
-                        initialSupply['BLANK']--;
+                        initialSupply['_']--;
                     } else {
                         initialSupply[tile.letter]--;
                     }
@@ -1554,7 +1573,7 @@ class GameState {
         // The remaining tiles in initialSupply are the tiles left in the bag
         for (const [letter, count] of Object.entries(initialSupply)) {
             for (let i = 0; i < count; i++) {
-                if (letter !== 'BLANK') {
+                if (letter !== '_') {
                     remainingTiles.push(letter);
                 } else {
                     remainingTiles.push(''); // Represent blank tiles as empty strings
@@ -1564,198 +1583,6 @@ class GameState {
 
         return remainingTiles;
     }
-
-    // Calculate final scores with end-game tile deductions and bonuses
-    calculateFinalScores(endingPlayerId, tileDistribution) {
-        const finalScores = {};
-        const players = this.players;
-
-        // Start with current scores
-        players.forEach(player => {
-            finalScores[player.id] = player.score;
-        });
-
-        // Calculate total bonus for ending player (sum of all remaining tiles from other players)
-        // FIX: Only count tiles from other players' racks, NOT the bag.
-        let totalBonus = 0;
-
-        // Iterate through all players in the distribution map
-        for (const [playerId, tiles] of Object.entries(tileDistribution)) {
-            // Ensure ID comparison is type-safe (string vs number)
-            if (String(playerId) === String(endingPlayerId)) continue;
-
-            // Skip if tiles is not an array or empty
-            if (!tiles || !Array.isArray(tiles)) continue;
-
-            // Calculate deduction for this player
-            let deduction = 0;
-            tiles.forEach(tile => {
-                if (tile === '' || tile === '_') {
-                    // Blank tile has no points
-                    return;
-                }
-                deduction += this.letterScores[tile] || 0;
-            });
-
-            // Apply deduction to the player
-            // Ensure we subtract from the current final score
-            finalScores[playerId] -= deduction;
-
-            // Add to winner's bonus
-            totalBonus += deduction;
-        }
-
-        // Apply bonus to ending player
-        finalScores[endingPlayerId] += totalBonus;
-
-        console.log('=== FINAL SCORE CALCULATION ===');
-        console.log('Ending Player:', endingPlayerId);
-        console.log('Total Bonus calculated (from racks):', totalBonus);
-        console.log('Final Scores:', finalScores);
-
-        return finalScores;
-    }
-
-    // Generate final adjustment turns for end-game scoring
-    generateFinalAdjustmentTurns(endingPlayerId, tileDistribution) {
-        const players = this.players;
-        const adjustmentTurns = [];
-
-        // Calculate the final round number (one more than the current highest round)
-        const finalRoundNumber = this.turnHistory.length > 0
-            ? Math.max(...this.turnHistory.map(t => t.round_number || 1)) + 1
-            : 1;
-
-        // Calculate total bonus for ending player (sum of all remaining tiles from other players)
-        let totalBonus = 0;
-        for (const [playerId, tiles] of Object.entries(tileDistribution)) {
-            if (playerId === endingPlayerId) continue; // Skip ending player
-
-            tiles.forEach(tile => {
-                if (tile === '') {
-                    // Blank tile has no points
-                    return;
-                }
-                totalBonus += this.letterScores[tile] || 0;
-            });
-        }
-
-        // Create adjustment turn for ending player (positive bonus)
-        const endingPlayer = players.find(p => p.id === endingPlayerId);
-        if (endingPlayer) {
-            adjustmentTurns.push({
-                playerId: endingPlayerId,
-                round_number: finalRoundNumber,
-                word: totalBonus > 0 ? '' : '<EMPTY>', // Show empty if no bonus, otherwise leave empty
-                score: totalBonus,
-                secondary_words: [],
-                board_state_after: JSON.parse(JSON.stringify(this.boardState)),
-                start_row: -1, // Special position to indicate adjustment turn
-                start_col: -1,
-                direction: 'adjustment',
-                blank_tiles: []
-            });
-        }
-
-        // Create adjustment turns for other players (negative deductions)
-        for (const [playerId, tiles] of Object.entries(tileDistribution)) {
-            if (playerId === endingPlayerId) continue; // Skip ending player
-
-            const player = players.find(p => p.id === playerId);
-            if (!player) continue;
-
-            // Calculate deduction for this player
-            let deduction = 0;
-            tiles.forEach(tile => {
-                if (tile === '') {
-                    // Blank tile has no points
-                    return;
-                }
-                deduction += this.letterScores[tile] || 0;
-            });
-
-            // Create word from remaining tiles (filter out blanks)
-            const remainingTilesWord = tiles
-                .filter(tile => tile !== '')
-                .sort()
-                .join('');
-
-            // Handle empty case
-            const word = remainingTilesWord || (deduction > 0 ? remainingTilesWord : '<EMPTY>');
-
-            adjustmentTurns.push({
-                playerId: playerId,
-                round_number: finalRoundNumber,
-                word: word,
-                score: -deduction, // Negative score for deduction
-                secondary_words: [],
-                board_state_after: JSON.parse(JSON.stringify(this.boardState)),
-                start_row: -1,
-                start_col: -1,
-                direction: 'adjustment',
-                blank_tiles: []
-            });
-        }
-
-        // Special case for 2-player games: ALWAYS create adjustment turn for other player
-        if (players.length === 2) {
-            const otherPlayerId = players.find(p => p.id !== endingPlayerId).id;
-            const hasAssignedTiles = tileDistribution[otherPlayerId] && tileDistribution[otherPlayerId].length > 0;
-
-            // ALWAYS create an adjustment turn for the other player
-            let deduction = 0;
-            if (hasAssignedTiles) {
-                // Calculate deduction from assigned tiles
-                const tiles = tileDistribution[otherPlayerId];
-                tiles.forEach(tile => {
-                    if (tile === '') {
-                        // Blank tile has no points
-                        return;
-                    }
-                    deduction += this.letterScores[tile] || 0;
-                });
-
-                // Create word from remaining tiles (filter out blanks)
-                const remainingTilesWord = tiles
-                    .filter(tile => tile !== '')
-                    .sort()
-                    .join('');
-
-                // Create adjustment turn with calculated deduction
-                adjustmentTurns.push({
-                    playerId: otherPlayerId,
-                    round_number: finalRoundNumber,
-                    word: remainingTilesWord || '<EMPTY>',
-                    score: -deduction,
-                    secondary_words: [],
-                    board_state_after: JSON.parse(JSON.stringify(this.boardState)),
-                    start_row: -1,
-                    start_col: -1,
-                    direction: 'adjustment',
-                    blank_tiles: []
-                });
-            } else {
-                // No tiles assigned - deduction equals total bonus
-                if (totalBonus > 0) {
-                    // Create adjustment turn with deduction equal to bonus
-                    adjustmentTurns.push({
-                        playerId: otherPlayerId,
-                        round_number: finalRoundNumber,
-                        word: '<EMPTY>', // Use EMPTY for no tiles case
-                        score: -totalBonus, // Negative score equal to ending player's bonus
-                        secondary_words: [],
-                        board_state_after: JSON.parse(JSON.stringify(this.boardState)),
-                        start_row: -1,
-                        start_col: -1,
-                        direction: 'adjustment',
-                        blank_tiles: []
-                    });
-                }
-            }
-        }
-
-        return adjustmentTurns;
-    }
 }
 
 // Create global game state instance
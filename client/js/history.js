@@ -2,6 +2,8 @@
 class GameHistoryApp {
     constructor() {
         this.games = [];
+        this.trashedGames = [];
+        this.viewingTrash = false;
         this.currentGame = null;
 
         // Initialize when DOM is ready
@@ -23,6 +25,7 @@ class GameHistoryApp {
 
         // Load games
         await this.loadGames();
+        await this.loadHeadToHeadPlayers();
 
         console.log('Game History: Initialization complete');
     }
@@ -32,10 +35,22 @@ class GameHistoryApp {
         this.loadingState = document.getElementById('loading-state');
         this.emptyState = document.getElementById('empty-state');
         this.gamesList = document.getElementById('games-list');
+        this.trashView = document.getElementById('trash-view');
+        this.trashList = document.getElementById('trash-list');
+        this.trashEmpty = document.getElementById('trash-empty');
+        this.trashRetention = document.getElementById('trash-retention');
+        this.headToHead = document.getElementById('head-to-head');
+        this.h2hPlayer = document.getElementById('h2h-player');
+        this.h2hOpponent = document.getElementById('h2h-opponent');
+        this.h2hResult = document.getElementById('h2h-result');
 
         // Buttons
         this.refreshBtn = document.getElementById('refresh-btn');
         this.resumeLatestBtn = document.getElementById('resume-latest-btn');
+        this.importGcgBtn = document.getElementById('import-gcg-btn');
+        this.importGcgInput = document.getElementById('import-gcg-input');
+        this.trashBtn = document.getElementById('trash-btn');
+        this.trashBackBtn = document.getElementById('trash-back-btn');
 
         // Modal elements
         this.gameDetailModal = document.getElementById('game-detail-modal');
@@ -45,6 +60,8 @@ class GameHistoryApp {
         this.modalBoard = document.getElementById('modal-board');
         this.modalScores = document.getElementById('modal-scores');
         this.modalTurnHistory = document.getElementById('modal-turn-history');
+        this.modalMoveAnalysis = document.getElementById('modal-move-analysis');
+        this.modalRewinds = document.getElementById('modal-rewinds');
     }
 
     setupEventListeners() {
@@ -54,6 +71,24 @@ class GameHistoryApp {
             this.resumeLatestBtn.addEventListener('click', () => this.resumeLatestPausedGame());
         }
 
+        // GCG import
+        if (this.importGcgBtn && this.importGcgInput) {
+            this.importGcgBtn.addEventListener('click', () => this.importGcgInput.click());
+            this.importGcgInput.addEventListener('change', () => this.importGcgFile());
+        }
+
+        // Trash
+        if (this.trashBtn && this.trashBackBtn) {
+            this.trashBtn.addEventListener('click', () => this.loadTrash());
+            this.trashBackBtn.addEventListener('click', () => this.loadGames());
+        }
+
+        // Head to head
+        if (this.headToHead) {
+            this.h2hPlayer.addEventListener('change', () => this.loadHeadToHead());
+            this.h2hOpponent.addEventListener('change', () => this.loadHeadToHead());
+        }
+
         // Modal close
         this.closeModalBtn.addEventListener('click', () => this.closeModal());
         this.gameDetailModal.addEventListener('click', (e) => {
@@ -72,6 +107,7 @@ class GameHistoryApp {
 
     async loadGames() {
         try {
+            this.viewingTrash = false;
             this.showLoading();
 
             // Fetch completed games from API
@@ -95,6 +131,8 @@ class GameHistoryApp {
         this.loadingState.classList.remove('hidden');
         this.emptyState.classList.add('hidden');
         this.gamesList.classList.add('hidden');
+        this.trashView?.classList.add('hidden');
+        this.headToHead?.classList.toggle('hidden', this.viewingTrash === true);
     }
 
     showEmptyState() {
@@ -129,17 +167,17 @@ class GameHistoryApp {
             hour12: true
         });
 
-        const playerNames = game.player_names
-            ? [...new Set(game.player_names.split(',').map((name) => name.trim()))]
-            : ['Unknown Players'];
+        const playerLinks = game.players && game.players.length > 0
+            ? game.players.map(player => this.buildPlayerLink(player.id, player.name)).join(', ')
+            : 'Unknown Players';
 
         const statusBadge = this.buildStatusBadge(game.status);
-        const winnerText = game.winner_name || (game.status === 'interrupted'
-            ? 'Game paused'
-            : 'No winner yet');
+        const winnerText = game.winner_name
+            ? this.buildPlayerLink(game.winner_id, game.winner_name)
+            : game.status === 'interrupted' ? 'Game paused' : 'No winner yet';
 
         let primaryActionHtml = '';
-        if (game.status === 'active') {
+        if (game.status === 'active' || game.status === 'ending') {
             primaryActionHtml = `
                 <button onclick="window.gameHistoryApp.navigateToGame(${game.id}, event)"
                         class="w-full inline-flex items-center justify-center gap-2 px-4 py-2.5 bg-indigo-600 text-white font-semibold rounded-lg shadow-sm hover:bg-indigo-700 transition">
@@ -188,7 +226,7 @@ class GameHistoryApp {
                         <div class="flex flex-wrap gap-6 text-sm text-gray-600">
                             <div class="space-y-1">
                                 <span class="block font-medium text-gray-500">Players</span>
-                                <div class="text-base text-gray-800">${playerNames.join(', ')}</div>
+                                <div class="text-base text-gray-800">${playerLinks}</div>
                             </div>
                             <div class="space-y-1">
                                 <span class="block font-medium text-gray-500">${game.status === 'finished' ? 'Winner' : 'Status'}</span>
@@ -216,6 +254,10 @@ class GameHistoryApp {
 
                     <div class="md:w-60 flex flex-col gap-2">
                         ${primaryActionHtml}
+                        <button onclick="window.gameHistoryApp.openGameDetail(${game.id}, event)"
+                                class="w-full inline-flex items-center justify-center gap-2 px-4 py-2.5 bg-white text-slate-700 font-semibold rounded-lg border border-slate-200 hover:border-slate-300 hover:bg-slate-50 transition">
+                            Turns &amp; Analysis
+                        </button>
                         <button onclick="window.gameHistoryApp.deleteGame(${game.id}, event)"
                                 class="w-full inline-flex items-center justify-center gap-2 px-4 py-2.5 bg-white text-red-600 font-semibold rounded-lg border border-red-200 hover:border-red-300 hover:bg-red-50 transition">
                             <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -230,11 +272,129 @@ class GameHistoryApp {
         `;
     }
 
+    // Player names link to their profile without opening the game card
+    buildPlayerLink(playerId, name) {
+        return `<a href="/player.html?id=${playerId}" onclick="event.stopPropagation()" class="hover:underline">${name}</a>`;
+    }
+
+    async loadHeadToHeadPlayers() {
+        if (!this.headToHead) return;
+
+        try {
+            const players = await window.scrabbleAPI.getAllPlayers();
+            const options = players
+                .map(player => `<option value="${player.id}">${player.name}</option>`)
+                .join('');
+            this.h2hPlayer.innerHTML = `<option value="">Pick a player</option>${options}`;
+            this.h2hOpponent.innerHTML = `<option value="">Pick a player</option>${options}`;
+        } catch (error) {
+            console.error('Failed to load players for head to head:', error);
+            this.headToHead.classList.add('hidden');
+        }
+    }
+
+    async loadHeadToHead() {
+        const playerId = parseInt(this.h2hPlayer.value);
+        const opponentId = parseInt(this.h2hOpponent.value);
+
+        if (!playerId || !opponentId || playerId === opponentId) {
+            this.h2hResult.classList.add('hidden');
+            return;
+        }
+
+        try {
+            const record = await window.scrabbleAPI.getHeadToHead(playerId, opponentId);
+            // Ignore a reply for a pair that is no longer selected
+            if (parseInt(this.h2hPlayer.value) !== playerId || parseInt(this.h2hOpponent.value) !== opponentId) return;
+
+            this.h2hResult.innerHTML = this.renderHeadToHead(record);
+            this.h2hResult.classList.remove('hidden');
+        } catch (error) {
+            console.error('Failed to load head to head:', error);
+            this.showError('Failed to load the head-to-head record. Please try again.');
+        }
+    }
+
+    renderHeadToHead(record) {
+        const { player, opponent } = record;
+        if (record.gamesPlayed === 0) {
+            return `<p class="text-gray-500 text-center">${player.name} and ${opponent.name} haven't finished a game together yet.</p>`;
+        }
+
+        const formatDate = (value) => new Date(value).toLocaleDateString('en-AU', { timeZone: 'Australia/Melbourne' });
+        const spread = (value) => (value > 0 ? `+${value}` : `${value}`);
+        const describeWin = (game, winner) => game
+            ? `${winner.name} by ${Math.abs(game.spread)} (${Math.max(game.score, game.opponentScore)}–${Math.min(game.score, game.opponentScore)}, ${formatDate(game.date)})`
+            : '–';
+        const streakHolder = record.currentStreak
+            ? `${record.currentStreak.playerId === player.id ? player.name : opponent.name} has won ${record.currentStreak.length} in a row`
+            : 'Last game was a tie';
+
+        const stats = [
+            ['Average spread', `${spread(record.averageSpread)} for ${player.name}`],
+            [`${player.name}'s largest win`, describeWin(record.largestWin, player)],
+            [`${opponent.name}'s largest win`, describeWin(record.largestLoss, opponent)],
+            ['Longest streak', `${player.name} ${record.longestWinStreak} · ${opponent.name} ${record.longestLossStreak}`],
+            ['Current form', streakHolder]
+        ];
+
+        const badges = {
+            win: 'bg-green-100 text-green-800',
+            loss: 'bg-red-100 text-red-800',
+            tie: 'bg-gray-100 text-gray-700'
+        };
+
+        const gameRows = record.games.map(game => `
+            <a href="/?game=${game.gameId}&view=history" class="flex items-center justify-between gap-3 p-3 rounded-lg border border-gray-200 hover:bg-gray-50">
+                <div class="flex items-center gap-3">
+                    <span class="w-12 text-center px-2 py-1 rounded-full text-xs font-bold uppercase ${badges[game.result]}">${game.result}</span>
+                    <span class="text-sm text-gray-500">Game #${game.gameId} · ${formatDate(game.date)}${game.playerCount > 2 ? ` · ${game.playerCount} players` : ''}</span>
+                </div>
+                <span class="font-semibold text-gray-800">${game.score}–${game.opponentScore}</span>
+            </a>
+        `).join('');
+
+        return `
+            <div class="text-center mb-6">
+                <div class="text-4xl font-bold text-gray-900">${record.wins}–${record.losses}${record.ties > 0 ? `–${record.ties}` : ''}</div>
+                <div class="text-sm text-gray-500 mt-1">
+                    ${this.buildPlayerLink(player.id, player.name)} wins · ${this.buildPlayerLink(opponent.id, opponent.name)} wins${record.ties > 0 ? ' · ties' : ''}
+                    over ${record.gamesPlayed} ${record.gamesPlayed === 1 ? 'game' : 'games'}
+                </div>
+            </div>
+            <dl class="grid gap-3 sm:grid-cols-2 lg:grid-cols-3 mb-6">
+                ${stats.map(([label, value]) => `
+                    <div class="p-3 rounded-lg bg-gray-50">
+                        <dt class="text-xs font-medium text-gray-500">${label}</dt>
+                        <dd class="text-sm font-semibold text-gray-800 mt-1">${value}</dd>
+                    </div>
+                `).join('')}
+            </dl>
+            <h3 class="text-sm font-semibold text-gray-500 mb-2">Games together</h3>
+            <div class="space-y-2">${gameRows}</div>
+        `;
+    }
+
     async showGameDetail(gameId, event) {
         event?.stopPropagation();
         window.location.href = `/?game=${gameId}&view=history`;
     }
 
+    // Board, scores, turns and move analysis for one game, without leaving History
+    async openGameDetail(gameId, event) {
+        event?.stopPropagation();
+
+        try {
+            const game = await window.scrabbleAPI.getGame(gameId);
+            this.currentGame = game;
+            this.renderGameDetail(game);
+            this.gameDetailModal.classList.remove('hidden');
+        } catch (error) {
+            console.error('Failed to load game details:', error);
+            this.showError('Failed to load game details. Please try again.');
+        }
+    }
+
     navigateToGame(gameId, event) {
         event?.stopPropagation();
         window.location.href = `/?game=${gameId}`;
@@ -244,6 +404,8 @@ class GameHistoryApp {
         switch (status) {
             case 'active':
                 return '<span class="inline-flex items-center gap-1 px-3 py-1 rounded-full text-sm font-medium bg-blue-100 text-blue-800"><span class="w-2 h-2 rounded-full bg-blue-500"></span>Active</span>';
+            case 'ending':
+                return '<span class="inline-flex items-center gap-1 px-3 py-1 rounded-full text-sm font-medium bg-amber-100 text-amber-800"><span class="w-2 h-2 rounded-full bg-amber-500"></span>Ending</span>';
             case 'interrupted':
                 return '<span class="inline-flex items-center gap-1 px-3 py-1 rounded-full text-sm font-medium bg-orange-100 text-orange-800"><span class="w-2 h-2 rounded-full bg-orange-500 animate-pulse"></span>Paused</span>';
             case 'finished':
@@ -261,35 +423,22 @@ class GameHistoryApp {
         this.modalSubtitle.textContent = `Played on ${date} at ${time}`;
 
         // Render final board
-        this.renderBoard(game.board_state || []);
+        this.renderBoard(game.board_state || [], game.ruleset);
 
         // Render final scores
         this.renderScores(game.players || []);
 
-        // Render turn history
+        // Render turn history, and the rewinds that can still be undone
         this.renderTurnHistory(game.turns || []);
-    }
+        this.loadRewinds(game);
 
-    renderBoard(boardState) {
-        const boardLayout = [
-            ['TWS', '', '', 'DLS', '', '', '', 'TWS', '', '', '', 'DLS', '', '', 'TWS'],
-            ['', 'DWS', '', '', '', 'TLS', '', '', '', 'TLS', '', '', '', 'DWS', ''],
-            ['', '', 'DWS', '', '', '', 'DLS', '', 'DLS', '', '', '', 'DWS', '', ''],
-            ['DLS', '', '', 'DWS', '', '', '', 'DLS', '', '', '', 'DWS', '', '', 'DLS'],
-            ['', '', '', '', 'DWS', '', '', '', '', '', 'DWS', '', '', '', ''],
-            ['', 'TLS', '', '', '', 'TLS', '', '', '', 'TLS', '', '', '', 'TLS', ''],
-            ['', '', 'DLS', '', '', '', 'DLS', '', 'DLS', '', '', '', 'DLS', '', ''],
-            ['TWS', '', '', 'DLS', '', '', '', 'DWS', '', '', '', 'DLS', '', '', 'TWS'],
-            ['', '', 'DLS', '', '', '', 'DLS', '', 'DLS', '', '', '', 'DLS', '', ''],
-            ['', 'TLS', '', '', '', 'TLS', '', '', '', 'TLS', '', '', '', 'TLS', ''],
-            ['', '', '', '', 'DWS', '', '', '', '', '', 'DWS', '', '', '', ''],
-            ['DLS', '', '', 'DWS', '', '', '', 'DLS', '', '', '', 'DWS', '', '', 'DLS'],
-            ['', '', 'DWS', '', '', '', 'DLS', '', 'DLS', '', '', '', 'DWS', '', ''],
-            ['', 'DWS', '', '', '', 'TLS', '', '', '', 'TLS', '', '', '', 'DWS', ''],
-            ['TWS', '', '', 'DLS', '', '', '', 'TWS', '', '', '', 'DLS', '', '', 'TWS']
-        ];
+        // Compare each turn with the best play available (finished games only)
+        this.loadMoveAnalysis(game);
+    }
 
-        const letterScores = { 'A': 1, 'B': 3, 'C': 3, 'D': 2, 'E': 1, 'F': 4, 'G': 2, 'H': 4, 'I': 1, 'J': 8, 'K': 5, 'L': 1, 'M': 3, 'N': 1, 'O': 1, 'P': 3, 'Q': 10, 'R': 1, 'S': 1, 'T': 1, 'U': 1, 'V': 4, 'W': 4, 'X': 8, 'Y': 4, 'Z': 10 };
+    // Premium squares and letter values come from the game's ruleset, as sent by the server
+    renderBoard(boardState, ruleset) {
+        const { boardLayout, letterScores } = ruleset;
 
         this.modalBoard.innerHTML = '';
         this.modalBoard.className = 'grid grid-cols-15 gap-1 aspect-square w-full bg-gray-800 p-2 rounded-lg';
@@ -329,7 +478,7 @@ class GameHistoryApp {
                 <div class="flex items-center justify-between p-3 rounded-lg ${isWinner ? 'bg-yellow-100 border-2 border-yellow-300' : 'bg-white border border-gray-200'}">
                     <div class="flex items-center gap-3">
                         <span class="text-lg">${medal}</span>
-                        <span class="font-semibold text-gray-800">${player.name}</span>
+                        <span class="font-semibold text-gray-800">${this.buildPlayerLink(player.id, player.name)}</span>
                         ${isWinner ? '<span class="px-2 py-1 bg-yellow-500 text-white text-xs rounded-full font-bold">WINNER</span>' : ''}
                     </div>
                     <span class="text-xl font-bold ${isWinner ? 'text-yellow-600' : 'text-gray-700'}">${player.score}</span>
@@ -363,18 +512,35 @@ class GameHistoryApp {
                     <h4 class="font-bold text-gray-700 mb-2 sticky top-0 bg-gray-50 py-1">Round ${roundNum}</h4>
                     <div class="space-y-2">
                         ${roundTurns.map(turn => {
-                const secondaryWords = turn.secondary_words ? JSON.parse(turn.secondary_words) : [];
+                // The server sends secondary words already parsed, as plain words
+                const secondaryWords = typeof turn.secondary_words === 'string'
+                    ? JSON.parse(turn.secondary_words || '[]')
+                    : (turn.secondary_words || []);
                 const crossWordsText = secondaryWords.length > 0 ?
-                    ` <span class="text-xs text-gray-400">(+ ${secondaryWords.map(sw => sw.word).join(', ')})</span>` : '';
+                    ` <span class="text-xs text-gray-400">(+ ${secondaryWords.map(sw => sw.word || sw).join(', ')})</span>` : '';
+                const wordText = this.describeTurn(turn);
+                // Plays of an unfinished game can be corrected; the server re-scores every later turn
+                const canEdit = this.currentGame?.status !== 'finished' && (turn.direction === 'across' || turn.direction === 'down');
 
                 return `
-                                <div class="flex items-center justify-between p-2 bg-white rounded border">
-                                    <div>
-                                        <span class="font-medium text-gray-800">${turn.player_name}</span>
-                                        <span class="ml-2 text-indigo-600 font-semibold">${turn.word}</span>
-                                        ${crossWordsText}
+                                <div class="p-2 bg-white rounded border">
+                                    <div class="flex items-center justify-between">
+                                        <div>
+                                            <span class="font-medium text-gray-800">${turn.player_name}</span>
+                                            <span class="ml-2 text-indigo-600 font-semibold">${wordText}</span>
+                                            ${crossWordsText}
+                                        </div>
+                                        <div class="flex items-center gap-3">
+                                            ${canEdit ? `<button onclick="window.gameHistoryApp.showTurnEditor(${turn.id})"
+                                                    class="text-xs text-gray-500 hover:text-indigo-600 hover:underline"
+                                                    title="Correct this play">Edit</button>` : ''}
+                                            <button onclick="window.gameHistoryApp.rewindToTurn(${turn.id})"
+                                                    class="text-xs text-gray-500 hover:text-indigo-600 hover:underline"
+                                                    title="Take back every turn after this one">Rewind here</button>
+                                            <span class="font-bold text-green-600">${turn.score}</span>
+                                        </div>
                                     </div>
-                                    <span class="font-bold text-green-600">${turn.score}</span>
+                                    <div id="turn-editor-${turn.id}" class="hidden"></div>
                                 </div>
                             `;
             }).join('')}
@@ -384,6 +550,255 @@ class GameHistoryApp {
         }).join('');
     }
 
+    // Inline form for correcting a play. Blanks are typed in lowercase, as in GCG files.
+    showTurnEditor(turnId) {
+        const turn = (this.currentGame?.turns || []).find(t => t.id === turnId);
+        const editor = document.getElementById(`turn-editor-${turnId}`);
+        if (!turn || !editor) return;
+
+        const blanks = new Set(turn.blank_tiles || []);
+        const word = turn.word.split('').map((letter, index) => (blanks.has(index) ? letter.toLowerCase() : letter)).join('');
+        const inputClass = 'px-2 py-1 border border-gray-300 rounded text-sm';
+
+        editor.innerHTML = `
+            <div class="mt-2 pt-2 border-t space-y-2">
+                <div class="flex flex-wrap items-end gap-2 text-xs text-gray-600">
+                    <label class="flex flex-col">Word
+                        <input data-field="word" value="${word}" class="${inputClass} w-32">
+                    </label>
+                    <label class="flex flex-col">Row
+                        <input data-field="row" type="number" min="1" max="15" value="${turn.start_row + 1}" class="${inputClass} w-16">
+                    </label>
+                    <label class="flex flex-col">Column
+                        <input data-field="col" type="number" min="1" max="15" value="${turn.start_col + 1}" class="${inputClass} w-16">
+                    </label>
+                    <label class="flex flex-col">Direction
+                        <select data-field="direction" class="${inputClass}">
+                            <option value="across"${turn.direction === 'across' ? ' selected' : ''}>Across</option>
+                            <option value="down"${turn.direction === 'down' ? ' selected' : ''}>Down</option>
+                        </select>
+                    </label>
+                    <button data-action="save" class="px-3 py-1 bg-indigo-600 text-white font-semibold rounded hover:bg-indigo-700">Save</button>
+                    <button data-action="cancel" class="px-3 py-1 text-gray-600 hover:underline">Cancel</button>
+                </div>
+                <p class="text-xs text-gray-400">Type blanks in lowercase. Every later turn is re-scored.</p>
+                <p data-field="conflict" class="text-sm text-red-600 hidden"></p>
+            </div>
+        `;
+        editor.classList.remove('hidden');
+
+        editor.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+            editor.classList.add('hidden');
+            editor.innerHTML = '';
+        });
+        editor.querySelector('[data-action="save"]').addEventListener('click', () => this.saveTurnEdit(turn, editor));
+    }
+
+    async saveTurnEdit(turn, editor) {
+        const game = this.currentGame;
+        const typed = editor.querySelector('[data-field="word"]').value.trim();
+        const conflict = editor.querySelector('[data-field="conflict"]');
+
+        const changes = {
+            word: typed.toUpperCase(),
+            startRow: parseInt(editor.querySelector('[data-field="row"]').value, 10) - 1,
+            startCol: parseInt(editor.querySelector('[data-field="col"]').value, 10) - 1,
+            direction: editor.querySelector('[data-field="direction"]').value,
+            blankTiles: typed.split('').map((letter, index) => (letter !== letter.toUpperCase() ? index : null)).filter(index => index !== null)
+        };
+
+        try {
+            const result = await window.scrabbleAPI.editTurn(game.id, turn.id, changes);
+            this.showSuccess(`Play corrected; ${result.replayedTurns} turn${result.replayedTurns === 1 ? '' : 's'} re-scored`);
+            await this.openGameDetail(game.id);
+            await this.loadGames();
+        } catch (error) {
+            console.error('Failed to edit turn:', error);
+            // A conflict names the later turn that no longer fits, so it stays beside the form
+            conflict.textContent = error.message;
+            conflict.classList.remove('hidden');
+        }
+    }
+
+    async loadRewinds(game) {
+        if (!this.modalRewinds) return;
+
+        this.modalRewinds.innerHTML = '';
+        try {
+            const rewinds = await window.scrabbleAPI.getRewinds(game.id);
+            if (this.currentGame?.id !== game.id) return;
+            this.renderRewinds(game, rewinds);
+        } catch (error) {
+            console.error('Failed to load rewinds:', error);
+        }
+    }
+
+    renderRewinds(game, rewinds) {
+        if (rewinds.length === 0) {
+            return;
+        }
+
+        const describePoint = (turnId) => {
+            if (turnId === 0) return 'the start';
+            const turn = (game.turns || []).find(t => t.id === turnId);
+            return turn ? `${turn.player_name}'s ${turn.word || turn.direction}` : `turn ${turnId}`;
+        };
+
+        const rows = rewinds.map(rewind => `
+            <div class="flex items-center justify-between p-2 bg-white rounded border text-sm">
+                <span class="text-gray-700">
+                    Back to ${describePoint(rewind.to_turn_id)}, ${rewind.archived_turns} turn${rewind.archived_turns === 1 ? '' : 's'} taken off
+                    <span class="text-xs text-gray-400">${new Date(rewind.created_at).toLocaleString()}</span>
+                </span>
+                ${rewind.restored_at
+                ? '<span class="text-xs text-gray-400">Undone</span>'
+                : `<button onclick="window.gameHistoryApp.undoRewind(${rewind.id})" class="text-xs font-semibold text-indigo-600 hover:underline">Undo rewind</button>`}
+            </div>
+        `).join('');
+
+        this.modalRewinds.innerHTML = `
+            <h4 class="font-bold text-gray-700 mb-2">Rewinds</h4>
+            <div class="space-y-2">${rows}</div>
+        `;
+    }
+
+    // Roll the open game back to just after turnId; the turns taken off can be put back
+    async rewindToTurn(turnId) {
+        const game = this.currentGame;
+        if (!game) return;
+
+        const later = (game.turns || []).filter(turn => turn.id > turnId).length;
+        if (later === 0) {
+            this.showError('There are no turns after this one to take back.');
+            return;
+        }
+        if (!confirm(`Take back the ${later} turn${later === 1 ? '' : 's'} after this one?\n\nYou can undo the rewind while nothing new has been played.`)) {
+            return;
+        }
+
+        try {
+            await window.scrabbleAPI.rewindGame(game.id, turnId);
+            this.showSuccess(`Game #${game.id} rewound; ${later} turn${later === 1 ? '' : 's'} taken off`);
+            await this.openGameDetail(game.id);
+            await this.loadGames();
+        } catch (error) {
+            console.error('Failed to rewind game:', error);
+            this.showError(`Failed to rewind the game: ${error.message}`);
+        }
+    }
+
+    async undoRewind(rewindId) {
+        const game = this.currentGame;
+        if (!game) return;
+
+        try {
+            const result = await window.scrabbleAPI.restoreRewind(game.id, rewindId);
+            this.showSuccess(`Put back ${result.restoredTurns.length} turns of Game #${game.id}`);
+            await this.openGameDetail(game.id);
+            await this.loadGames();
+        } catch (error) {
+            console.error('Failed to undo rewind:', error);
+            this.showError(`Failed to undo the rewind: ${error.message}`);
+        }
+    }
+
+    async loadMoveAnalysis(game) {
+        if (!this.modalMoveAnalysis) return;
+
+        if (game.status !== 'finished') {
+            this.modalMoveAnalysis.innerHTML = '<p class="text-gray-500 text-center py-4">Available once the game is finished</p>';
+            return;
+        }
+
+        this.modalMoveAnalysis.innerHTML = '<p class="text-gray-500 text-center py-4">Analysing moves...</p>';
+        try {
+            const analysis = await window.scrabbleAPI.getGameAnalysis(game.id);
+            this.renderMoveAnalysis(analysis);
+        } catch (error) {
+            console.error('Failed to load move analysis:', error);
+            this.modalMoveAnalysis.innerHTML = '<p class="text-gray-500 text-center py-4">Move analysis is unavailable</p>';
+        }
+    }
+
+    renderMoveAnalysis(analysis) {
+        const analysed = analysis.turns.filter(turn => turn.analysed);
+        if (analysed.length === 0) {
+            this.modalMoveAnalysis.innerHTML = '<p class="text-gray-500 text-center py-4">No turns could be analysed: no racks were recorded</p>';
+            return;
+        }
+
+        // Turns without a recorded rack are listed too, so the report shows what it left out
+        const listed = analysis.turns.filter(turn => turn.analysed || (!turn.rackRecorded && turn.reason));
+
+        const summary = analysis.players.map(player => `
+            <div class="flex items-center justify-between text-sm">
+                <span class="font-medium text-gray-800">${player.name}</span>
+                <span class="text-gray-600">${player.turnsAnalysed > 0
+                    ? `${player.bestPlaysFound}/${player.turnsAnalysed} best plays, ${player.pointsMissed} pts missed`
+                    : 'no racks recorded'}</span>
+            </div>
+        `).join('');
+
+        const rows = listed.map(turn => {
+            const best = turn.analysed ? turn.alternatives[0] : null;
+            const played = turn.word && turn.direction !== 'pass' && turn.direction !== 'exchange'
+                ? turn.word
+                : `<em class="text-gray-500">${turn.direction === 'pass' ? 'Pass' : 'Exchange'}</em>`;
+            const alternatives = turn.analysed
+                ? turn.alternatives.slice(1).map(move => `${move.word} ${move.score}`).join(', ')
+                : '';
+            let verdict = '<span class="font-bold text-green-600">✓</span>';
+            if (!turn.analysed) {
+                verdict = '<span class="text-xs text-gray-400">no rack recorded</span>';
+            } else if (turn.pointsMissed > 0) {
+                verdict = `<span class="font-bold text-red-600">-${turn.pointsMissed}</span>`;
+            }
+
+            return `
+                <div class="p-2 bg-white rounded border">
+                    <div class="flex items-center justify-between">
+                        <div>
+                            <span class="font-medium text-gray-800">${turn.playerName}</span>
+                            <span class="ml-2 text-indigo-600 font-semibold">${played}</span>
+                            <span class="text-gray-600">${turn.playedScore}</span>
+                        </div>
+                        ${verdict}
+                    </div>
+                    ${best ? `<div class="text-xs text-gray-500 mt-1">Best: <span class="font-semibold">${best.word}</span> ${best.score} (${best.direction} at ${best.startRow + 1},${best.startCol + 1})${alternatives ? ` · also ${alternatives}` : ''}</div>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        this.modalMoveAnalysis.innerHTML = `
+            <div class="space-y-1 mb-3">${summary}</div>
+            <div class="space-y-2">${rows}</div>
+        `;
+    }
+
+    describeTurn(turn) {
+        if (turn.direction === 'pass') {
+            return '<em class="text-gray-500">Pass</em>';
+        }
+        if (turn.direction === 'exchange') {
+            const swapped = turn.tiles_exchanged || 0;
+            return `<em class="text-gray-500">Exchanged ${swapped} tile${swapped === 1 ? '' : 's'}</em>`;
+        }
+        if (turn.direction === 'challenge') {
+            if (turn.challenge_result === 'phony') {
+                return `<em class="text-gray-500">Challenged off: ${turn.word}</em>`;
+            }
+            const cost = turn.challenge_result === 'penalty' ? 'penalty' : 'lost turn';
+            return `<em class="text-gray-500">Failed challenge of ${turn.word} (${cost})</em>`;
+        }
+        const flagged = typeof turn.invalid_words === 'string'
+            ? JSON.parse(turn.invalid_words || '[]')
+            : (turn.invalid_words || []);
+        if (flagged.length > 0) {
+            return `${turn.word} <span class="text-xs text-amber-600" title="Not in dictionary: ${flagged.join(', ')}">⚠</span>`;
+        }
+        return turn.word;
+    }
+
     closeModal() {
         this.gameDetailModal.classList.add('hidden');
         this.currentGame = null;
@@ -395,13 +810,12 @@ class GameHistoryApp {
         const game = this.games.find(g => g.id === gameId);
         if (!game) return;
 
-        const confirmed = confirm(`Are you sure you want to delete Game #${gameId}?\n\nThis action cannot be undone and will permanently remove all game data including:\n• Player scores\n• Turn history\n• Board state\n\nPlayers: ${game.player_names}`);
+        const confirmed = confirm(`Move Game #${gameId} to the trash?\n\nYou can restore it from the Trash until it is purged.\n\nPlayers: ${game.player_names}`);
 
         if (!confirmed) return;
 
         try {
             await window.scrabbleAPI.deleteGame(gameId);
-            this.showSuccess('Game deleted successfully');
             await this.loadGames(); // Refresh the list
         } catch (error) {
             console.error('Failed to delete game:', error);
@@ -409,6 +823,114 @@ class GameHistoryApp {
         }
     }
 
+    async loadTrash() {
+        try {
+            this.viewingTrash = true;
+            this.showLoading();
+
+            const { retentionDays, games } = await window.scrabbleAPI.getTrash();
+            this.trashedGames = games;
+
+            this.trashRetention.textContent = retentionDays > 0
+                ? `Deleted games are permanently removed ${retentionDays} days after they were deleted.`
+                : 'Deleted games are kept until you remove them.';
+
+            this.loadingState.classList.add('hidden');
+            this.trashView.classList.remove('hidden');
+            this.trashEmpty.classList.toggle('hidden', games.length > 0);
+            this.trashList.innerHTML = games.map(game => this.createTrashCard(game)).join('');
+        } catch (error) {
+            console.error('Failed to load trash:', error);
+            this.showError('Failed to load the trash. Please try again.');
+        }
+    }
+
+    createTrashCard(game) {
+        const formatDate = (value) => new Date(value).toLocaleDateString('en-AU', { timeZone: 'Australia/Melbourne' });
+        const playerNames = game.player_names
+            ? [...new Set(game.player_names.split(',').map((name) => name.trim()))]
+            : ['Unknown Players'];
+        const purgeText = game.purge_at ? ` · Removed for good on ${formatDate(game.purge_at)}` : '';
+
+        return `
+            <div class="bg-white rounded-2xl shadow-lg p-6" data-game-id="${game.id}">
+                <div class="flex flex-col gap-4 md:flex-row md:items-center md:justify-between">
+                    <div class="space-y-2">
+                        <div class="flex flex-wrap items-center gap-3">
+                            <h3 class="text-xl font-bold text-gray-900">Game #${game.id}</h3>
+                            ${this.buildStatusBadge(game.status)}
+                        </div>
+                        <div class="text-base text-gray-800">${playerNames.join(', ')}</div>
+                        <div class="text-sm text-gray-500">
+                            Played ${formatDate(game.created_at)} · Deleted ${formatDate(game.deleted_at)}${purgeText}
+                        </div>
+                    </div>
+                    <div class="md:w-60 flex flex-col gap-2">
+                        <button onclick="window.gameHistoryApp.restoreGame(${game.id})"
+                                class="w-full px-4 py-2.5 bg-indigo-600 text-white font-semibold rounded-lg shadow-sm hover:bg-indigo-700 transition">
+                            Restore
+                        </button>
+                        <button onclick="window.gameHistoryApp.purgeGame(${game.id})"
+                                class="w-full px-4 py-2.5 bg-white text-red-600 font-semibold rounded-lg border border-red-200 hover:border-red-300 hover:bg-red-50 transition">
+                            Delete Forever
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    async restoreGame(gameId) {
+        try {
+            await window.scrabbleAPI.restoreGame(gameId);
+            this.showSuccess(`Game #${gameId} is back in your history`);
+            await this.loadTrash();
+        } catch (error) {
+            console.error('Failed to restore game:', error);
+            this.showError('Failed to restore game. Please try again.');
+        }
+    }
+
+    async purgeGame(gameId) {
+        const game = this.trashedGames.find(g => g.id === gameId);
+        if (!game) return;
+
+        const confirmed = confirm(`Permanently delete Game #${gameId}?\n\nThis cannot be undone and removes all of its scores, turns and board history.\n\nPlayers: ${game.player_names}`);
+        if (!confirmed) return;
+
+        try {
+            await window.scrabbleAPI.purgeGame(gameId);
+            await this.loadTrash();
+        } catch (error) {
+            console.error('Failed to delete game:', error);
+            this.showError('Failed to delete game. Please try again.');
+        }
+    }
+
+    async importGcgFile() {
+        const file = this.importGcgInput.files[0];
+        this.importGcgInput.value = '';
+        if (!file) return;
+
+        try {
+            const result = await window.scrabbleAPI.importGcg(await file.text());
+
+            let message = `Imported ${file.name} as Game #${result.gameId} (${result.turnsImported} turns).`;
+            if (result.scoreDifferences.length > 0) {
+                const differences = result.scoreDifferences
+                    .map(diff => `• Line ${diff.line}: ${diff.player} ${diff.word} scored ${diff.computedScore} here, ${diff.fileScore} in the file`)
+                    .join('\n');
+                message += `\n\nScores that differ from the file (the scores calculated here were kept):\n${differences}`;
+            }
+            this.showSuccess(message);
+            await this.loadGames();
+        } catch (error) {
+            console.error('Failed to import GCG file:', error);
+            const line = error.data && error.data.line ? ` (line ${error.data.line})` : '';
+            this.showError(`Failed to import ${file.name}${line}: ${error.message}`);
+        }
+    }
+
     async resumeLatestPausedGame() {
         const interruptedGame = this.games.find((game) => game.status === 'interrupted');
         if (!interruptedGame) {
@@ -724,7 +724,7 @@ class GameController {
     // Handle abandon game
     async handleAbandonGame() {
         if (!window.gameState.gameId || this.isReadOnly) return;
-        const confirmed = confirm('Are you sure you want to abandon this game? This will permanently delete all progress.');
+        const confirmed = confirm('Are you sure you want to abandon this game? It will be moved to the Trash on the history screen.');
         if (!confirmed) return;
 
         try {
@@ -1218,7 +1218,7 @@ class GameController {
         const tileOrder = [
             'A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L', 'M',
             'N', 'O', 'P', 'Q', 'R', 'S', 'T', 'U', 'V', 'W', 'X', 'Y', 'Z',
-            'BLANK' // Blank tile explicitly at the end
+            '_' // Blank tile explicitly at the end
         ];
 
         tileOrder.forEach(letter => {
@@ -1251,7 +1251,7 @@ class GameController {
         countSpan.textContent = count;
         
         // Handle blank tiles
-        if (letter === 'BLANK') {
+        if (letter === '_') {
             tileButton.classList.add('tile-blank');
             letterSpan.textContent = 'BLANK';
             scoreSpan.textContent = '0';
@@ -4,7 +4,7 @@ class PlayerNameAutocomplete {
         this.delay = options.delay ?? 200;
         this.maxSuggestions = options.maxSuggestions ?? 10;
         this.activeRequests = new Map();
-        this.state = new Map(); // input -> {container, items, highlightedIndex}
+        this.state = new Map(); // input -> {container, items: [{id, name}], highlightedIndex}
 
         if (this.inputs.length > 0) {
             this.init();
@@ -147,9 +147,9 @@ class PlayerNameAutocomplete {
         try {
             const suggestions = await window.scrabbleAPI.searchPlayers(trimmedQuery ? trimmedQuery : undefined, this.maxSuggestions);
             const filtered = (suggestions || [])
-                .map((player) => this.canonicalizeName(player.name))
-                .filter(Boolean)
-                .filter((name) => !existingValues.has(name.toLowerCase()));
+                .map((player) => ({ id: player.id, name: this.canonicalizeName(player.name) }))
+                .filter((player) => player.name)
+                .filter((player) => !existingValues.has(player.name.toLowerCase()));
 
             state.items = filtered;
             state.highlightedIndex = filtered.length > 0 ? 0 : -1;
@@ -186,15 +186,23 @@ class PlayerNameAutocomplete {
             return;
         }
 
+        // The profile link opens in a new tab so names already typed aren't lost
         container.innerHTML = items
-            .map((name, index) => {
+            .map((player, index) => {
                 const isHighlighted = index === highlightedIndex;
-                return `<button type="button" class="player-autocomplete-item ${isHighlighted ? 'highlighted' : ''}" data-index="${index}">
-                            ${this.highlightMatch(name, state.lastQuery)}
-                        </button>`;
+                return `<div class="player-autocomplete-row">
+                            <button type="button" class="player-autocomplete-item ${isHighlighted ? 'highlighted' : ''}" data-index="${index}">
+                                ${this.highlightMatch(player.name, state.lastQuery)}
+                            </button>
+                            <a href="/player.html?id=${player.id}" target="_blank" rel="noopener" class="player-autocomplete-profile">Profile</a>
+                        </div>`;
             })
             .join('');
 
+        container.querySelectorAll('.player-autocomplete-profile').forEach((link) => {
+            link.addEventListener('mousedown', (event) => event.preventDefault()); // Prevent input blur
+        });
+
         container.classList.remove('hidden');
 
         container.querySelectorAll('.player-autocomplete-item').forEach((btn) => {
@@ -218,7 +226,7 @@ class PlayerNameAutocomplete {
     }
 
     selectSuggestion(input, suggestion) {
-        input.value = suggestion;
+        input.value = suggestion.name;
         input.dispatchEvent(new Event('input', { bubbles: true }));
         this.hideSuggestions(input);
         input.focus();
@@ -0,0 +1,130 @@
+// Player Profile Page Controller
+class PlayerProfileApp {
+    constructor() {
+        this.playerId = parseInt(new URLSearchParams(window.location.search).get('id'));
+
+        // Initialize when DOM is ready
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.init());
+        } else {
+            this.init();
+        }
+    }
+
+    async init() {
+        this.loadingState = document.getElementById('loading-state');
+        this.errorState = document.getElementById('error-state');
+        this.profile = document.getElementById('profile');
+
+        if (!Number.isInteger(this.playerId)) {
+            this.showNotFound();
+            return;
+        }
+
+        try {
+            const profile = await window.scrabbleAPI.getPlayerProfile(this.playerId);
+            this.renderProfile(profile);
+        } catch (error) {
+            console.error('Failed to load player profile:', error);
+            this.showNotFound();
+        }
+    }
+
+    showNotFound() {
+        this.loadingState.classList.add('hidden');
+        this.errorState.classList.remove('hidden');
+    }
+
+    renderProfile(profile) {
+        document.title = `${profile.name} - Scrabble Keeper`;
+        document.getElementById('profile-name').textContent = profile.name;
+        document.getElementById('profile-archived').classList.toggle('hidden', !profile.archivedAt);
+
+        const record = `${profile.wins} won · ${profile.losses} lost${profile.ties > 0 ? ` · ${profile.ties} tied` : ''}`;
+        const inProgress = profile.gamesInProgress > 0 ? ` · ${profile.gamesInProgress} in progress` : '';
+        document.getElementById('profile-summary').textContent = profile.gamesPlayed > 0
+            ? `${profile.gamesPlayed} finished ${profile.gamesPlayed === 1 ? 'game' : 'games'}: ${record}${inProgress}`
+            : `No finished games yet${inProgress}`;
+
+        const bestTurn = profile.bestTurn
+            ? `${profile.bestTurn.word} <span class="text-sm font-normal text-gray-500">(${profile.bestTurn.score})</span>`
+            : '–';
+        const rating = profile.rating
+            ? `${profile.rating.rating} <span class="text-sm font-normal text-gray-500">(peak ${profile.rating.peak})</span>`
+            : '–';
+        const stats = [
+            ['Rating', rating],
+            ['Win rate', `${Math.round(profile.winRate * 100)}%`],
+            ['Average score', profile.averageScore],
+            ['Best game', profile.bestGame ? profile.bestGame.score : '–'],
+            ['Points per turn', profile.averagePointsPerTurn],
+            ['Bingos', profile.bingos],
+            ['Turns taken', profile.turnsTaken],
+            ['Best turn', bestTurn]
+        ];
+        document.getElementById('profile-stats').innerHTML = stats.map(([label, value]) => `
+            <div class="bg-white rounded-2xl shadow-lg p-4">
+                <div class="text-sm font-medium text-gray-500">${label}</div>
+                <div class="text-2xl font-bold text-gray-900 mt-1">${value}</div>
+            </div>
+        `).join('');
+
+        this.renderRecentForm(profile.recentForm);
+        this.renderFavouriteWords(profile.favouriteWords);
+
+        this.loadingState.classList.add('hidden');
+        this.profile.classList.remove('hidden');
+    }
+
+    renderRecentForm(games) {
+        const container = document.getElementById('profile-recent');
+        if (games.length === 0) {
+            container.innerHTML = '<p class="text-gray-500">No finished games yet</p>';
+            return;
+        }
+
+        const badges = {
+            win: 'bg-green-100 text-green-800',
+            loss: 'bg-red-100 text-red-800',
+            tie: 'bg-gray-100 text-gray-700'
+        };
+
+        container.innerHTML = games.map(game => {
+            const date = new Date(game.date).toLocaleDateString('en-AU', { timeZone: 'Australia/Melbourne' });
+            const opponents = game.opponents
+                .map(opponent => `<a href="/player.html?id=${opponent.id}" class="hover:underline">${opponent.name}</a> ${opponent.score}`)
+                .join(', ');
+
+            return `
+                <div class="flex items-center justify-between gap-3 p-3 rounded-lg border border-gray-200">
+                    <a href="/?game=${game.gameId}&view=history" class="flex items-center gap-3 hover:underline">
+                        <span class="w-12 text-center px-2 py-1 rounded-full text-xs font-bold uppercase ${badges[game.result]}">${game.result}</span>
+                        <div>
+                            <div class="font-semibold text-gray-800">${game.score}</div>
+                            <div class="text-xs text-gray-500">${date}</div>
+                        </div>
+                    </a>
+                    <div class="text-sm text-gray-600 text-right">vs ${opponents || '–'}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderFavouriteWords(words) {
+        const container = document.getElementById('profile-words');
+        if (words.length === 0) {
+            container.innerHTML = '<p class="text-gray-500">No words played yet</p>';
+            return;
+        }
+
+        container.innerHTML = words.map(word => `
+            <div class="flex items-center justify-between p-3 rounded-lg border border-gray-200">
+                <span class="font-mono font-semibold tracking-wide text-gray-800">${word.word}</span>
+                <span class="text-sm text-gray-500">played ${word.count}× · best ${word.bestScore}</span>
+            </div>
+        `).join('');
+    }
+}
+
+// Initialize the app
+window.playerProfileApp = new PlayerProfileApp();
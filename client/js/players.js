@@ -0,0 +1,171 @@
+// Player Admin Page Controller
+class PlayerAdminApp {
+    constructor() {
+        this.players = [];
+        this.mergingPlayer = null;
+
+        // Initialize when DOM is ready
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.init());
+        } else {
+            this.init();
+        }
+    }
+
+    async init() {
+        this.setupElements();
+        this.setupEventListeners();
+        await this.loadPlayers();
+    }
+
+    setupElements() {
+        this.loadingState = document.getElementById('loading-state');
+        this.emptyState = document.getElementById('empty-state');
+        this.playersList = document.getElementById('players-list');
+
+        this.mergeModal = document.getElementById('merge-modal');
+        this.mergeTitle = document.getElementById('merge-title');
+        this.mergeTarget = document.getElementById('merge-target');
+        this.mergeCancelBtn = document.getElementById('merge-cancel-btn');
+        this.mergeConfirmBtn = document.getElementById('merge-confirm-btn');
+    }
+
+    setupEventListeners() {
+        this.mergeCancelBtn.addEventListener('click', () => this.closeMergeDialog());
+        this.mergeConfirmBtn.addEventListener('click', () => this.confirmMerge());
+        this.mergeModal.addEventListener('click', (e) => {
+            if (e.target === this.mergeModal) {
+                this.closeMergeDialog();
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.mergeModal.classList.contains('hidden')) {
+                this.closeMergeDialog();
+            }
+        });
+    }
+
+    async loadPlayers() {
+        try {
+            this.players = await window.scrabbleAPI.getAllPlayers();
+
+            this.loadingState.classList.add('hidden');
+            this.emptyState.classList.toggle('hidden', this.players.length > 0);
+            this.playersList.classList.toggle('hidden', this.players.length === 0);
+            this.playersList.innerHTML = this.players.map(player => this.createPlayerRow(player)).join('');
+        } catch (error) {
+            console.error('Failed to load players:', error);
+            this.showError('Failed to load players. Please try again.');
+        }
+    }
+
+    createPlayerRow(player) {
+        const archivedBadge = player.archived_at
+            ? '<span class="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-600">Archived</span>'
+            : '';
+        const gamesText = player.games_played === 1 ? '1 game' : `${player.games_played} games`;
+        const buttonClass = 'px-3 py-1.5 text-sm font-semibold rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 transition';
+
+        return `
+            <div class="flex flex-col gap-3 p-4 sm:flex-row sm:items-center sm:justify-between" data-player-id="${player.id}">
+                <div>
+                    <div class="flex items-center gap-2">
+                        <a href="/player.html?id=${player.id}" class="text-lg font-semibold hover:underline ${player.archived_at ? 'text-gray-500' : 'text-gray-900'}">${this.escapeHtml(player.name)}</a>
+                        ${archivedBadge}
+                    </div>
+                    <div class="text-sm text-gray-500">${gamesText}</div>
+                </div>
+                <div class="flex flex-wrap gap-2">
+                    <button onclick="window.playerAdminApp.renamePlayer(${player.id})" class="${buttonClass}">Rename</button>
+                    <button onclick="window.playerAdminApp.openMergeDialog(${player.id})" class="${buttonClass}">Merge</button>
+                    <button onclick="window.playerAdminApp.toggleArchived(${player.id})" class="${buttonClass}">
+                        ${player.archived_at ? 'Unarchive' : 'Archive'}
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    async renamePlayer(playerId) {
+        const player = this.players.find(p => p.id === playerId);
+        if (!player) return;
+
+        const name = prompt(`Rename ${player.name} to:`, player.name);
+        if (!name || name.trim() === player.name) return;
+
+        try {
+            await window.scrabbleAPI.renamePlayer(playerId, name);
+            await this.loadPlayers();
+        } catch (error) {
+            console.error('Failed to rename player:', error);
+            this.showError(error.message || 'Failed to rename player. Please try again.');
+        }
+    }
+
+    openMergeDialog(playerId) {
+        const player = this.players.find(p => p.id === playerId);
+        if (!player) return;
+
+        const others = this.players.filter(p => p.id !== playerId);
+        if (others.length === 0) {
+            this.showError('There is no other player to merge into.');
+            return;
+        }
+
+        this.mergingPlayer = player;
+        this.mergeTitle.textContent = `Merge ${player.name}`;
+        this.mergeTarget.innerHTML = others
+            .map(p => `<option value="${p.id}">${this.escapeHtml(p.name)}${p.archived_at ? ' (archived)' : ''}</option>`)
+            .join('');
+        this.mergeModal.classList.remove('hidden');
+    }
+
+    closeMergeDialog() {
+        this.mergingPlayer = null;
+        this.mergeModal.classList.add('hidden');
+    }
+
+    async confirmMerge() {
+        const player = this.mergingPlayer;
+        const target = this.players.find(p => p.id === parseInt(this.mergeTarget.value));
+        if (!player || !target) return;
+
+        const confirmed = confirm(`Merge ${player.name} into ${target.name}?\n\n${player.name}'s games will be credited to ${target.name}. This cannot be undone.`);
+        if (!confirmed) return;
+
+        try {
+            await window.scrabbleAPI.mergePlayers(player.id, target.id);
+            this.closeMergeDialog();
+            await this.loadPlayers();
+        } catch (error) {
+            console.error('Failed to merge players:', error);
+            this.showError(error.message || 'Failed to merge players. Please try again.');
+        }
+    }
+
+    async toggleArchived(playerId) {
+        const player = this.players.find(p => p.id === playerId);
+        if (!player) return;
+
+        try {
+            await window.scrabbleAPI.setPlayerArchived(playerId, !player.archived_at);
+            await this.loadPlayers();
+        } catch (error) {
+            console.error('Failed to archive player:', error);
+            this.showError('Failed to update player. Please try again.');
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    showError(message) {
+        alert(message);
+    }
+}
+
+// Initialize the app
+window.playerAdminApp = new PlayerAdminApp();
@@ -84,7 +84,7 @@ class RealTimeTilePlacement {
     handleWordInput(word) {
         if (!this.isActive) return;
 
-        this.currentWord = word.toUpperCase().replace(/[^A-Z]/g, '');
+        this.currentWord = word.toUpperCase().replace(/[^\p{L}·]/gu, '');
         console.log('Real-Time Tile Placement: Updating word to', this.currentWord);
         this.updateTiles(this.currentWord);
     }
@@ -99,9 +99,10 @@ class RealTimeTilePlacement {
         // Clear previous preview tiles
         this.clearPreviewTiles();
 
-        // Create tile elements for each letter in the word
-        for (let i = 0; i < word.length; i++) {
-            const letter = word[i];
+        // Create tile elements for each tile in the word (digraph tiles take one square)
+        const tiles = this.gameState.splitWordIntoTiles(word);
+        for (let i = 0; i < tiles.length; i++) {
+            const letter = tiles[i];
             const row = this.direction === 'across' ? this.startRow : this.startRow + i;
             const col = this.direction === 'across' ? this.startCol + i : this.startCol;
 
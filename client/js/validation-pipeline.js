@@ -397,7 +397,7 @@ class ValidationPipeline {
                 const isBlank = blankIndices && blankIndices.has(placement.wordIndex);
                 
                 if (isBlank) {
-                    requiredTiles['BLANK'] = (requiredTiles['BLANK'] || 0) + 1;
+                    requiredTiles['_'] = (requiredTiles['_'] || 0) + 1;
                 } else {
                     requiredTiles[letter] = (requiredTiles[letter] || 0) + 1;
                 }
@@ -419,7 +419,7 @@ class ValidationPipeline {
             
             if (missingTiles.length > 0) {
                 const missingTileMessages = missingTiles.map(tile => 
-                    `${tile.letter}: ${tile.shortage} needed (${tile.available} available)`
+                    `${tile.letter === '_' ? 'Blank' : tile.letter}: ${tile.shortage} needed (${tile.available} available)`
                 ).join(', ');
                 
                 return {
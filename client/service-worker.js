@@ -1,12 +1,18 @@
-const CACHE_NAME = 'scrabble-scorer-v1';
+// Bump the version whenever cached files change, or installed apps keep running the old ones
+const CACHE_NAME = 'scrabble-scorer-v2';
 const urlsToCache = [
   '/',
   '/history.html',
+  '/players.html',
+  '/player.html',
   '/css/styles.css',
   '/js/app.js',
   '/js/api.js',
   '/js/game-state.js',
   '/js/history.js',
+  '/js/topbar.js',
+  '/js/players.js',
+  '/js/player-profile.js',
   '/manifest.json',
   'https://cdn.tailwindcss.com',
   'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap'
@@ -1,302 +1,260 @@
 const Database = require('better-sqlite3');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { MIGRATIONS, tableExists } = require('./migrations');
+const ratings = require('../services/ratings');
 
 // Database file path
 const dbPath = path.join(__dirname, 'scrabble.db');
 
-function tableExists(db, tableName) {
-    const result = db
-        .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?")
-        .get(tableName);
-    return !!result;
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+const BUSY_TIMEOUT_MS = 5000;
+const STATEMENT_CACHE_SIZE = 200;
+
+function ensureMigrationsTable(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
 }
 
-function canonicalizePlayerName(name) {
-    if (!name || typeof name !== 'string') {
-        return '';
+function getAppliedMigrations(db) {
+    if (!tableExists(db, 'schema_migrations')) {
+        return new Map();
     }
+    const rows = db.prepare('SELECT version, applied_at FROM schema_migrations').all();
+    return new Map(rows.map(row => [row.version, row.applied_at]));
+}
 
-    return name
-        .trim()
-        .replace(/\s+/g, ' ')
-        .split(' ')
-        .filter(Boolean)
-        .map(part => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase())
-        .join(' ');
+function getPendingMigrations(db) {
+    const applied = getAppliedMigrations(db);
+    return MIGRATIONS.filter(migration => !applied.has(migration.version));
 }
 
-function canonicalizeExistingPlayers(db) {
-    const selectPlayers = db.prepare('SELECT id, name FROM players');
-    const updatePlayer = db.prepare('UPDATE players SET name = ? WHERE id = ?');
+// A database with none of the app's tables is created from schema.sql instead of migrated
+function isNewDatabase(db) {
+    return !tableExists(db, 'schema_migrations') && !tableExists(db, 'games');
+}
 
-    for (const player of selectPlayers.all()) {
-        let canonical = canonicalizePlayerName(player.name);
-        if (!canonical) {
-            canonical = `Player ${player.id}`;
-        }
+function applySchema(db) {
+    const schemaPath = path.join(__dirname, 'schema.sql');
+    const schema = fs.readFileSync(schemaPath, 'utf8');
 
-        if (canonical !== player.name) {
-            updatePlayer.run(canonical, player.id);
-        }
-    }
+    // Split schema into individual statements and execute
+    const statements = schema.split(';').filter(stmt => stmt.trim());
+    statements.forEach(statement => {
+        db.exec(statement);
+    });
 }
 
-function mergeDuplicatePlayers(db, { hasGamePlayers, hasTurns, hasGames }) {
-    const duplicates = db.prepare(`
-        SELECT LOWER(name) AS lower_name, GROUP_CONCAT(id) AS ids
-        FROM players
-        GROUP BY LOWER(name)
-        HAVING COUNT(*) > 1
-    `).all();
-
-    if (duplicates.length === 0) {
-        return;
+function runMigration(db, migration) {
+    // foreign_keys can only be changed outside a transaction
+    if (migration.foreignKeys === false) {
+        db.pragma('foreign_keys = OFF');
     }
 
-    const updateGamePlayers = hasGamePlayers
-        ? db.prepare('UPDATE game_players SET player_id = ? WHERE player_id = ?')
-        : null;
-    const updateTurns = hasTurns
-        ? db.prepare('UPDATE turns SET player_id = ? WHERE player_id = ?')
-        : null;
-    const updateGames = hasGames
-        ? db.prepare('UPDATE games SET winner_id = ? WHERE winner_id = ?')
-        : null;
-    const deletePlayer = db.prepare('DELETE FROM players WHERE id = ?');
-
-    duplicates.forEach(dup => {
-        const ids = dup.ids.split(',').map(id => parseInt(id, 10)).filter(Number.isInteger);
-        if (ids.length === 0) {
-            return;
+    try {
+        db.transaction(() => {
+            migration.up(db);
+            db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)')
+                .run(migration.version, migration.name);
+        })();
+    } finally {
+        if (migration.foreignKeys === false) {
+            db.pragma('foreign_keys = ON');
         }
-        const primaryId = ids.shift();
+    }
+}
 
-        ids.forEach(duplicateId => {
-            if (hasGamePlayers) {
-                updateGamePlayers.run(primaryId, duplicateId);
-            }
-            if (hasTurns) {
-                updateTurns.run(primaryId, duplicateId);
-            }
-            if (hasGames) {
-                updateGames.run(primaryId, duplicateId);
-            }
-            deletePlayer.run(duplicateId);
-        });
+// Runs each pending migration once, in version order. A failed migration is rolled back
+// and stops the ones after it, so the next start-up retries from the same place.
+function performMigrations(db) {
+    ensureMigrationsTable(db);
+
+    const pending = getPendingMigrations(db);
+    pending.forEach(migration => {
+        console.log(`Applying migration ${migration.version} (${migration.name})...`);
+        runMigration(db, migration);
     });
+
+    return pending;
 }
 
-function migrateGamesStatusConstraint(db) {
-    const tableInfo = db.prepare(`
-        SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'games'
-    `).get();
+// Initialize database
+function initializeDatabase() {
+    console.log('Initializing database...');
 
-    if (!tableInfo || !tableInfo.sql || tableInfo.sql.includes("'interrupted'")) {
-        return;
-    }
+    // Create database connection
+    const db = new Database(dbPath);
+    db.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
 
-    db.exec(`
-        CREATE TABLE IF NOT EXISTS games_migration (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            status TEXT DEFAULT 'active' CHECK (status IN ('active', 'finished', 'interrupted')),
-            winner_id INTEGER,
-            board_state TEXT DEFAULT '[]',
-            FOREIGN KEY (winner_id) REFERENCES players(id)
-        );
-        
-        INSERT INTO games_migration (id, created_at, status, winner_id, board_state)
-        SELECT id, created_at, status, winner_id, board_state FROM games;
-        
-        DROP TABLE games;
-        ALTER TABLE games_migration RENAME TO games;
-    `);
-}
+    // Enable foreign keys
+    db.pragma('foreign_keys = ON');
 
-function ensureLowercaseIndex(db) {
     try {
-        db.prepare('CREATE UNIQUE INDEX IF NOT EXISTS idx_players_name_lower ON players(LOWER(name))').run();
-    } catch (error) {
-        console.error('Failed to ensure idx_players_name_lower index:', error.message);
+        if (isNewDatabase(db)) {
+            // schema.sql already matches every migration, so they are recorded without running
+            db.transaction(() => {
+                ensureMigrationsTable(db);
+                applySchema(db);
+                const recordMigration = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+                MIGRATIONS.forEach(migration => recordMigration.run(migration.version, migration.name));
+            })();
+            console.log(`Created schema at version ${LATEST_VERSION}`);
+        } else {
+            const applied = performMigrations(db);
+            console.log(applied.length > 0
+                ? `Applied ${applied.length} migration(s)`
+                : 'Database schema is up to date');
+        }
+
+        console.log('Database initialized successfully!');
+        console.log(`Database location: ${dbPath}`);
+    } finally {
+        // Close connection
+        db.close();
     }
 }
 
-function recalculateRoundNumbers(db) {
-    console.log('Recalculating round numbers for existing turns...');
-
-    const games = db.prepare('SELECT id FROM games').all();
-    const getNumPlayers = db.prepare('SELECT COUNT(*) as count FROM game_players WHERE game_id = ?');
-    const getTurns = db.prepare('SELECT id, player_id, round_number FROM turns WHERE game_id = ? ORDER BY id');
-    const updateTurnRoundNumber = db.prepare('UPDATE turns SET round_number = ? WHERE id = ?');
+// The server shares one connection. better-sqlite3 is synchronous, so requests never
+// interleave on it. WAL makes commits cheaper and lets other processes read while the server
+// writes, and the busy timeout makes them wait for a lock instead of failing.
+let sharedDb = null;
 
-    db.transaction(() => {
-        games.forEach(game => {
-            const numPlayersResult = getNumPlayers.get(game.id);
-            const numPlayers = numPlayersResult ? numPlayersResult.count : 0;
+// Reuses prepared statements by SQL text. Routes build a few statements from variable
+// parts, so the cache drops its oldest entry once it is full.
+function cachePreparedStatements(db) {
+    const prepare = db.prepare.bind(db);
+    const statements = new Map();
 
-            if (numPlayers === 0) {
-                console.warn(`Game ${game.id} has no players, skipping round number recalculation.`);
-                return;
+    db.prepare = sql => {
+        let statement = statements.get(sql);
+        if (!statement) {
+            statement = prepare(sql);
+            if (statements.size >= STATEMENT_CACHE_SIZE) {
+                statements.delete(statements.keys().next().value);
             }
-
-            const turns = getTurns.all(game.id);
-            turns.forEach((turn, index) => {
-                const newRoundNumber = Math.floor(index / numPlayers) + 1;
-                if (turn.round_number !== newRoundNumber) {
-                    updateTurnRoundNumber.run(newRoundNumber, turn.id);
-                }
-            });
-        });
-    })();
-    console.log('Round number recalculation complete.');
+            statements.set(sql, statement);
+        }
+        return statement;
+    };
 }
 
-function migrateDirectionConstraint(db) {
-    console.log('Migrating direction constraint to allow adjustment turns...');
-    
-    // Check if the constraint already allows 'adjustment'
-    const tableInfo = db.prepare(`
-        SELECT sql FROM sqlite_master 
-        WHERE type = 'table' AND name = 'turns'
-    `).get();
-    
-    if (tableInfo && tableInfo.sql && tableInfo.sql.includes("'adjustment'")) {
-        console.log('Direction constraint already includes adjustment - skipping migration');
-        return;
+// Get database connection
+function getDatabase() {
+    if (!sharedDb) {
+        sharedDb = new Database(dbPath);
+        sharedDb.pragma('journal_mode = WAL');
+        sharedDb.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
+        sharedDb.pragma('foreign_keys = ON');
+        cachePreparedStatements(sharedDb);
     }
-    
-    // Create a backup of the turns table
-    db.exec(`
-        CREATE TABLE turns_backup AS SELECT * FROM turns;
-    `);
-    
-    // Drop the original table
-    db.exec('DROP TABLE turns');
-    
-    // Recreate the table with the updated constraint
-    db.exec(`
-        CREATE TABLE turns (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            game_id INTEGER NOT NULL,
-            player_id INTEGER NOT NULL,
-            round_number INTEGER NOT NULL,
-            word TEXT NOT NULL,
-            score INTEGER NOT NULL,
-            secondary_words TEXT DEFAULT '[]',
-            board_state_after TEXT NOT NULL,
-            start_row INTEGER NOT NULL,
-            start_col INTEGER NOT NULL,
-            direction TEXT NOT NULL CHECK (direction IN ('across', 'down', 'adjustment')),
-            blank_tiles TEXT DEFAULT '[]',
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE,
-            FOREIGN KEY (player_id) REFERENCES players(id)
-        );
-    `);
-    
-    // Restore data from backup
-    db.exec(`
-        INSERT INTO turns 
-        SELECT * FROM turns_backup;
-    `);
-    
-    // Drop the backup table
-    db.exec('DROP TABLE turns_backup');
-    
-    // Recreate indexes
-    db.exec('CREATE INDEX IF NOT EXISTS idx_turns_game_id ON turns(game_id)');
-    db.exec('CREATE INDEX IF NOT EXISTS idx_turns_player_id ON turns(player_id)');
-    db.exec('CREATE INDEX IF NOT EXISTS idx_turns_round_number ON turns(game_id, round_number)');
-    
-    console.log('Direction constraint migration completed successfully.');
+    return sharedDb;
 }
 
-function performMigrations(db) {
-    const hasPlayers = tableExists(db, 'players');
-    const hasGamePlayers = tableExists(db, 'game_players');
-    const hasTurns = tableExists(db, 'turns');
-    const hasGames = tableExists(db, 'games');
-
-    if (hasPlayers) {
-        const playerMaintenance = db.transaction(() => {
-            canonicalizeExistingPlayers(db);
-            mergeDuplicatePlayers(db, { hasGamePlayers, hasTurns, hasGames });
-        });
-        playerMaintenance();
-        ensureLowercaseIndex(db);
+// Closes the shared connection, checkpointing the WAL back into the database file
+function closeDatabase() {
+    if (sharedDb) {
+        sharedDb.close();
+        sharedDb = null;
     }
+}
 
-    if (hasGames) {
-        const migrateGames = db.transaction(() => {
-            migrateGamesStatusConstraint(db);
-        });
-        migrateGames();
+// Initializes the database and fills in what is derived from it, such as ratings for games
+// that have none. Runs at start-up and again after a backup is restored.
+function prepareDatabase() {
+    initializeDatabase();
+
+    const rated = ratings.ensureRatings(getDatabase());
+    if (rated) {
+        console.log(`[SERVER] Rated ${rated.gamesRated} finished games`);
     }
+}
 
-    // New migration step for recalculating round numbers
-    if (hasTurns && hasGamePlayers && hasGames) { // Ensure all relevant tables exist
-        recalculateRoundNumbers(db);
+// Lists every migration and whether the database has it, without changing anything
+function printMigrationStatus() {
+    if (!fs.existsSync(dbPath)) {
+        console.log(`No database at ${dbPath}; it will be created at version ${LATEST_VERSION}.`);
+        return;
     }
-    
-    // New migration step for updating direction constraint to allow adjustment turns
-    if (hasTurns) {
-        const migrateDirection = db.transaction(() => {
-            migrateDirectionConstraint(db);
+
+    const db = new Database(dbPath, { readonly: true });
+    try {
+        const applied = getAppliedMigrations(db);
+        if (!isNewDatabase(db) && !tableExists(db, 'schema_migrations')) {
+            console.log('Database is not versioned yet; every migration will run on the next start.');
+        }
+        MIGRATIONS.forEach(migration => {
+            const state = applied.has(migration.version) ? `applied ${applied.get(migration.version)}` : 'pending';
+            console.log(`  ${String(migration.version).padStart(3)}  ${migration.name.padEnd(30)} ${state}`);
         });
-        migrateDirection();
+    } finally {
+        db.close();
     }
 }
 
-// Initialize database
-function initializeDatabase() {
-    console.log('Initializing database...');
-    
-    // Create database connection
-    const db = new Database(dbPath);
-    
-    // Enable foreign keys
-    db.pragma('foreign_keys = ON');
+// Runs the pending migrations against a copy of the database and reports the outcome.
+// The real database is never written.
+function dryRunMigrations() {
+    if (!fs.existsSync(dbPath)) {
+        console.log(`No database at ${dbPath}; it will be created at version ${LATEST_VERSION}.`);
+        return true;
+    }
 
-    // Run migrations before applying schema
-    performMigrations(db);
-    
-    // Read and execute schema
-    const schemaPath = path.join(__dirname, 'schema.sql');
-    const schema = fs.readFileSync(schemaPath, 'utf8');
-    
-    // Split schema into individual statements and execute
-    const statements = schema.split(';').filter(stmt => stmt.trim());
-    
-    db.transaction(() => {
-        statements.forEach(statement => {
-            if (statement.trim()) {
-                db.exec(statement);
-            }
-        });
-    })();
-    
-    console.log('Database initialized successfully!');
-    console.log(`Database location: ${dbPath}`);
-    
-    // Close connection
-    db.close();
-}
+    const copyPath = path.join(os.tmpdir(), `scrabble-dry-run-${process.pid}.db`);
+    const source = new Database(dbPath, { readonly: true });
+    try {
+        source.prepare('VACUUM INTO ?').run(copyPath);
+    } finally {
+        source.close();
+    }
 
-// Get database connection
-function getDatabase() {
-    const db = new Database(dbPath);
+    const db = new Database(copyPath);
     db.pragma('foreign_keys = ON');
-    return db;
+    try {
+        if (isNewDatabase(db)) {
+            console.log('Database has no tables; it will be created from schema.sql.');
+            return true;
+        }
+
+        const pending = getPendingMigrations(db);
+        if (pending.length === 0) {
+            console.log('No pending migrations.');
+            return true;
+        }
+
+        performMigrations(db);
+        console.log(`Dry run succeeded: ${pending.length} migration(s) would be applied.`);
+        return true;
+    } catch (error) {
+        console.error('Dry run failed:', error.message);
+        return false;
+    } finally {
+        db.close();
+        fs.rmSync(copyPath, { force: true });
+    }
 }
 
 // Run initialization if called directly
 if (require.main === module) {
-    initializeDatabase();
+    if (process.argv.includes('--status')) {
+        printMigrationStatus();
+    } else if (process.argv.includes('--dry-run')) {
+        process.exitCode = dryRunMigrations() ? 0 : 1;
+    } else {
+        initializeDatabase();
+    }
 }
 
 module.exports = {
     initializeDatabase,
+    prepareDatabase,
     getDatabase,
-    dbPath
+    closeDatabase,
+    dbPath,
+    LATEST_VERSION
 };
@@ -0,0 +1,572 @@
+const { describeTurnBoard } = require('../services/boardHistory');
+const { canonicalizePlayerName } = require('../services/players');
+
+// Numbered schema migrations. Each one runs once, in order, inside a transaction, and is
+// recorded in schema_migrations. A new database is created from schema.sql and starts with
+// every migration here marked as applied, so schema.sql must always match the result of
+// running all of them.
+//
+// Migrations 1-7 bring databases from before versioning up to date. They check the schema
+// before changing it because those databases could be at any earlier state. Migration 11
+// does the same for the rewind tables, which those databases may or may not have.
+//
+// To change the schema: update schema.sql and add the next version to the end of MIGRATIONS.
+// Never edit or renumber a migration that has shipped.
+
+function tableExists(db, tableName) {
+    const result = db
+        .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?")
+        .get(tableName);
+    return !!result;
+}
+
+function canonicalizeExistingPlayers(db) {
+    const selectPlayers = db.prepare('SELECT id, name FROM players');
+    const updatePlayer = db.prepare('UPDATE players SET name = ? WHERE id = ?');
+
+    for (const player of selectPlayers.all()) {
+        let canonical = canonicalizePlayerName(player.name);
+        if (!canonical) {
+            canonical = `Player ${player.id}`;
+        }
+
+        if (canonical !== player.name) {
+            updatePlayer.run(canonical, player.id);
+        }
+    }
+}
+
+function mergeDuplicatePlayers(db, { hasGamePlayers, hasTurns, hasGames }) {
+    const duplicates = db.prepare(`
+        SELECT LOWER(name) AS lower_name, GROUP_CONCAT(id) AS ids
+        FROM players
+        GROUP BY LOWER(name)
+        HAVING COUNT(*) > 1
+    `).all();
+
+    if (duplicates.length === 0) {
+        return;
+    }
+
+    const updateGamePlayers = hasGamePlayers
+        ? db.prepare('UPDATE game_players SET player_id = ? WHERE player_id = ?')
+        : null;
+    const updateTurns = hasTurns
+        ? db.prepare('UPDATE turns SET player_id = ? WHERE player_id = ?')
+        : null;
+    const updateGames = hasGames
+        ? db.prepare('UPDATE games SET winner_id = ? WHERE winner_id = ?')
+        : null;
+    const deletePlayer = db.prepare('DELETE FROM players WHERE id = ?');
+
+    duplicates.forEach(dup => {
+        const ids = dup.ids.split(',').map(id => parseInt(id, 10)).filter(Number.isInteger);
+        if (ids.length === 0) {
+            return;
+        }
+        const primaryId = ids.shift();
+
+        ids.forEach(duplicateId => {
+            if (hasGamePlayers) {
+                updateGamePlayers.run(primaryId, duplicateId);
+            }
+            if (hasTurns) {
+                updateTurns.run(primaryId, duplicateId);
+            }
+            if (hasGames) {
+                updateGames.run(primaryId, duplicateId);
+            }
+            deletePlayer.run(duplicateId);
+        });
+    });
+}
+
+function migrateGamesStatusConstraint(db) {
+    const tableInfo = db.prepare(`
+        SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'games'
+    `).get();
+
+    if (!tableInfo || !tableInfo.sql || tableInfo.sql.includes("'ending'")) {
+        return;
+    }
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS games_migration (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            status TEXT DEFAULT 'active' CHECK (status IN ('active', 'ending', 'finished', 'interrupted')),
+            winner_id INTEGER,
+            board_state TEXT DEFAULT '[]',
+            challenge_rule TEXT DEFAULT 'double' CHECK (challenge_rule IN ('double', 'single')),
+            challenge_penalty INTEGER DEFAULT 5,
+            dictionary_mode TEXT DEFAULT 'off' CHECK (dictionary_mode IN ('strict', 'warn', 'off')),
+            dictionary_locale TEXT,
+            ruleset TEXT,
+            FOREIGN KEY (winner_id) REFERENCES players(id)
+        );
+    `);
+
+    // Copy only the columns the old table has; newer columns keep their defaults
+    const newColumns = new Set(db.prepare('PRAGMA table_info(games_migration)').all().map(column => column.name));
+    const sharedColumns = db.prepare('PRAGMA table_info(games)').all()
+        .map(column => column.name)
+        .filter(name => newColumns.has(name))
+        .join(', ');
+
+    db.exec(`
+        INSERT INTO games_migration (${sharedColumns})
+        SELECT ${sharedColumns} FROM games;
+
+        DROP TABLE games;
+        ALTER TABLE games_migration RENAME TO games;
+    `);
+}
+
+function ensureLowercaseIndex(db) {
+    try {
+        db.prepare('CREATE UNIQUE INDEX IF NOT EXISTS idx_players_name_lower ON players(LOWER(name))').run();
+    } catch (error) {
+        console.error('Failed to ensure idx_players_name_lower index:', error.message);
+    }
+}
+
+function recalculateRoundNumbers(db) {
+    console.log('Recalculating round numbers for existing turns...');
+
+    const games = db.prepare('SELECT id FROM games').all();
+    const getNumPlayers = db.prepare('SELECT COUNT(*) as count FROM game_players WHERE game_id = ?');
+    const hasChallengeResult = columnExists(db, 'turns', 'challenge_result');
+    const getTurns = db.prepare(`
+        SELECT id, player_id, round_number,
+               ${hasChallengeResult ? 'challenge_result' : 'NULL AS challenge_result'}
+        FROM turns WHERE game_id = ? ORDER BY id
+    `);
+    const updateTurnRoundNumber = db.prepare('UPDATE turns SET round_number = ? WHERE id = ?');
+
+    db.transaction(() => {
+        games.forEach(game => {
+            const numPlayersResult = getNumPlayers.get(game.id);
+            const numPlayers = numPlayersResult ? numPlayersResult.count : 0;
+
+            if (numPlayers === 0) {
+                console.warn(`Game ${game.id} has no players, skipping round number recalculation.`);
+                return;
+            }
+
+            const turns = getTurns.all(game.id);
+            let turnIndex = 0;
+            turns.forEach(turn => {
+                // Single-challenge penalties are recorded without using up a turn
+                const consumesTurn = turn.challenge_result !== 'penalty';
+                const newRoundNumber = Math.floor((consumesTurn ? turnIndex : Math.max(turnIndex - 1, 0)) / numPlayers) + 1;
+                if (turn.round_number !== newRoundNumber) {
+                    updateTurnRoundNumber.run(newRoundNumber, turn.id);
+                }
+                if (consumesTurn) {
+                    turnIndex++;
+                }
+            });
+        });
+    })();
+    console.log('Round number recalculation complete.');
+}
+
+function migrateDirectionConstraint(db) {
+    console.log('Migrating direction constraint to allow adjustment turns...');
+    
+    // Check if the constraint already allows 'adjustment'
+    const tableInfo = db.prepare(`
+        SELECT sql FROM sqlite_master 
+        WHERE type = 'table' AND name = 'turns'
+    `).get();
+    
+    if (tableInfo && tableInfo.sql && tableInfo.sql.includes("'adjustment'")) {
+        console.log('Direction constraint already includes adjustment - skipping migration');
+        return;
+    }
+    
+    // Create a backup of the turns table
+    db.exec(`
+        CREATE TABLE turns_backup AS SELECT * FROM turns;
+    `);
+    
+    // Drop the original table
+    db.exec('DROP TABLE turns');
+    
+    // Recreate the table with the updated constraint
+    db.exec(`
+        CREATE TABLE turns (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            game_id INTEGER NOT NULL,
+            player_id INTEGER NOT NULL,
+            round_number INTEGER NOT NULL,
+            word TEXT NOT NULL,
+            score INTEGER NOT NULL,
+            secondary_words TEXT DEFAULT '[]',
+            board_state_after TEXT NOT NULL,
+            start_row INTEGER NOT NULL,
+            start_col INTEGER NOT NULL,
+            direction TEXT NOT NULL CHECK (direction IN ('across', 'down', 'adjustment')),
+            blank_tiles TEXT DEFAULT '[]',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE,
+            FOREIGN KEY (player_id) REFERENCES players(id)
+        );
+    `);
+    
+    // Restore data from backup
+    db.exec(`
+        INSERT INTO turns 
+        SELECT * FROM turns_backup;
+    `);
+    
+    // Drop the backup table
+    db.exec('DROP TABLE turns_backup');
+    
+    // Recreate indexes
+    db.exec('CREATE INDEX IF NOT EXISTS idx_turns_game_id ON turns(game_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_turns_player_id ON turns(player_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_turns_round_number ON turns(game_id, round_number)');
+    
+    console.log('Direction constraint migration completed successfully.');
+}
+
+function columnExists(db, tableName, columnName) {
+    return db.prepare(`PRAGMA table_info(${tableName})`).all()
+        .some(column => column.name === columnName);
+}
+
+function migrateGameSettingColumns(db) {
+    if (!columnExists(db, 'games', 'challenge_rule')) {
+        db.exec("ALTER TABLE games ADD COLUMN challenge_rule TEXT DEFAULT 'double' CHECK (challenge_rule IN ('double', 'single'))");
+    }
+    if (!columnExists(db, 'games', 'challenge_penalty')) {
+        db.exec('ALTER TABLE games ADD COLUMN challenge_penalty INTEGER DEFAULT 5');
+    }
+    if (!columnExists(db, 'games', 'dictionary_mode')) {
+        db.exec("ALTER TABLE games ADD COLUMN dictionary_mode TEXT DEFAULT 'off' CHECK (dictionary_mode IN ('strict', 'warn', 'off'))");
+    }
+    if (!columnExists(db, 'games', 'dictionary_locale')) {
+        db.exec('ALTER TABLE games ADD COLUMN dictionary_locale TEXT');
+    }
+    if (!columnExists(db, 'games', 'ruleset')) {
+        db.exec('ALTER TABLE games ADD COLUMN ruleset TEXT');
+    }
+}
+
+function migrateGamePlayerColumns(db) {
+    if (!columnExists(db, 'game_players', 'rack')) {
+        db.exec('ALTER TABLE game_players ADD COLUMN rack TEXT');
+    }
+}
+
+function migrateTurnColumns(db) {
+    if (!columnExists(db, 'turns', 'invalid_words')) {
+        db.exec("ALTER TABLE turns ADD COLUMN invalid_words TEXT DEFAULT '[]'");
+    }
+    if (!columnExists(db, 'turns', 'rack')) {
+        db.exec('ALTER TABLE turns ADD COLUMN rack TEXT');
+    }
+}
+
+function migrateTurnTypeConstraint(db) {
+    // Check if the constraint already allows every turn type
+    const tableInfo = db.prepare(`
+        SELECT sql FROM sqlite_master
+        WHERE type = 'table' AND name = 'turns'
+    `).get();
+
+    if (tableInfo && tableInfo.sql && tableInfo.sql.includes("'challenge'")) {
+        return;
+    }
+
+    console.log('Migrating direction constraint to allow pass, exchange and challenge turns...');
+
+    db.exec('ALTER TABLE turns RENAME TO turns_backup');
+
+    db.exec(`
+        CREATE TABLE turns (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            game_id INTEGER NOT NULL,
+            player_id INTEGER NOT NULL,
+            round_number INTEGER NOT NULL,
+            word TEXT NOT NULL,
+            score INTEGER NOT NULL,
+            secondary_words TEXT DEFAULT '[]',
+            board_state_after TEXT NOT NULL,
+            start_row INTEGER NOT NULL,
+            start_col INTEGER NOT NULL,
+            direction TEXT NOT NULL CHECK (direction IN ('across', 'down', 'adjustment', 'pass', 'exchange', 'challenge')),
+            blank_tiles TEXT DEFAULT '[]',
+            tiles_exchanged INTEGER DEFAULT 0,
+            challenge_result TEXT CHECK (challenge_result IN ('phony', 'lost_turn', 'penalty')),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE,
+            FOREIGN KEY (player_id) REFERENCES players(id)
+        );
+    `);
+
+    // Copy only the columns the old table has; newer columns keep their defaults
+    const newColumns = new Set(db.prepare('PRAGMA table_info(turns)').all().map(column => column.name));
+    const sharedColumns = db.prepare('PRAGMA table_info(turns_backup)').all()
+        .map(column => column.name)
+        .filter(name => newColumns.has(name))
+        .join(', ');
+
+    db.exec(`INSERT INTO turns (${sharedColumns}) SELECT ${sharedColumns} FROM turns_backup`);
+
+    db.exec('DROP TABLE turns_backup');
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_turns_game_id ON turns(game_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_turns_player_id ON turns(player_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_turns_round_number ON turns(game_id, round_number)');
+
+    console.log('Turn type constraint migration completed successfully.');
+}
+
+// Turns used to keep a full board snapshot each. Convert them to the tiles each turn
+// placed plus periodic checkpoints (see services/boardHistory.js).
+function migrateTurnBoardStorage(db) {
+    if (!columnExists(db, 'turns', 'board_state_after')) {
+        return;
+    }
+
+    console.log('Migrating turn board snapshots to placed tiles...');
+
+    db.exec('ALTER TABLE turns RENAME TO turns_backup');
+
+    db.exec(`
+        CREATE TABLE turns (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            game_id INTEGER NOT NULL,
+            player_id INTEGER NOT NULL,
+            round_number INTEGER NOT NULL,
+            word TEXT NOT NULL,
+            score INTEGER NOT NULL,
+            secondary_words TEXT DEFAULT '[]',
+            placed_tiles TEXT DEFAULT '[]',
+            board_checkpoint TEXT,
+            start_row INTEGER NOT NULL,
+            start_col INTEGER NOT NULL,
+            direction TEXT NOT NULL CHECK (direction IN ('across', 'down', 'adjustment', 'pass', 'exchange', 'challenge')),
+            blank_tiles TEXT DEFAULT '[]',
+            tiles_exchanged INTEGER DEFAULT 0,
+            challenge_result TEXT CHECK (challenge_result IN ('phony', 'lost_turn', 'penalty')),
+            invalid_words TEXT DEFAULT '[]',
+            rack TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE,
+            FOREIGN KEY (player_id) REFERENCES players(id)
+        );
+    `);
+
+    const newColumns = new Set(db.prepare('PRAGMA table_info(turns)').all().map(column => column.name));
+    const sharedColumns = db.prepare('PRAGMA table_info(turns_backup)').all()
+        .map(column => column.name)
+        .filter(name => newColumns.has(name))
+        .join(', ');
+
+    db.exec(`INSERT INTO turns (${sharedColumns}) SELECT ${sharedColumns} FROM turns_backup`);
+
+    // Each snapshot is compared with the one before it in the same game
+    const gameIds = db.prepare('SELECT DISTINCT game_id FROM turns_backup').all().map(row => row.game_id);
+    const getSnapshots = db.prepare('SELECT id, board_state_after FROM turns_backup WHERE game_id = ? ORDER BY id');
+    const updateTurn = db.prepare('UPDATE turns SET placed_tiles = ?, board_checkpoint = ? WHERE id = ?');
+
+    gameIds.forEach(gameId => {
+        let previous = '[]';
+        getSnapshots.all(gameId).forEach((turn, position) => {
+            const { placedTiles, boardCheckpoint } = describeTurnBoard(previous, turn.board_state_after, position);
+            updateTurn.run(placedTiles, boardCheckpoint, turn.id);
+            previous = turn.board_state_after;
+        });
+    });
+
+    db.exec('DROP TABLE turns_backup');
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_turns_game_id ON turns(game_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_turns_player_id ON turns(player_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_turns_round_number ON turns(game_id, round_number)');
+
+    console.log(`Turn board migration completed for ${gameIds.length} games.`);
+}
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'canonical_player_names',
+        up(db) {
+            if (!tableExists(db, 'players')) {
+                return;
+            }
+            canonicalizeExistingPlayers(db);
+            mergeDuplicatePlayers(db, {
+                hasGamePlayers: tableExists(db, 'game_players'),
+                hasTurns: tableExists(db, 'turns'),
+                hasGames: tableExists(db, 'games')
+            });
+            ensureLowercaseIndex(db);
+        }
+    },
+    {
+        version: 2,
+        name: 'game_status_and_settings',
+        // Rebuilding games drops the old table, which would cascade-delete turns
+        // and game_players while foreign keys are enforced
+        foreignKeys: false,
+        up(db) {
+            if (!tableExists(db, 'games')) {
+                return;
+            }
+            migrateGamesStatusConstraint(db);
+            migrateGameSettingColumns(db);
+        }
+    },
+    {
+        version: 3,
+        name: 'game_player_racks',
+        up(db) {
+            if (tableExists(db, 'game_players')) {
+                migrateGamePlayerColumns(db);
+            }
+        }
+    },
+    {
+        version: 4,
+        name: 'turn_round_numbers',
+        up(db) {
+            if (tableExists(db, 'turns') && tableExists(db, 'game_players') && tableExists(db, 'games')) {
+                recalculateRoundNumbers(db);
+            }
+        }
+    },
+    {
+        version: 5,
+        name: 'turn_adjustment_direction',
+        up(db) {
+            if (tableExists(db, 'turns')) {
+                migrateDirectionConstraint(db);
+            }
+        }
+    },
+    {
+        version: 6,
+        name: 'turn_types_and_columns',
+        up(db) {
+            if (tableExists(db, 'turns')) {
+                migrateTurnTypeConstraint(db);
+                migrateTurnColumns(db);
+            }
+        }
+    },
+    {
+        version: 7,
+        name: 'turn_board_storage',
+        up(db) {
+            if (tableExists(db, 'turns')) {
+                migrateTurnBoardStorage(db);
+            }
+        }
+    },
+    {
+        version: 8,
+        name: 'game_trash',
+        up(db) {
+            if (tableExists(db, 'games') && !columnExists(db, 'games', 'deleted_at')) {
+                db.exec('ALTER TABLE games ADD COLUMN deleted_at DATETIME');
+            }
+        }
+    },
+    {
+        version: 9,
+        name: 'player_archive',
+        up(db) {
+            if (tableExists(db, 'players') && !columnExists(db, 'players', 'archived_at')) {
+                db.exec('ALTER TABLE players ADD COLUMN archived_at DATETIME');
+            }
+        }
+    },
+    {
+        version: 10,
+        name: 'rating_history',
+        up(db) {
+            // Finished games are rated when the server starts
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS rating_history (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    game_id INTEGER NOT NULL,
+                    player_id INTEGER NOT NULL,
+                    rating_before REAL NOT NULL,
+                    rating_after REAL NOT NULL,
+                    games_rated INTEGER NOT NULL,
+                    rated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE,
+                    FOREIGN KEY (player_id) REFERENCES players(id),
+                    UNIQUE(game_id, player_id)
+                )
+            `);
+        }
+    },
+    {
+        version: 11,
+        name: 'rewind_tables_and_indexes',
+        // The rewind tables, the indexes that go with migrations 8 and 10, and the games
+        // indexes that migration 2 drops with the old table used to be added by re-running
+        // schema.sql after migrating
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS rewinds (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    game_id INTEGER NOT NULL,
+                    to_turn_id INTEGER NOT NULL,
+                    previous_status TEXT NOT NULL,
+                    previous_winner_id INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    restored_at DATETIME,
+                    FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE
+                )
+            `);
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS archived_turns (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    rewind_id INTEGER NOT NULL,
+                    turn_id INTEGER NOT NULL,
+                    turn_data TEXT NOT NULL,
+                    FOREIGN KEY (rewind_id) REFERENCES rewinds(id) ON DELETE CASCADE
+                )
+            `);
+            db.exec('CREATE INDEX IF NOT EXISTS idx_rewinds_game_id ON rewinds(game_id)');
+            db.exec('CREATE INDEX IF NOT EXISTS idx_archived_turns_rewind_id ON archived_turns(rewind_id)');
+            db.exec('CREATE INDEX IF NOT EXISTS idx_rating_history_player_id ON rating_history(player_id)');
+            if (tableExists(db, 'games')) {
+                db.exec('CREATE INDEX IF NOT EXISTS idx_games_status ON games(status)');
+                db.exec('CREATE INDEX IF NOT EXISTS idx_games_created_at ON games(created_at)');
+                db.exec('CREATE INDEX IF NOT EXISTS idx_games_deleted_at ON games(deleted_at)');
+            }
+        }
+    },
+    {
+        version: 12,
+        name: 'turn_withdrawn_play',
+        up(db) {
+            if (tableExists(db, 'turns') && !columnExists(db, 'turns', 'withdrawn_play')) {
+                db.exec('ALTER TABLE turns ADD COLUMN withdrawn_play TEXT');
+            }
+        }
+    },
+    {
+        version: 13,
+        name: 'game_gcg_hash',
+        up(db) {
+            if (tableExists(db, 'games') && !columnExists(db, 'games', 'gcg_hash')) {
+                db.exec('ALTER TABLE games ADD COLUMN gcg_hash TEXT');
+                db.exec('CREATE INDEX IF NOT EXISTS idx_games_gcg_hash ON games(gcg_hash)');
+            }
+        }
+    }
+];
+
+module.exports = {
+    MIGRATIONS,
+    tableExists
+};
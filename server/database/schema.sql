@@ -2,16 +2,24 @@
 CREATE TABLE IF NOT EXISTS players (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     name TEXT UNIQUE NOT NULL,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    archived_at DATETIME -- set when the player is hidden from name suggestions
 );
 
 -- Games table
 CREATE TABLE IF NOT EXISTS games (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    status TEXT DEFAULT 'active' CHECK (status IN ('active', 'finished', 'interrupted')),
+    status TEXT DEFAULT 'active' CHECK (status IN ('active', 'ending', 'finished', 'interrupted')),
     winner_id INTEGER,
     board_state TEXT DEFAULT '[]',
+    challenge_rule TEXT DEFAULT 'double' CHECK (challenge_rule IN ('double', 'single')),
+    challenge_penalty INTEGER DEFAULT 5,
+    dictionary_mode TEXT DEFAULT 'off' CHECK (dictionary_mode IN ('strict', 'warn', 'off')),
+    dictionary_locale TEXT, -- picks the tile set, NULL plays with English tiles
+    ruleset TEXT, -- JSON overrides of the standard rules, NULL for a standard game
+    deleted_at DATETIME, -- set while the game is in the trash
+    gcg_hash TEXT, -- content hash of the GCG file the game was imported from
     FOREIGN KEY (winner_id) REFERENCES players(id)
 );
 
@@ -22,6 +30,7 @@ CREATE TABLE IF NOT EXISTS game_players (
     player_id INTEGER NOT NULL,
     score INTEGER DEFAULT 0,
     turn_order INTEGER NOT NULL,
+    rack TEXT, -- JSON array of the tiles the player last recorded holding
     FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE,
     FOREIGN KEY (player_id) REFERENCES players(id),
     UNIQUE(game_id, player_id),
@@ -37,21 +46,67 @@ CREATE TABLE IF NOT EXISTS turns (
     word TEXT NOT NULL,
     score INTEGER NOT NULL,
     secondary_words TEXT DEFAULT '[]',
-    board_state_after TEXT NOT NULL,
+    placed_tiles TEXT DEFAULT '[]', -- JSON array of the tiles the turn put on the board
+    board_checkpoint TEXT, -- full board after the turn, kept every few turns
     start_row INTEGER NOT NULL,
     start_col INTEGER NOT NULL,
-    direction TEXT NOT NULL CHECK (direction IN ('across', 'down', 'adjustment')),
+    direction TEXT NOT NULL CHECK (direction IN ('across', 'down', 'adjustment', 'pass', 'exchange', 'challenge')),
     blank_tiles TEXT DEFAULT '[]',
+    tiles_exchanged INTEGER DEFAULT 0,
+    challenge_result TEXT CHECK (challenge_result IN ('phony', 'lost_turn', 'penalty')),
+    invalid_words TEXT DEFAULT '[]',
+    rack TEXT, -- JSON array of the rack the player recorded before the turn, NULL if none
+    withdrawn_play TEXT, -- on a phony row, JSON of the play that was taken back
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE,
     FOREIGN KEY (player_id) REFERENCES players(id)
 );
 
+-- Rewinds: each roll-back of a game to an earlier turn
+CREATE TABLE IF NOT EXISTS rewinds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    game_id INTEGER NOT NULL,
+    to_turn_id INTEGER NOT NULL, -- last turn kept, 0 when the game went back to the start
+    previous_status TEXT NOT NULL,
+    previous_winner_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    restored_at DATETIME, -- set when the rewind is undone
+    FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE
+);
+
+-- Turns taken off by a rewind, kept so the rewind can be undone
+CREATE TABLE IF NOT EXISTS archived_turns (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rewind_id INTEGER NOT NULL,
+    turn_id INTEGER NOT NULL,
+    turn_data TEXT NOT NULL, -- JSON copy of the turns row
+    FOREIGN KEY (rewind_id) REFERENCES rewinds(id) ON DELETE CASCADE
+);
+
+-- Rating history: each player's Elo rating before and after every rated game
+CREATE TABLE IF NOT EXISTS rating_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    game_id INTEGER NOT NULL,
+    player_id INTEGER NOT NULL,
+    rating_before REAL NOT NULL,
+    rating_after REAL NOT NULL,
+    games_rated INTEGER NOT NULL, -- the player's rated games including this one
+    rated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE,
+    FOREIGN KEY (player_id) REFERENCES players(id),
+    UNIQUE(game_id, player_id)
+);
+
 -- Indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_games_status ON games(status);
 CREATE INDEX IF NOT EXISTS idx_games_created_at ON games(created_at);
+CREATE INDEX IF NOT EXISTS idx_games_deleted_at ON games(deleted_at);
+CREATE INDEX IF NOT EXISTS idx_games_gcg_hash ON games(gcg_hash);
 CREATE INDEX IF NOT EXISTS idx_game_players_game_id ON game_players(game_id);
 CREATE INDEX IF NOT EXISTS idx_turns_game_id ON turns(game_id);
 CREATE INDEX IF NOT EXISTS idx_turns_player_id ON turns(player_id);
 CREATE INDEX IF NOT EXISTS idx_turns_round_number ON turns(game_id, round_number);
+CREATE INDEX IF NOT EXISTS idx_rewinds_game_id ON rewinds(game_id);
+CREATE INDEX IF NOT EXISTS idx_archived_turns_rewind_id ON archived_turns(rewind_id);
+CREATE INDEX IF NOT EXISTS idx_rating_history_player_id ON rating_history(player_id);
 CREATE UNIQUE INDEX IF NOT EXISTS idx_players_name_lower ON players(LOWER(name));
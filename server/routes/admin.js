@@ -0,0 +1,106 @@
+const express = require('express');
+const { getDatabase } = require('../database/init');
+const backupManager = require('../services/backupManager');
+const archive = require('../services/archive');
+const ratings = require('../services/ratings');
+
+const router = express.Router();
+
+const RESTORE_ERROR_STATUS = {
+    BACKUP_NOT_FOUND: 404,
+    INVALID_BACKUP: 422,
+    BACKUP_TOO_NEW: 422
+};
+
+// GET /api/admin/backups - Backups on disk, newest first, and the backup schedule
+router.get('/backups', (req, res) => {
+    try {
+        res.json({
+            backups: backupManager.listBackups(),
+            schedule: backupManager.getSchedule()
+        });
+    } catch (error) {
+        console.error('Error listing backups:', error);
+        res.status(500).json({ error: 'Failed to list backups' });
+    }
+});
+
+// POST /api/admin/backups - Back up the database now
+router.post('/backups', async (req, res) => {
+    try {
+        const backup = await backupManager.createBackup('manual');
+        res.status(201).json(backup);
+    } catch (error) {
+        if (error.code === 'BACKUP_IN_PROGRESS') {
+            return res.status(409).json({ error: error.message, code: error.code });
+        }
+        console.error('Error creating backup:', error);
+        res.status(500).json({ error: 'Failed to create backup' });
+    }
+});
+
+// POST /api/admin/backups/:name/restore - Replace the database with a backup
+// The backup is checked first, and the current database is backed up before the swap.
+router.post('/backups/:name/restore', async (req, res) => {
+    try {
+        const result = await backupManager.restoreBackup(req.params.name);
+        if (result.error) {
+            return res.status(RESTORE_ERROR_STATUS[result.code] || 400).json(result);
+        }
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        if (error.code === 'BACKUP_IN_PROGRESS') {
+            return res.status(409).json({ error: error.message, code: error.code });
+        }
+        console.error('Error restoring backup:', error);
+        res.status(500).json({ error: 'Failed to restore backup' });
+    }
+});
+
+// GET /api/admin/export - Every player, game and turn as one JSON archive
+router.get('/export', (req, res) => {
+    try {
+        const db = getDatabase();
+        const data = archive.exportArchive(db);
+
+        const date = data.exportedAt.slice(0, 10).replace(/-/g, '');
+        res.set('Content-Disposition', `attachment; filename="scrabble-keeper-${date}.json"`);
+        res.json(data);
+    } catch (error) {
+        console.error('Error exporting archive:', error);
+        res.status(500).json({ error: 'Failed to export data' });
+    }
+});
+
+// POST /api/admin/import - Merge an archive from GET /api/admin/export into this database
+// Players are matched by name ignoring case; games that are already here are skipped.
+router.post('/import', (req, res) => {
+    try {
+        const invalid = archive.validateArchive(req.body);
+        if (invalid) {
+            return res.status(422).json({ error: invalid, code: 'INVALID_ARCHIVE' });
+        }
+
+        const db = getDatabase();
+        const summary = db.transaction(() => {
+            const imported = archive.importArchive(db, req.body);
+            // Imported games are placed on the ladder by when they were played
+            if (imported.gamesImported > 0) {
+                ratings.recomputeRatings(db);
+            }
+            return imported;
+        })();
+
+        console.log(`[SERVER] Imported archive: ${summary.gamesImported} games added, ${summary.gamesSkipped} already present`);
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        if (error.code && error.code.startsWith('SQLITE_CONSTRAINT')) {
+            return res.status(422).json({ error: `Archive data was rejected: ${error.message}`, code: 'INVALID_ARCHIVE' });
+        }
+        console.error('Error importing archive:', error);
+        res.status(500).json({ error: 'Failed to import data' });
+    }
+});
+
+module.exports = router;
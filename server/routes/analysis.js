@@ -0,0 +1,81 @@
+const express = require('express');
+const { getDatabase } = require('../database/init');
+const { loadDictionary } = require('../services/dictionaryLoader');
+const { parseGameRuleset } = require('../services/rulesets');
+const moveGenerator = require('../services/moveGenerator');
+
+const router = express.Router();
+
+const MAX_MOVE_LIMIT = 100;
+
+function isBoardShape(board) {
+    return Array.isArray(board) && board.length === 15 &&
+        board.every(row => Array.isArray(row) && row.length === 15);
+}
+
+// POST /api/analysis/moves - Highest-scoring plays for a board and rack
+// Body: { rack, boardState?, gameId?, limit? }. With a gameId the game's board and rules are
+// used (a boardState in the body still takes precedence); otherwise the board starts empty
+// and the active dictionary is used.
+router.post('/moves', async (req, res) => {
+    try {
+        const { rack, boardState, gameId } = req.body;
+        const limit = req.body.limit === undefined ? moveGenerator.DEFAULT_MOVE_LIMIT : Number(req.body.limit);
+
+        if (!Array.isArray(rack) || rack.length === 0) {
+            return res.status(400).json({ error: 'rack must be a non-empty array of tiles' });
+        }
+
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_MOVE_LIMIT) {
+            return res.status(400).json({ error: `limit must be between 1 and ${MAX_MOVE_LIMIT}` });
+        }
+
+        if (boardState !== undefined && !isBoardShape(boardState)) {
+            return res.status(400).json({ error: 'boardState must be a 15x15 grid' });
+        }
+
+        let board = boardState || null;
+        let locale = null;
+        let ruleset = null;
+
+        if (gameId !== undefined) {
+            const db = getDatabase();
+            const game = db.prepare('SELECT board_state, dictionary_locale, ruleset FROM games WHERE id = ? AND deleted_at IS NULL').get(parseInt(gameId));
+
+            if (!game) {
+                return res.status(404).json({ error: 'Game not found' });
+            }
+
+            locale = game.dictionary_locale;
+            ruleset = parseGameRuleset(game.ruleset, game.dictionary_locale);
+            if (!board) {
+                board = JSON.parse(game.board_state || '[]');
+            }
+        }
+
+        const dictionary = await loadDictionary(locale);
+        if (!dictionary.loaded) {
+            return res.status(503).json({ error: 'Dictionary not loaded; moves cannot be generated' });
+        }
+        ruleset = ruleset || parseGameRuleset(null, dictionary.locale);
+
+        const started = Date.now();
+        const result = moveGenerator.generateMoves(board, rack, ruleset, limit, locale);
+        if (result.error) {
+            const status = result.code === 'DICTIONARY_NOT_LOADED' ? 503 : 422;
+            return res.status(status).json({ error: result.error, code: result.code });
+        }
+
+        console.log(`[SERVER] Generated ${result.totalMoves} moves in ${Date.now() - started}ms`);
+        res.json({
+            rack,
+            moves: result.moves,
+            totalMoves: result.totalMoves
+        });
+    } catch (error) {
+        console.error('Error generating moves:', error);
+        res.status(500).json({ error: 'Failed to generate moves' });
+    }
+});
+
+module.exports = router;
@@ -1,16 +1,66 @@
 const express = require('express');
 const { getDatabase } = require('../database/init');
+const gameLogic = require('../services/gameLogic');
+const { getSpellChecker, loadDictionary, findInvalidWords } = require('../services/dictionaryLoader');
+const { validateRuleset, parseGameRuleset } = require('../services/rulesets');
+const dictionaryManager = require('../services/dictionaryManager');
+const moveGenerator = require('../services/moveGenerator');
+const boardHistory = require('../services/boardHistory');
+const gcg = require('../services/gcg');
+const { canonicalizePlayerName, findOrCreatePlayer } = require('../services/players');
+const trash = require('../services/trash');
+const ratings = require('../services/ratings');
 
 const router = express.Router();
 
-function canonicalizePlayerName(name) {
-    return name
-        .trim()
-        .replace(/\s+/g, ' ')
-        .split(' ')
-        .filter(Boolean)
-        .map(part => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase())
-        .join(' ');
+// Turns that used up a player's turn (single-challenge penalties don't)
+function countTurnsTaken(db, gameId) {
+    return db.prepare(`
+        SELECT COUNT(*) as count FROM turns
+        WHERE game_id = ? AND COALESCE(challenge_result, '') != 'penalty'
+    `).get(gameId).count;
+}
+
+// After six scoreless turns in a row the game moves to 'ending' until racks are settled
+function updateScorelessState(db, gameId) {
+    const turns = db.prepare('SELECT direction, score, challenge_result FROM turns WHERE game_id = ? ORDER BY id').all(gameId);
+    const scorelessTurns = gameLogic.countScorelessTurns(turns);
+    const game = db.prepare('SELECT status FROM games WHERE id = ?').get(gameId);
+
+    let gameStatus = game.status;
+    if (gameStatus === 'active' && scorelessTurns >= gameLogic.SCORELESS_TURN_LIMIT) {
+        gameStatus = 'ending';
+    } else if (gameStatus === 'ending' && scorelessTurns < gameLogic.SCORELESS_TURN_LIMIT) {
+        gameStatus = 'active';
+    }
+
+    if (gameStatus !== game.status) {
+        db.prepare('UPDATE games SET status = ? WHERE id = ?').run(gameStatus, gameId);
+        console.log(`[SERVER] Game ${gameId} is now ${gameStatus} after ${scorelessTurns} scoreless turns`);
+    }
+
+    return { scorelessTurns, gameStatus };
+}
+
+// Every score change is recorded as a turn, so a player's total is the sum of their turns
+function recalculatePlayerScores(db, gameId) {
+    db.prepare(`
+        UPDATE game_players
+        SET score = (SELECT COALESCE(SUM(score), 0) FROM turns WHERE turns.game_id = game_players.game_id AND turns.player_id = game_players.player_id)
+        WHERE game_id = ?
+    `).run(gameId);
+}
+
+// Games in the trash are hidden until restored, so routes for one answer as if it were gone
+function getLiveGame(db, gameId, columns = 'id') {
+    return db.prepare(`SELECT ${columns} FROM games WHERE id = ? AND deleted_at IS NULL`).get(gameId);
+}
+
+// Words are checked against the dictionary for the game's own locale, loaded on first use.
+// Call this before reading the game, so nothing read afterwards can go stale during the load.
+function loadGameDictionary(db, gameId) {
+    const game = db.prepare('SELECT dictionary_locale FROM games WHERE id = ?').get(gameId);
+    return loadDictionary(game ? game.dictionary_locale : null);
 }
 
 // GET /api/games - Get all games (completed and interrupted games for history)
@@ -31,13 +81,23 @@ router.get('/', (req, res) => {
                  FROM game_players gp2 
                  JOIN players p2 ON gp2.player_id = p2.id 
                  WHERE gp2.game_id = g.id
-                 ORDER BY gp2.turn_order) as player_names
+                 ORDER BY gp2.turn_order) as player_names,
+                (SELECT json_group_array(json_object('id', ordered.id, 'name', ordered.name))
+                 FROM (SELECT p3.id, p3.name
+                       FROM game_players gp3
+                       JOIN players p3 ON gp3.player_id = p3.id
+                       WHERE gp3.game_id = g.id
+                       ORDER BY gp3.turn_order) ordered) as players
             FROM games g
             LEFT JOIN players w ON g.winner_id = w.id
+            WHERE g.deleted_at IS NULL
             ORDER BY g.created_at DESC
         `).all();
 
-        db.close();
+        games.forEach(game => {
+            game.players = JSON.parse(game.players || '[]');
+        });
+
         res.json(games);
     } catch (error) {
         console.error('Error fetching games:', error);
@@ -45,6 +105,85 @@ router.get('/', (req, res) => {
     }
 });
 
+// GET /api/games/trash - Deleted games waiting to be purged, most recently deleted first
+router.get('/trash', (req, res) => {
+    try {
+        const db = getDatabase();
+        const retentionDays = trash.getRetentionDays();
+
+        const games = db.prepare(`
+            SELECT 
+                g.id,
+                g.created_at,
+                g.status,
+                g.winner_id,
+                g.deleted_at,
+                CASE WHEN ? > 0 THEN datetime(g.deleted_at, '+' || ? || ' days') END as purge_at,
+                w.name as winner_name,
+                (SELECT COUNT(*) FROM turns WHERE game_id = g.id) as total_turns,
+                (SELECT MAX(score) FROM turns WHERE game_id = g.id) as highest_score,
+                (SELECT GROUP_CONCAT(p2.name) 
+                 FROM game_players gp2 
+                 JOIN players p2 ON gp2.player_id = p2.id 
+                 WHERE gp2.game_id = g.id
+                 ORDER BY gp2.turn_order) as player_names
+            FROM games g
+            LEFT JOIN players w ON g.winner_id = w.id
+            WHERE g.deleted_at IS NOT NULL
+            ORDER BY g.deleted_at DESC, g.id DESC
+        `).all(retentionDays, retentionDays);
+
+        res.json({ retentionDays, games });
+    } catch (error) {
+        console.error('Error fetching trash:', error);
+        res.status(500).json({ error: 'Failed to fetch trash' });
+    }
+});
+
+// POST /api/games/trash/:id/restore - Put a deleted game back in the history
+router.post('/trash/:id/restore', (req, res) => {
+    try {
+        const gameId = parseInt(req.params.id);
+        const db = getDatabase();
+
+        const result = db.transaction(() => {
+            const restored = db.prepare('UPDATE games SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL').run(gameId);
+            ratings.syncGame(db, gameId);
+            return restored;
+        })();
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Game not found in trash' });
+        }
+
+        console.log(`[SERVER] Game ${gameId} restored from the trash`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error restoring game:', error);
+        res.status(500).json({ error: 'Failed to restore game' });
+    }
+});
+
+// DELETE /api/games/trash/:id - Permanently delete a game that is in the trash
+router.delete('/trash/:id', (req, res) => {
+    try {
+        const gameId = parseInt(req.params.id);
+        const db = getDatabase();
+
+        const game = db.prepare('SELECT id FROM games WHERE id = ? AND deleted_at IS NOT NULL').get(gameId);
+        if (!game) {
+            return res.status(404).json({ error: 'Game not found in trash' });
+        }
+
+        db.transaction(() => trash.purgeGame(db, gameId))();
+
+        console.log(`[SERVER] Game ${gameId} permanently deleted`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error purging game:', error);
+        res.status(500).json({ error: 'Failed to delete game' });
+    }
+});
+
 // GET /api/games/:id - Get specific game details
 router.get('/:id', (req, res) => {
     try {
@@ -56,11 +195,10 @@ router.get('/:id', (req, res) => {
             SELECT g.*, w.name as winner_name
             FROM games g
             LEFT JOIN players w ON g.winner_id = w.id
-            WHERE g.id = ?
+            WHERE g.id = ? AND g.deleted_at IS NULL
         `).get(gameId);
 
         if (!game) {
-            db.close();
             return res.status(404).json({ error: 'Game not found' });
         }
 
@@ -84,13 +222,15 @@ router.get('/:id', (req, res) => {
 
         // Parse JSON fields
         game.board_state = JSON.parse(game.board_state || '[]');
+        game.ruleset = parseGameRuleset(game.ruleset, game.dictionary_locale);
         turns.forEach(turn => {
             turn.secondary_words = JSON.parse(turn.secondary_words || '[]');
             turn.blank_tiles = JSON.parse(turn.blank_tiles || '[]');
-            turn.board_state_after = JSON.parse(turn.board_state_after || '[]');
+            turn.placed_tiles = JSON.parse(turn.placed_tiles || '[]');
+            turn.board_checkpoint = turn.board_checkpoint ? JSON.parse(turn.board_checkpoint) : null;
+            turn.invalid_words = JSON.parse(turn.invalid_words || '[]');
         });
 
-        db.close();
         res.json({
             ...game,
             players,
@@ -102,23 +242,151 @@ router.get('/:id', (req, res) => {
     }
 });
 
+// GET /api/games/:id/unseen - Tiles not on the board (bag plus racks)
+// With ?playerId=N the pool is seen from that player's side, leaving out the rack they recorded.
+router.get('/:id/unseen', (req, res) => {
+    try {
+        const gameId = parseInt(req.params.id);
+        const playerId = req.query.playerId !== undefined ? parseInt(req.query.playerId) : null;
+
+        if (req.query.playerId !== undefined && !Number.isInteger(playerId)) {
+            return res.status(400).json({ error: 'playerId must be a number' });
+        }
+
+        const db = getDatabase();
+
+        const game = getLiveGame(db, gameId, 'id, board_state, dictionary_locale, ruleset');
+        if (!game) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        const ruleset = parseGameRuleset(game.ruleset, game.dictionary_locale);
+        const boardState = JSON.parse(game.board_state || '[]');
+        const numPlayers = db.prepare('SELECT COUNT(*) as count FROM game_players WHERE game_id = ?').get(gameId).count;
+
+        const unseen = gameLogic.getUnseenTiles(boardState, ruleset);
+        const totalUnseen = Object.values(unseen).reduce((sum, count) => sum + count, 0);
+        const response = {
+            gameId,
+            tileSet: ruleset.tileSet,
+            unseen,
+            totalUnseen,
+            // Racks are assumed full, which holds while the bag still has tiles
+            inBag: Math.max(0, totalUnseen - numPlayers * ruleset.rackSize)
+        };
+
+        if (playerId !== null) {
+            const player = db.prepare('SELECT player_id, rack FROM game_players WHERE game_id = ? AND player_id = ?').get(gameId, playerId);
+            if (!player) {
+                return res.status(400).json({ error: 'Player is not in this game' });
+            }
+            if (!player.rack) {
+                return res.status(409).json({ error: 'This player has not recorded a rack', code: 'NO_RACK_RECORDED' });
+            }
+
+            const rack = JSON.parse(player.rack);
+            const playerUnseen = gameLogic.getUnseenTilesForPlayer(boardState, rack, ruleset);
+            response.playerId = playerId;
+            response.rack = rack;
+            response.unseen = playerUnseen;
+            response.totalUnseen = Object.values(playerUnseen).reduce((sum, count) => sum + count, 0);
+        }
+
+        res.json(response);
+    } catch (error) {
+        console.error('Error fetching unseen tiles:', error);
+        res.status(500).json({ error: 'Failed to fetch unseen tiles' });
+    }
+});
+
+// PUT /api/games/:id/players/:playerId/rack - Record the tiles a player is holding
+// The rack is cleared when that player next plays or exchanges tiles.
+router.put('/:id/players/:playerId/rack', (req, res) => {
+    try {
+        const gameId = parseInt(req.params.id);
+        const playerId = parseInt(req.params.playerId);
+
+        const db = getDatabase();
+
+        const game = getLiveGame(db, gameId, 'id, status, board_state, dictionary_locale, ruleset');
+        if (!game) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        if (game.status !== 'active' && game.status !== 'ending') {
+            return res.status(409).json({ error: `Game is already ${game.status}` });
+        }
+
+        const player = db.prepare('SELECT player_id FROM game_players WHERE game_id = ? AND player_id = ?').get(gameId, playerId);
+        if (!player) {
+            return res.status(400).json({ error: 'Player is not in this game' });
+        }
+
+        const ruleset = parseGameRuleset(game.ruleset, game.dictionary_locale);
+        const result = gameLogic.validateRack(req.body.rack, JSON.parse(game.board_state || '[]'), ruleset);
+        if (result.error) {
+            return res.status(422).json({ error: result.error, code: result.code });
+        }
+
+        db.prepare('UPDATE game_players SET rack = ? WHERE game_id = ? AND player_id = ?')
+            .run(JSON.stringify(result.rack), gameId, playerId);
+
+        res.json({ success: true, playerId, rack: result.rack });
+    } catch (error) {
+        console.error('Error recording rack:', error);
+        res.status(500).json({ error: 'Failed to record rack' });
+    }
+});
+
 // POST /api/games - Create new game
 router.post('/', (req, res) => {
     try {
         const { playerNames } = req.body;
+        const challengeRule = req.body.challengeRule || 'double';
+        const challengePenalty = req.body.challengePenalty === undefined
+            ? gameLogic.DEFAULT_CHALLENGE_PENALTY
+            : Number(req.body.challengePenalty);
+        const dictionaryMode = req.body.dictionaryMode || 'off';
+        const ruleset = req.body.ruleset || null;
+        // The game's tiles follow its dictionary language
+        const dictionaryLocale = req.body.dictionaryLocale || dictionaryManager.getActiveLocale();
 
         if (!playerNames || !Array.isArray(playerNames) || playerNames.length < 2 || playerNames.length > 4) {
             return res.status(400).json({ error: 'Must provide 2-4 player names' });
         }
 
+        if (!gameLogic.CHALLENGE_RULES.includes(challengeRule)) {
+            return res.status(400).json({ error: `Invalid challenge rule: ${challengeRule}` });
+        }
+
+        if (!Number.isInteger(challengePenalty) || challengePenalty < 0) {
+            return res.status(400).json({ error: 'Challenge penalty must be a non-negative whole number' });
+        }
+
+        if (!gameLogic.DICTIONARY_MODES.includes(dictionaryMode)) {
+            return res.status(400).json({ error: `Invalid dictionary mode: ${dictionaryMode}` });
+        }
+
+        if (!dictionaryManager.getLocaleMetadata(dictionaryLocale)) {
+            return res.status(400).json({ error: `Unsupported dictionary locale: ${dictionaryLocale}` });
+        }
+
+        const rulesetError = validateRuleset(ruleset);
+        if (rulesetError) {
+            return res.status(400).json({ error: `Invalid ruleset: ${rulesetError}` });
+        }
+
         const db = getDatabase();
 
         const normalizedNames = playerNames.map(name => canonicalizePlayerName(name));
+        if (normalizedNames.some(name => !name)) {
+            return res.status(400).json({ error: 'Every player needs a name' });
+        }
+
         const seenNames = new Set();
         for (const normalized of normalizedNames) {
             const key = normalized.toLowerCase();
             if (seenNames.has(key)) {
-                db.close();
                 return res.status(400).json({ error: 'Player names must be unique (case-insensitive).' });
             }
             seenNames.add(key);
@@ -126,30 +394,11 @@ router.post('/', (req, res) => {
 
         db.transaction(() => {
             // Create or get players
-            const playerIds = [];
-            const insertPlayer = db.prepare('INSERT INTO players (name) VALUES (?)');
-            const getPlayerByLower = db.prepare('SELECT id, name FROM players WHERE LOWER(name) = LOWER(?)');
-
-            normalizedNames.forEach(name => {
-                let player = getPlayerByLower.get(name);
-
-                if (!player) {
-                    try {
-                        insertPlayer.run(name);
-                    } catch (error) {
-                        if (error.code !== 'SQLITE_CONSTRAINT_UNIQUE') {
-                            throw error;
-                        }
-                    }
-                    player = getPlayerByLower.get(name);
-                }
-
-                playerIds.push(player.id);
-            });
+            const playerIds = normalizedNames.map(name => findOrCreatePlayer(db, name).id);
 
             // Create game
-            const insertGame = db.prepare('INSERT INTO games (status) VALUES (?)');
-            const gameResult = insertGame.run('active');
+            const insertGame = db.prepare('INSERT INTO games (status, challenge_rule, challenge_penalty, dictionary_mode, dictionary_locale, ruleset) VALUES (?, ?, ?, ?, ?, ?)');
+            const gameResult = insertGame.run('active', challengeRule, challengePenalty, dictionaryMode, dictionaryLocale, ruleset ? JSON.stringify(ruleset) : null);
             const gameId = gameResult.lastInsertRowid;
 
             // Add players to game
@@ -179,6 +428,7 @@ router.post('/', (req, res) => {
 
             res.status(201).json({
                 ...game,
+                ruleset: parseGameRuleset(game.ruleset, game.dictionary_locale),
                 players,
                 turns: []
             });
@@ -186,46 +436,187 @@ router.post('/', (req, res) => {
     } catch (error) {
         console.error('Error creating game:', error);
         res.status(500).json({ error: 'Failed to create game' });
-    } finally {
-        try {
-            if (db) db.close();
-        } catch (e) {
-            console.error('Error closing database:', e);
+    }
+});
+
+// POST /api/games/import - Create a finished game from a GCG file
+// Body: { gcg, dictionaryLocale? }. Plays are re-scored here; where a score differs from the
+// file the computed one is kept and the difference is listed in scoreDifferences. A file
+// whose players and moves were imported before is rejected with the game it became.
+router.post('/import', (req, res) => {
+    try {
+        const { gcg: text } = req.body;
+        const dictionaryLocale = req.body.dictionaryLocale || dictionaryManager.getActiveLocale();
+
+        if (typeof text !== 'string' || !text.trim()) {
+            return res.status(400).json({ error: 'gcg must be the text of a GCG file' });
+        }
+
+        if (!dictionaryManager.getLocaleMetadata(dictionaryLocale)) {
+            return res.status(400).json({ error: `Unsupported dictionary locale: ${dictionaryLocale}` });
+        }
+
+        const parsed = gcg.parseGcg(text);
+        if (parsed.error) {
+            return res.status(422).json({ error: parsed.error, line: parsed.line, code: 'INVALID_GCG' });
+        }
+
+        if (parsed.players.length < 2 || parsed.players.length > 4) {
+            return res.status(422).json({ error: 'A game needs 2-4 players', code: 'INVALID_GCG' });
+        }
+
+        const names = parsed.players.map(player => canonicalizePlayerName(player.name));
+        if (new Set(names.map(name => name.toLowerCase())).size !== names.length) {
+            return res.status(422).json({ error: 'Player names must be unique (case-insensitive).', code: 'INVALID_GCG' });
+        }
+
+        const ruleset = parseGameRuleset(null, dictionaryLocale);
+        const replay = gcg.replayGcgMoves(parsed.players, parsed.moves, ruleset);
+        if (replay.error) {
+            return res.status(422).json({ error: replay.error, line: replay.line, code: 'INVALID_GCG' });
+        }
+
+        const db = getDatabase();
+
+        const gcgHash = gcg.gcgContentHash(parsed);
+        const existing = db.prepare('SELECT id, deleted_at FROM games WHERE gcg_hash = ? ORDER BY id LIMIT 1').get(gcgHash);
+        if (existing) {
+            return res.status(409).json({
+                error: `This file was already imported as game ${existing.id}${existing.deleted_at ? ', which is in the trash' : ''}`,
+                code: 'DUPLICATE_IMPORT',
+                gameId: existing.id
+            });
         }
+
+        const result = db.transaction(() => {
+            const playerIds = names.map(name => findOrCreatePlayer(db, name).id);
+
+            const gameId = db.prepare(`
+                INSERT INTO games (status, board_state, dictionary_locale, gcg_hash)
+                VALUES ('finished', ?, ?, ?)
+            `).run(JSON.stringify(replay.boardState), dictionaryLocale, gcgHash).lastInsertRowid;
+
+            const insertGamePlayer = db.prepare('INSERT INTO game_players (game_id, player_id, turn_order) VALUES (?, ?, ?)');
+            playerIds.forEach((playerId, index) => insertGamePlayer.run(gameId, playerId, index));
+
+            const insertTurn = db.prepare(`
+                INSERT INTO turns (
+                    game_id, player_id, round_number, word, score, secondary_words,
+                    placed_tiles, board_checkpoint, start_row, start_col, direction,
+                    blank_tiles, tiles_exchanged, challenge_result, rack, withdrawn_play
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+
+            // Round numbers follow the same rules as live play; rack adjustments come after
+            // the last round
+            let turnsTaken = 0;
+            let lastRound = 0;
+            let settlementRound = null;
+
+            replay.turns.forEach((turn, position) => {
+                let roundNumber;
+                if (turn.direction === 'adjustment') {
+                    settlementRound = settlementRound || lastRound + 1;
+                    roundNumber = settlementRound;
+                } else if (turn.challengeResult === 'penalty') {
+                    roundNumber = Math.floor(Math.max(turnsTaken - 1, 0) / playerIds.length) + 1;
+                } else {
+                    roundNumber = Math.floor(turnsTaken / playerIds.length) + 1;
+                    turnsTaken++;
+                }
+                lastRound = Math.max(lastRound, roundNumber);
+
+                const { placedTiles, boardCheckpoint } = boardHistory.describeTurnBoard(turn.boardBefore, turn.boardAfter, position);
+                insertTurn.run(
+                    gameId, playerIds[turn.playerIndex], roundNumber, turn.word, turn.score,
+                    JSON.stringify(turn.secondaryWords), placedTiles, boardCheckpoint,
+                    turn.startRow, turn.startCol, turn.direction, JSON.stringify(turn.blankTiles),
+                    turn.tilesExchanged, turn.challengeResult, turn.rack ? JSON.stringify(turn.rack) : null,
+                    turn.withdrawnPlay ? JSON.stringify(turn.withdrawnPlay) : null
+                );
+            });
+
+            recalculatePlayerScores(db, gameId);
+
+            const players = db.prepare(`
+                SELECT p.id, p.name, gp.score
+                FROM game_players gp
+                JOIN players p ON gp.player_id = p.id
+                WHERE gp.game_id = ?
+                ORDER BY gp.score DESC, gp.turn_order
+            `).all(gameId);
+
+            // A shared top score is recorded as a tie (no winner)
+            const isTie = players.length > 1 && players[0].score === players[1].score;
+            const winnerId = isTie ? null : players[0].id;
+            db.prepare('UPDATE games SET winner_id = ? WHERE id = ?').run(winnerId, gameId);
+            ratings.syncGame(db, gameId);
+
+            return { gameId, winnerId, isTie, players };
+        })();
+
+        console.log(`[SERVER] Imported GCG as game ${result.gameId} (${replay.turns.length} turns, ${replay.scoreDifferences.length} score differences)`);
+        res.status(201).json({
+            success: true,
+            ...result,
+            turnsImported: replay.turns.length,
+            scoreDifferences: replay.scoreDifferences
+        });
+    } catch (error) {
+        console.error('Error importing game:', error);
+        res.status(500).json({ error: 'Failed to import game' });
     }
 });
 
 // POST /api/games/:id/turns - Submit a turn
-router.post('/:id/turns', (req, res) => {
-    let db; // Declare db outside try for finally access
+router.post('/:id/turns', async (req, res) => {
     try {
         const gameId = parseInt(req.params.id);
-        const { getDatabase } = require('../database/init');
-        const gameLogic = require('../services/gameLogic');
 
         // Debug: Log received data
         console.log('=== SERVER TURN SUBMISSION DEBUG ===');
         console.log('Received request body:', JSON.stringify(req.body, null, 2));
 
-        const { playerId, word, startRow, startCol, direction, blankTiles } = req.body;
+        const { playerId, direction, blankTiles } = req.body;
 
-        // Basic validation
-        if (!playerId || startRow === undefined || startCol === undefined || !direction) {
+        if (!playerId || !direction) {
             console.error('VALIDATION ERROR: Missing required field');
             return res.status(400).json({ error: 'Missing required turn data' });
         }
 
+        if (!gameLogic.TURN_TYPES.includes(direction)) {
+            return res.status(400).json({ error: `Invalid turn type: ${direction}` });
+        }
+
         const isAdjustmentTurn = direction === 'adjustment';
+        const isPlacementTurn = gameLogic.isPlacementDirection(direction);
+
+        // Passes and exchanges don't place tiles, so they have no word or position
+        const word = isPlacementTurn || isAdjustmentTurn ? req.body.word : '';
+        const startRow = isPlacementTurn || isAdjustmentTurn ? req.body.startRow : -1;
+        const startCol = isPlacementTurn || isAdjustmentTurn ? req.body.startCol : -1;
+
+        if (startRow === undefined || startCol === undefined) {
+            console.error('VALIDATION ERROR: Missing required field');
+            return res.status(400).json({ error: 'Missing required turn data' });
+        }
 
         const db = getDatabase();
+        await loadGameDictionary(db, gameId);
 
         // Fetch current game state to get board
-        const game = db.prepare('SELECT board_state, status FROM games WHERE id = ?').get(gameId);
+        const game = getLiveGame(db, gameId, 'board_state, status, dictionary_mode, dictionary_locale, ruleset');
         if (!game) {
-            db.close();
             return res.status(404).json({ error: 'Game not found' });
         }
 
+        if (game.status === 'ending') {
+            return res.status(409).json({
+                error: 'The game has ended after six scoreless turns; enter the remaining racks to finish it',
+                code: 'GAME_ENDING'
+            });
+        }
+
         // Parse current board (Source of Truth)
         let currentBoardState = JSON.parse(game.board_state || '[]');
         if (currentBoardState.length === 0) {
@@ -237,8 +628,23 @@ router.post('/:id/turns', (req, res) => {
         let finalScore = 0;
         let newBoardState;
         let secondaryWords = [];
+        let tilesExchanged = 0;
+        let invalidWords = [];
+        const ruleset = parseGameRuleset(game.ruleset, game.dictionary_locale);
 
-        if (isAdjustmentTurn) {
+        if (direction === 'pass' || direction === 'exchange') {
+            const numPlayers = db.prepare('SELECT COUNT(*) as count FROM game_players WHERE game_id = ?').get(gameId).count;
+            const result = direction === 'pass'
+                ? gameLogic.calculatePass(currentBoardState)
+                : gameLogic.calculateExchange(req.body.tilesExchanged, currentBoardState, numPlayers, ruleset);
+
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+
+            newBoardState = result.boardState;
+            tilesExchanged = result.tilesExchanged;
+        } else if (isAdjustmentTurn) {
             // Trust client for adjustment turns (admin override), or implement specific adjustment logic
             // For now, we trust the score and boardState from client for adjustments ONLY if we want to support manual fixups
             // But for security, even adjustments should ideally be validated. 
@@ -261,13 +667,33 @@ router.post('/:id/turns', (req, res) => {
                 startCol,
                 direction,
                 blankTiles,
-                currentBoardState
+                currentBoardState,
+                ruleset
             );
 
             if (result.error) {
                 console.error('SERVER LOGIC ERROR:', result.error);
-                db.close();
-                return res.status(400).json({ error: result.error });
+                return res.status(400).json({ error: result.error, code: result.code });
+            }
+
+            const dictionaryMode = game.dictionary_mode || 'off';
+            if (dictionaryMode !== 'off') {
+                if (!getSpellChecker(game.dictionary_locale).loaded) {
+                    if (dictionaryMode === 'strict') {
+                        return res.status(503).json({ error: 'Dictionary not loaded; words cannot be checked' });
+                    }
+                    console.warn(`Dictionary not loaded; skipping word check for game ${gameId}`);
+                } else {
+                    invalidWords = findInvalidWords(result.scoredWords.map(w => w.word), game.dictionary_locale);
+                }
+
+                if (dictionaryMode === 'strict' && invalidWords.length > 0) {
+                    return res.status(422).json({
+                        error: `Not in the dictionary: ${invalidWords.join(', ')}`,
+                        code: 'INVALID_WORDS',
+                        invalidWords
+                    });
+                }
             }
 
             finalScore = result.score;
@@ -280,7 +706,7 @@ router.post('/:id/turns', (req, res) => {
         db.transaction(() => {
             // Get num players and turns
             const numPlayers = db.prepare('SELECT COUNT(*) as count FROM game_players WHERE game_id = ?').get(gameId).count;
-            const totalTurnsSubmitted = db.prepare('SELECT COUNT(*) as count FROM turns WHERE game_id = ?').get(gameId).count;
+            const totalTurnsSubmitted = countTurnsTaken(db, gameId);
 
             let roundNumber;
             if (isAdjustmentTurn) {
@@ -290,91 +716,339 @@ router.post('/:id/turns', (req, res) => {
                 roundNumber = Math.floor(totalTurnsSubmitted / numPlayers) + 1;
             }
 
+            // Keep the rack the player recorded with the turn so it can be analysed later
+            const recorded = isAdjustmentTurn
+                ? null
+                : db.prepare('SELECT rack FROM game_players WHERE game_id = ? AND player_id = ?').get(gameId, playerId);
+
+            const { placedTiles, boardCheckpoint } = boardHistory.describeNextTurnBoard(db, gameId, currentBoardState, newBoardState);
+
             const insertTurn = db.prepare(`
                 INSERT INTO turns (
                     game_id, player_id, round_number, word, score, 
-                    secondary_words, board_state_after, start_row, start_col, 
-                    direction, blank_tiles
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    secondary_words, placed_tiles, board_checkpoint, start_row, start_col, 
+                    direction, blank_tiles, tiles_exchanged, invalid_words, rack
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `);
 
-            insertTurn.run(
-                gameId, playerId, roundNumber, word, finalScore,
-                JSON.stringify(secondaryWords), JSON.stringify(newBoardState),
-                startRow, startCol, direction, JSON.stringify(blankTiles || [])
+            const record = insertTurn.run(
+                gameId, playerId, roundNumber, word || '', finalScore,
+                JSON.stringify(secondaryWords), placedTiles, boardCheckpoint,
+                startRow, startCol, direction,
+                JSON.stringify(isPlacementTurn ? (blankTiles || []) : []),
+                tilesExchanged,
+                JSON.stringify(invalidWords),
+                recorded ? recorded.rack : null
             );
 
             // Update player score
             const updateScore = db.prepare('UPDATE game_players SET score = score + ? WHERE game_id = ? AND player_id = ?');
             updateScore.run(finalScore, gameId, playerId);
 
+            // Playing or exchanging tiles changes the rack, so any recorded rack is out of date
+            if (isPlacementTurn || direction === 'exchange') {
+                db.prepare('UPDATE game_players SET rack = NULL WHERE game_id = ? AND player_id = ?').run(gameId, playerId);
+            }
+
             // Update game board state
             const updateGame = db.prepare('UPDATE games SET board_state = ? WHERE id = ?');
             updateGame.run(JSON.stringify(newBoardState), gameId);
 
-            res.json({ success: true, roundNumber, serverScore: finalScore });
+            const { scorelessTurns, gameStatus } = updateScorelessState(db, gameId);
+
+            res.json({ success: true, turnId: record.lastInsertRowid, roundNumber, serverScore: finalScore, tilesExchanged, invalidWords, scorelessTurns, gameStatus });
         })();
 
-        db.close();
     } catch (error) {
         console.error('Error submitting turn:', error.message, error.stack);
         res.status(500).json({ error: 'Failed to submit turn' });
     }
 });
 
+// POST /api/games/:id/challenge - Challenge the most recent play
+router.post('/:id/challenge', async (req, res) => {
+    try {
+        const gameId = parseInt(req.params.id);
+        const challengerId = parseInt(req.body.challengerId);
+
+        if (!Number.isInteger(challengerId)) {
+            return res.status(400).json({ error: 'challengerId is required' });
+        }
+
+        const db = getDatabase();
+        await loadGameDictionary(db, gameId);
+
+        const game = getLiveGame(db, gameId, 'id, status, board_state, challenge_rule, challenge_penalty, dictionary_locale');
+        if (!game) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        if (!getSpellChecker(game.dictionary_locale).loaded) {
+            return res.status(503).json({ error: 'Dictionary not loaded; challenges cannot be checked' });
+        }
+
+        if (game.status !== 'active') {
+            return res.status(409).json({ error: 'Only active games can be challenged' });
+        }
+
+        const challenger = db.prepare('SELECT player_id FROM game_players WHERE game_id = ? AND player_id = ?').get(gameId, challengerId);
+        if (!challenger) {
+            return res.status(400).json({ error: 'Challenger is not a player in this game' });
+        }
+
+        // Only the most recent turn can be challenged
+        const lastTurn = db.prepare('SELECT * FROM turns WHERE game_id = ? ORDER BY id DESC LIMIT 1').get(gameId);
+        if (!lastTurn || !gameLogic.isPlacementDirection(lastTurn.direction)) {
+            return res.status(409).json({ error: 'There is no play to challenge' });
+        }
+
+        if (req.body.turnId !== undefined && parseInt(req.body.turnId) !== lastTurn.id) {
+            return res.status(409).json({ error: 'Only the most recent play can be challenged' });
+        }
+
+        if (lastTurn.player_id === challengerId) {
+            return res.status(400).json({ error: 'Players cannot challenge their own play' });
+        }
+
+        const challengedWords = [lastTurn.word, ...JSON.parse(lastTurn.secondary_words || '[]')];
+        const invalidWords = findInvalidWords(challengedWords, game.dictionary_locale);
+        const result = gameLogic.resolveChallenge(invalidWords, game.challenge_rule, game.challenge_penalty);
+
+        const response = db.transaction(() => {
+            const insertTurn = db.prepare(`
+                INSERT INTO turns (
+                    game_id, player_id, round_number, word, score,
+                    secondary_words, placed_tiles, board_checkpoint, start_row, start_col,
+                    direction, challenge_result, invalid_words, rack, withdrawn_play
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, -1, -1, 'challenge', ?, ?, ?, ?)
+            `);
+            const updateScore = db.prepare('UPDATE game_players SET score = score + ? WHERE game_id = ? AND player_id = ?');
+
+            if (result.outcome === 'phony') {
+                // Withdraw the play: take back its points and restore the board from before it
+                const restoredBoard = boardHistory.getBoardBeforeTurn(db, gameId, lastTurn.id);
+
+                updateScore.run(-lastTurn.score, gameId, lastTurn.player_id);
+                db.prepare('UPDATE games SET board_state = ? WHERE id = ?').run(JSON.stringify(restoredBoard), gameId);
+                db.prepare('DELETE FROM turns WHERE id = ?').run(lastTurn.id);
+
+                // The withdrawn play still used up its player's turn. Where it was and what it
+                // scored are kept so the game record can still show it.
+                const withdrawnPlay = {
+                    direction: lastTurn.direction,
+                    startRow: lastTurn.start_row,
+                    startCol: lastTurn.start_col,
+                    placedTiles: JSON.parse(lastTurn.placed_tiles || '[]'),
+                    score: lastTurn.score
+                };
+                const { placedTiles, boardCheckpoint } = boardHistory.describeNextTurnBoard(db, gameId, restoredBoard, restoredBoard);
+                const record = insertTurn.run(
+                    gameId, lastTurn.player_id, lastTurn.round_number, lastTurn.word, 0,
+                    lastTurn.secondary_words || '[]', placedTiles, boardCheckpoint, result.outcome, JSON.stringify(invalidWords),
+                    lastTurn.rack, JSON.stringify(withdrawnPlay)
+                );
+                return {
+                    challengeTurnId: record.lastInsertRowid,
+                    playerId: lastTurn.player_id,
+                    score: 0,
+                    ...updateScorelessState(db, gameId)
+                };
+            }
+
+            const numPlayers = db.prepare('SELECT COUNT(*) as count FROM game_players WHERE game_id = ?').get(gameId).count;
+            const roundNumber = result.consumesTurn
+                ? Math.floor(countTurnsTaken(db, gameId) / numPlayers) + 1
+                : lastTurn.round_number;
+
+            updateScore.run(result.challengerScore, gameId, challengerId);
+            const { placedTiles, boardCheckpoint } = boardHistory.describeNextTurnBoard(db, gameId, game.board_state, game.board_state);
+            const record = insertTurn.run(
+                gameId, challengerId, roundNumber, lastTurn.word, result.challengerScore,
+                lastTurn.secondary_words || '[]', placedTiles, boardCheckpoint, result.outcome, JSON.stringify([]),
+                null, null
+            );
+            return {
+                challengeTurnId: record.lastInsertRowid,
+                playerId: challengerId,
+                score: result.challengerScore,
+                ...updateScorelessState(db, gameId)
+            };
+        })();
+
+        console.log(`[SERVER] Challenge on turn ${lastTurn.id} in game ${gameId}: ${result.outcome}`);
+        res.json({
+            success: true,
+            outcome: result.outcome,
+            challengedTurnId: lastTurn.id,
+            challengedWords,
+            invalidWords,
+            ...response
+        });
+    } catch (error) {
+        console.error('Error resolving challenge:', error);
+        res.status(500).json({ error: 'Failed to resolve challenge' });
+    }
+});
+
+// POST /api/games/:id/finish - Settle leftover racks and finish the game
+router.post('/:id/finish', (req, res) => {
+    try {
+        const gameId = parseInt(req.params.id);
+        const racks = req.body.racks === undefined ? {} : req.body.racks;
+
+        const isRackMap = racks !== null && typeof racks === 'object' && !Array.isArray(racks) &&
+            Object.values(racks).every(rack => Array.isArray(rack) && rack.every(tile => typeof tile === 'string'));
+        if (!isRackMap) {
+            return res.status(400).json({ error: 'racks must map player ids to arrays of their leftover tiles' });
+        }
+
+        const db = getDatabase();
+
+        const game = getLiveGame(db, gameId, 'id, status, board_state, dictionary_locale, ruleset');
+        if (!game) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        if (game.status !== 'active' && game.status !== 'ending') {
+            return res.status(409).json({ error: `Game is already ${game.status}` });
+        }
+
+        // A game that ended on scoreless turns has nobody going out
+        const wentOut = game.status === 'ending' && req.body.wentOutPlayerId === undefined
+            ? 'none'
+            : req.body.wentOutPlayerId;
+
+        if (wentOut === undefined || wentOut === null) {
+            return res.status(400).json({ error: 'wentOutPlayerId is required (a player id or "none")' });
+        }
+
+        const wentOutPlayerId = wentOut === 'none' ? null : parseInt(wentOut);
+        if (wentOutPlayerId !== null && !Number.isInteger(wentOutPlayerId)) {
+            return res.status(400).json({ error: 'wentOutPlayerId must be a player id or "none"' });
+        }
+
+        if (game.status === 'ending' && wentOutPlayerId !== null) {
+            return res.status(400).json({ error: 'Nobody went out: the game ended after six scoreless turns' });
+        }
+
+        const playerIds = db.prepare('SELECT player_id FROM game_players WHERE game_id = ? ORDER BY turn_order')
+            .all(gameId)
+            .map(row => row.player_id);
+
+        const boardState = JSON.parse(game.board_state || '[]');
+        const settlement = gameLogic.calculateSettlement(playerIds, wentOutPlayerId, racks, boardState, parseGameRuleset(game.ruleset, game.dictionary_locale));
+        if (settlement.error) {
+            return res.status(422).json(settlement);
+        }
+
+        const result = db.transaction(() => {
+            const highestRound = db.prepare('SELECT MAX(round_number) as highest_round FROM turns WHERE game_id = ?').get(gameId);
+            const roundNumber = (highestRound && highestRound.highest_round ? highestRound.highest_round : 0) + 1;
+
+            const insertTurn = db.prepare(`
+                INSERT INTO turns (
+                    game_id, player_id, round_number, word, score,
+                    secondary_words, placed_tiles, board_checkpoint, start_row, start_col, direction
+                ) VALUES (?, ?, ?, ?, ?, '[]', ?, ?, -1, -1, 'adjustment')
+            `);
+            const updateScore = db.prepare('UPDATE game_players SET score = score + ? WHERE game_id = ? AND player_id = ?');
+
+            settlement.adjustments.forEach(adjustment => {
+                const rackWord = adjustment.rack.map(tile => (tile === '_' ? '?' : tile)).sort().join('');
+                let word = rackWord || '<EMPTY>';
+                if (adjustment.playerId === wentOutPlayerId) {
+                    word = adjustment.score > 0 ? '' : '<EMPTY>';
+                }
+
+                const { placedTiles, boardCheckpoint } = boardHistory.describeNextTurnBoard(db, gameId, boardState, boardState);
+                insertTurn.run(gameId, adjustment.playerId, roundNumber, word, adjustment.score, placedTiles, boardCheckpoint);
+                updateScore.run(adjustment.score, gameId, adjustment.playerId);
+            });
+
+            const players = db.prepare(`
+                SELECT p.id, p.name, gp.score
+                FROM game_players gp
+                JOIN players p ON gp.player_id = p.id
+                WHERE gp.game_id = ?
+                ORDER BY gp.score DESC, gp.turn_order
+            `).all(gameId);
+
+            // A shared top score is recorded as a tie (no winner)
+            const isTie = players.length > 1 && players[0].score === players[1].score;
+            const winnerId = isTie ? null : players[0].id;
+
+            db.prepare('UPDATE games SET status = ?, winner_id = ? WHERE id = ?').run('finished', winnerId, gameId);
+
+            return {
+                winnerId,
+                isTie,
+                ratingChanges: ratings.syncGame(db, gameId),
+                players: players.map(player => ({
+                    ...player,
+                    adjustment: settlement.adjustments.find(adj => adj.playerId === player.id).score
+                }))
+            };
+        })();
+
+        console.log(`[SERVER] Game ${gameId} finished; winner ${result.winnerId === null ? 'none (tie)' : result.winnerId}`);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error finishing game:', error);
+        res.status(500).json({ error: 'Failed to finish game' });
+    }
+});
+
 // PUT /api/games/:id/status - Update game status (finish game)
 router.put('/:id/status', (req, res) => {
     try {
         const gameId = parseInt(req.params.id);
         const { status, winnerId } = req.body;
 
-        if (!status || !['active', 'finished', 'interrupted'].includes(status)) {
+        if (!status || !['active', 'ending', 'finished', 'interrupted'].includes(status)) {
             return res.status(400).json({ error: 'Invalid status' });
         }
 
         const db = getDatabase();
 
-        const updateGame = db.prepare('UPDATE games SET status = ?, winner_id = ? WHERE id = ?');
-        updateGame.run(status, winnerId || null, gameId);
+        if (!getLiveGame(db, gameId)) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        // Finishing a game rates it; changing a finished game re-rates the ladder
+        const ratingChanges = db.transaction(() => {
+            const updateGame = db.prepare('UPDATE games SET status = ?, winner_id = ? WHERE id = ?');
+            updateGame.run(status, winnerId || null, gameId);
+            return ratings.syncGame(db, gameId);
+        })();
 
-        db.close();
-        res.json({ success: true });
+        res.json({ success: true, ratingChanges });
     } catch (error) {
         console.error('Error updating game status:', error);
         res.status(500).json({ error: 'Failed to update game status' });
     }
 });
 
-// DELETE /api/games/:id - Delete a game
+// DELETE /api/games/:id - Move a game to the trash
+// It stays restorable until it is purged after the retention period.
 router.delete('/:id', (req, res) => {
     try {
         const gameId = parseInt(req.params.id);
         const db = getDatabase();
 
-        db.transaction(() => {
-            // Delete turns first (foreign key constraint)
-            db.prepare('DELETE FROM turns WHERE game_id = ?').run(gameId);
-
-            // Delete game_players
-            db.prepare('DELETE FROM game_players WHERE game_id = ?').run(gameId);
-
-            // Delete the game
-            const result = db.prepare('DELETE FROM games WHERE id = ?').run(gameId);
-
-            if (result.changes === 0) {
-                throw new Error('Game not found');
-            }
+        const result = db.transaction(() => {
+            const trashed = db.prepare('UPDATE games SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL').run(gameId);
+            ratings.syncGame(db, gameId);
+            return trashed;
         })();
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
 
-        db.close();
-        res.json({ success: true });
+        console.log(`[SERVER] Game ${gameId} moved to the trash`);
+        res.json({ success: true, retentionDays: trash.getRetentionDays() });
     } catch (error) {
         console.error('Error deleting game:', error);
-        if (error.message === 'Game not found') {
-            res.status(404).json({ error: 'Game not found' });
-        } else {
-            res.status(500).json({ error: 'Failed to delete game' });
-        }
+        res.status(500).json({ error: 'Failed to delete game' });
     }
 });
 
@@ -384,16 +1058,22 @@ router.put('/:id/reinstate', (req, res) => {
         const gameId = parseInt(req.params.id);
         const db = getDatabase();
 
+        if (!getLiveGame(db, gameId)) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
         // Update game status to active
-        const updateGame = db.prepare('UPDATE games SET status = ?, winner_id = NULL WHERE id = ?');
-        const result = updateGame.run('active', gameId);
+        const result = db.transaction(() => {
+            const updateGame = db.prepare('UPDATE games SET status = ?, winner_id = NULL WHERE id = ?');
+            const updated = updateGame.run('active', gameId);
+            ratings.syncGame(db, gameId);
+            return updated;
+        })();
 
         if (result.changes === 0) {
-            db.close();
             return res.status(404).json({ error: 'Game not found' });
         }
 
-        db.close();
         res.json({ success: true });
     } catch (error) {
         console.error('Error reinstating game:', error);
@@ -406,10 +1086,13 @@ router.put('/:id/reinstate', (req, res) => {
 // DELETE /api/games/:id/turns/last - Undo the last turn for a game
 router.delete('/:id/turns/last', (req, res) => {
     console.log(`[SERVER] Processing Undo request for game ${req.params.id}`);
-    let db;
     try {
         const gameId = parseInt(req.params.id);
-        db = getDatabase();
+        const db = getDatabase();
+
+        if (!getLiveGame(db, gameId)) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
 
         const result = db.transaction(() => {
             // Get the last turn for the game
@@ -428,18 +1111,8 @@ router.delete('/:id/turns/last', (req, res) => {
             const updateScore = db.prepare('UPDATE game_players SET score = score - ? WHERE game_id = ? AND player_id = ?');
             updateScore.run(lastTurn.score, gameId, lastTurn.player_id);
 
-            // Get the board state BEFORE the last turn (which is the board_state_after of the second to last turn)
-            const secondLastTurn = db.prepare(`
-                SELECT board_state_after FROM turns
-                WHERE game_id = ? AND id != ?
-                ORDER BY id DESC
-                LIMIT 1
-            `).get(gameId, lastTurn.id);
-
-            let newBoardState = '[]'; // Default to empty board if no other turns exist
-            if (secondLastTurn && secondLastTurn.board_state_after) {
-                newBoardState = secondLastTurn.board_state_after;
-            }
+            // Get the board state BEFORE the last turn (the board after the second to last turn)
+            const newBoardState = JSON.stringify(boardHistory.getBoardBeforeTurn(db, gameId, lastTurn.id));
 
             // Update game's board state
             const updateGameBoard = db.prepare('UPDATE games SET board_state = ? WHERE id = ?');
@@ -448,6 +1121,10 @@ router.delete('/:id/turns/last', (req, res) => {
             // Delete the last turn
             db.prepare('DELETE FROM turns WHERE id = ?').run(lastTurn.id);
 
+            // Undoing a scoreless turn can take the game back out of 'ending'
+            updateScorelessState(db, gameId);
+            ratings.syncGame(db, gameId);
+
             return lastTurn;
         })();
 
@@ -467,12 +1144,456 @@ router.delete('/:id/turns/last', (req, res) => {
                 details: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
         }
-    } finally {
-        try {
-            if (db) db.close();
-        } catch (e) {
-            console.error('Error closing database:', e);
+    }
+});
+
+// POST /api/games/:id/rewind - Roll the game back to just after turnId (0 for the start)
+// The turns taken off are archived so the rewind can be undone.
+router.post('/:id/rewind', (req, res) => {
+    try {
+        const gameId = parseInt(req.params.id);
+        const toTurnId = parseInt(req.body.turnId);
+
+        if (!Number.isInteger(toTurnId) || toTurnId < 0) {
+            return res.status(400).json({ error: 'turnId is required (0 rewinds to the start)' });
+        }
+
+        const db = getDatabase();
+
+        const game = getLiveGame(db, gameId, 'id, status, winner_id');
+        if (!game) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        if (toTurnId > 0 && !db.prepare('SELECT id FROM turns WHERE id = ? AND game_id = ?').get(toTurnId, gameId)) {
+            return res.status(404).json({ error: 'Turn not found' });
+        }
+        const boardState = JSON.stringify(boardHistory.getBoardAfterTurn(db, gameId, toTurnId));
+
+        const removedTurns = db.prepare('SELECT * FROM turns WHERE game_id = ? AND id > ? ORDER BY id').all(gameId, toTurnId);
+        if (removedTurns.length === 0) {
+            return res.status(409).json({ error: 'There are no turns after this one to rewind' });
         }
+
+        const response = db.transaction(() => {
+            const rewind = db.prepare(`
+                INSERT INTO rewinds (game_id, to_turn_id, previous_status, previous_winner_id)
+                VALUES (?, ?, ?, ?)
+            `).run(gameId, toTurnId, game.status, game.winner_id);
+            const rewindId = rewind.lastInsertRowid;
+
+            const archiveTurn = db.prepare('INSERT INTO archived_turns (rewind_id, turn_id, turn_data) VALUES (?, ?, ?)');
+            removedTurns.forEach(turn => archiveTurn.run(rewindId, turn.id, JSON.stringify(turn)));
+
+            db.prepare('DELETE FROM turns WHERE game_id = ? AND id > ?').run(gameId, toTurnId);
+            recalculatePlayerScores(db, gameId);
+
+            // A finished game is back in play once its closing turns are gone
+            const status = game.status === 'finished' ? 'active' : game.status;
+            db.prepare('UPDATE games SET board_state = ?, status = ?, winner_id = NULL WHERE id = ?')
+                .run(boardState, status, gameId);
+            const { gameStatus } = updateScorelessState(db, gameId);
+            ratings.syncGame(db, gameId);
+
+            return {
+                rewindId,
+                turnId: toTurnId,
+                removedTurns: removedTurns.map(turn => turn.id),
+                gameStatus,
+                scores: db.prepare('SELECT player_id as playerId, score FROM game_players WHERE game_id = ? ORDER BY turn_order').all(gameId),
+                boardState: JSON.parse(boardState)
+            };
+        })();
+
+        console.log(`[SERVER] Rewound game ${gameId} to turn ${toTurnId}, archived ${removedTurns.length} turns`);
+        res.json({ success: true, ...response });
+    } catch (error) {
+        console.error('Error rewinding game:', error);
+        res.status(500).json({ error: 'Failed to rewind game' });
+    }
+});
+
+// GET /api/games/:id/rewinds - Rewinds of a game, newest first
+router.get('/:id/rewinds', (req, res) => {
+    try {
+        const gameId = parseInt(req.params.id);
+        const db = getDatabase();
+
+        if (!getLiveGame(db, gameId)) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        const rewinds = db.prepare(`
+            SELECT r.id, r.to_turn_id, r.created_at, r.restored_at, COUNT(a.id) as archived_turns
+            FROM rewinds r
+            LEFT JOIN archived_turns a ON a.rewind_id = r.id
+            WHERE r.game_id = ?
+            GROUP BY r.id
+            ORDER BY r.id DESC
+        `).all(gameId);
+
+        res.json(rewinds);
+    } catch (error) {
+        console.error('Error fetching rewinds:', error);
+        res.status(500).json({ error: 'Failed to fetch rewinds' });
+    }
+});
+
+// POST /api/games/:id/rewinds/:rewindId/restore - Undo a rewind by putting its archived turns back
+// Only possible while no turns have been added since the rewind.
+router.post('/:id/rewinds/:rewindId/restore', (req, res) => {
+    try {
+        const gameId = parseInt(req.params.id);
+        const rewindId = parseInt(req.params.rewindId);
+
+        const db = getDatabase();
+
+        if (!getLiveGame(db, gameId)) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        const rewind = db.prepare('SELECT * FROM rewinds WHERE id = ? AND game_id = ?').get(rewindId, gameId);
+        if (!rewind) {
+            return res.status(404).json({ error: 'Rewind not found' });
+        }
+
+        if (rewind.restored_at) {
+            return res.status(409).json({ error: 'This rewind has already been undone', code: 'REWIND_RESTORED' });
+        }
+
+        const lastTurn = db.prepare('SELECT MAX(id) as id FROM turns WHERE game_id = ?').get(gameId);
+        if ((lastTurn.id || 0) !== rewind.to_turn_id) {
+            return res.status(409).json({
+                error: 'The game has changed since this rewind; undo later turns or rewinds first',
+                code: 'REWIND_CONFLICT'
+            });
+        }
+
+        const archived = db.prepare('SELECT turn_data FROM archived_turns WHERE rewind_id = ? ORDER BY turn_id').all(rewindId)
+            .map(row => JSON.parse(row.turn_data));
+
+        // Put back only the columns the turns table still has
+        const columns = new Set(db.prepare('PRAGMA table_info(turns)').all().map(column => column.name));
+
+        const response = db.transaction(() => {
+            let previousBoard = boardHistory.getBoardAfterTurn(db, gameId, rewind.to_turn_id);
+            for (const turn of archived) {
+                // Turns archived while every turn kept a full board snapshot are put back as checkpoints
+                if (turn.board_state_after !== undefined && turn.placed_tiles === undefined) {
+                    const snapshot = boardHistory.parseBoard(turn.board_state_after);
+                    turn.placed_tiles = JSON.stringify(boardHistory.diffBoards(previousBoard, snapshot).placedTiles);
+                    turn.board_checkpoint = JSON.stringify(snapshot);
+                    previousBoard = snapshot;
+                }
+
+                const names = Object.keys(turn).filter(name => columns.has(name));
+                db.prepare(`INSERT INTO turns (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`)
+                    .run(...names.map(name => turn[name]));
+            }
+
+            db.prepare('DELETE FROM archived_turns WHERE rewind_id = ?').run(rewindId);
+            db.prepare('UPDATE rewinds SET restored_at = CURRENT_TIMESTAMP WHERE id = ?').run(rewindId);
+
+            recalculatePlayerScores(db, gameId);
+            const boardState = JSON.stringify(boardHistory.getBoardAfterTurn(db, gameId, archived[archived.length - 1].id));
+            db.prepare('UPDATE games SET board_state = ?, status = ?, winner_id = ? WHERE id = ?')
+                .run(boardState, rewind.previous_status, rewind.previous_winner_id, gameId);
+            ratings.syncGame(db, gameId);
+
+            return {
+                rewindId,
+                restoredTurns: archived.map(turn => turn.id),
+                gameStatus: rewind.previous_status,
+                scores: db.prepare('SELECT player_id as playerId, score FROM game_players WHERE game_id = ? ORDER BY turn_order').all(gameId),
+                boardState: JSON.parse(boardState)
+            };
+        })();
+
+        console.log(`[SERVER] Undid rewind ${rewindId} of game ${gameId}, restored ${archived.length} turns`);
+        res.json({ success: true, ...response });
+    } catch (error) {
+        console.error('Error undoing rewind:', error);
+        res.status(500).json({ error: 'Failed to undo rewind' });
+    }
+});
+
+// PUT /api/games/:id/turns/:turnId - Correct a past play and re-score every turn after it
+// Body: any of { word, startRow, startCol, direction, blankTiles }; missing fields keep their value.
+router.put('/:id/turns/:turnId', async (req, res) => {
+    try {
+        const gameId = parseInt(req.params.id);
+        const turnId = parseInt(req.params.turnId);
+
+        const db = getDatabase();
+        await loadGameDictionary(db, gameId);
+
+        const game = getLiveGame(db, gameId, 'id, status, dictionary_mode, dictionary_locale, ruleset');
+        if (!game) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        if (game.status === 'finished') {
+            return res.status(409).json({ error: 'Turns of a finished game cannot be edited', code: 'GAME_FINISHED' });
+        }
+
+        const turn = db.prepare('SELECT * FROM turns WHERE id = ? AND game_id = ?').get(turnId, gameId);
+        if (!turn) {
+            return res.status(404).json({ error: 'Turn not found' });
+        }
+
+        if (!gameLogic.isPlacementDirection(turn.direction)) {
+            return res.status(400).json({ error: 'Only plays can be edited' });
+        }
+
+        const edit = {
+            word: req.body.word !== undefined ? req.body.word : turn.word,
+            startRow: req.body.startRow !== undefined ? req.body.startRow : turn.start_row,
+            startCol: req.body.startCol !== undefined ? req.body.startCol : turn.start_col,
+            direction: req.body.direction !== undefined ? req.body.direction : turn.direction,
+            blankTiles: req.body.blankTiles !== undefined ? req.body.blankTiles : JSON.parse(turn.blank_tiles || '[]')
+        };
+
+        if (!gameLogic.isPlacementDirection(edit.direction)) {
+            return res.status(400).json({ error: 'direction must be across or down' });
+        }
+
+        if (!Array.isArray(edit.blankTiles)) {
+            return res.status(400).json({ error: 'blankTiles must be an array' });
+        }
+
+        const boardBefore = boardHistory.getBoardBeforeTurn(db, gameId, turnId);
+
+        const laterTurns = db.prepare('SELECT * FROM turns WHERE game_id = ? AND id > ? ORDER BY id').all(gameId, turnId);
+        const storedBoards = boardHistory.rebuildBoards([turn, ...laterTurns], boardBefore);
+        const toReplay = [turn, ...laterTurns].map((row, index) => ({
+            id: row.id,
+            direction: row.direction,
+            word: row.word,
+            startRow: row.start_row,
+            startCol: row.start_col,
+            blankTiles: JSON.parse(row.blank_tiles || '[]'),
+            score: row.score,
+            tilesExchanged: row.tiles_exchanged,
+            challengeResult: row.challenge_result,
+            boardStateAfter: storedBoards[index]
+        }));
+        Object.assign(toReplay[0], edit);
+
+        const numPlayers = db.prepare('SELECT COUNT(*) as count FROM game_players WHERE game_id = ?').get(gameId).count;
+        const replay = gameLogic.replayTurns(boardBefore, toReplay, numPlayers, parseGameRuleset(game.ruleset, game.dictionary_locale));
+
+        const rejectEdit = conflict => res.status(409).json({
+            error: conflict.turnId === turnId
+                ? `The edited play does not fit: ${conflict.error}`
+                : `The edit breaks a later turn (${conflict.word || conflict.direction}): ${conflict.error}`,
+            code: 'REPLAY_CONFLICT',
+            conflict
+        });
+
+        if (replay.conflict) {
+            return rejectEdit(replay.conflict);
+        }
+
+        // Re-check the words of every replayed play, since an edit can change the cross words after it
+        const dictionaryMode = game.dictionary_mode || 'off';
+        const checkWords = dictionaryMode !== 'off' && getSpellChecker(game.dictionary_locale).loaded;
+        const invalidWordsById = new Map();
+        if (checkWords) {
+            for (let i = 0; i < replay.turns.length; i++) {
+                const replayed = replay.turns[i];
+                if (replayed.scoredWords) {
+                    invalidWordsById.set(replayed.id, findInvalidWords(replayed.scoredWords.map(w => w.word), game.dictionary_locale));
+                    continue;
+                }
+
+                // A failed challenge only stands while the play before it is still valid
+                const challenged = replay.turns[i - 1];
+                const challengeRow = toReplay[i];
+                if (replayed.direction === 'challenge' && challengeRow.challengeResult !== 'phony' &&
+                    challenged && (invalidWordsById.get(challenged.id) || []).length > 0) {
+                    return rejectEdit({
+                        turnId: replayed.id,
+                        direction: replayed.direction,
+                        word: replayed.word,
+                        error: `The challenged play now forms ${invalidWordsById.get(challenged.id).join(', ')}, which is not in the dictionary`,
+                        code: 'REPLAY_CONFLICT'
+                    });
+                }
+            }
+
+            if (dictionaryMode === 'strict') {
+                const editedInvalid = invalidWordsById.get(turnId) || [];
+                if (editedInvalid.length > 0) {
+                    return res.status(422).json({
+                        error: `Not in the dictionary: ${editedInvalid.join(', ')}`,
+                        code: 'INVALID_WORDS',
+                        invalidWords: editedInvalid
+                    });
+                }
+
+                const broken = replay.turns.find(replayed => (invalidWordsById.get(replayed.id) || []).length > 0);
+                if (broken) {
+                    return rejectEdit({
+                        turnId: broken.id,
+                        direction: broken.direction,
+                        word: broken.word,
+                        error: `Not in the dictionary: ${invalidWordsById.get(broken.id).join(', ')}`,
+                        code: 'INVALID_WORDS'
+                    });
+                }
+            }
+        }
+
+        const scores = db.transaction(() => {
+            db.prepare(`
+                UPDATE turns SET word = ?, start_row = ?, start_col = ?, direction = ?, blank_tiles = ?
+                WHERE id = ?
+            `).run(edit.word, edit.startRow, edit.startCol, edit.direction, JSON.stringify(edit.blankTiles), turnId);
+
+            const updateTurn = db.prepare('UPDATE turns SET score = ?, placed_tiles = ?, board_checkpoint = ? WHERE id = ?');
+            const updateWords = db.prepare('UPDATE turns SET secondary_words = ? WHERE id = ?');
+            const updateInvalidWords = db.prepare('UPDATE turns SET invalid_words = ? WHERE id = ?');
+            const firstPosition = db.prepare('SELECT COUNT(*) as count FROM turns WHERE game_id = ? AND id < ?').get(gameId, turnId).count;
+            let previousBoard = boardBefore;
+            replay.turns.forEach((replayed, index) => {
+                const { placedTiles, boardCheckpoint } = boardHistory.describeTurnBoard(previousBoard, replayed.boardState, firstPosition + index);
+                updateTurn.run(replayed.score, placedTiles, boardCheckpoint, replayed.id);
+                previousBoard = replayed.boardState;
+                if (replayed.secondaryWords) {
+                    updateWords.run(JSON.stringify(replayed.secondaryWords), replayed.id);
+                }
+                if (invalidWordsById.has(replayed.id)) {
+                    updateInvalidWords.run(JSON.stringify(invalidWordsById.get(replayed.id)), replayed.id);
+                }
+            });
+
+            recalculatePlayerScores(db, gameId);
+
+            db.prepare('UPDATE games SET board_state = ? WHERE id = ?').run(JSON.stringify(replay.boardState), gameId);
+            updateScorelessState(db, gameId);
+            ratings.syncGame(db, gameId);
+
+            return db.prepare('SELECT player_id as playerId, score FROM game_players WHERE game_id = ? ORDER BY turn_order').all(gameId);
+        })();
+
+        console.log(`[SERVER] Edited turn ${turnId} of game ${gameId}, re-scored ${replay.turns.length} turns`);
+        res.json({
+            success: true,
+            turnId,
+            score: replay.turns[0].score,
+            replayedTurns: replay.turns.length,
+            scores,
+            boardState: replay.boardState
+        });
+    } catch (error) {
+        console.error('Error editing turn:', error);
+        res.status(500).json({ error: 'Failed to edit turn' });
+    }
+});
+
+// GET /api/games/:id/analysis - Compare each turn of a finished game with the best play available
+// ?limit=N sets how many alternatives are listed per turn.
+router.get('/:id/analysis', async (req, res) => {
+    try {
+        const gameId = parseInt(req.params.id);
+        const limit = req.query.limit === undefined ? moveGenerator.DEFAULT_ALTERNATIVES : Number(req.query.limit);
+
+        if (!Number.isInteger(limit) || limit < 1 || limit > 20) {
+            return res.status(400).json({ error: 'limit must be between 1 and 20' });
+        }
+
+        const db = getDatabase();
+        await loadGameDictionary(db, gameId);
+
+        const game = getLiveGame(db, gameId, 'id, status, dictionary_locale, ruleset');
+        if (!game) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        if (!getSpellChecker(game.dictionary_locale).loaded) {
+            return res.status(503).json({ error: 'Dictionary not loaded; the game cannot be analysed' });
+        }
+
+        if (game.status !== 'finished') {
+            return res.status(409).json({ error: 'Only finished games can be analysed', code: 'GAME_NOT_FINISHED' });
+        }
+
+        const players = db.prepare(`
+            SELECT p.id, p.name
+            FROM game_players gp
+            JOIN players p ON gp.player_id = p.id
+            WHERE gp.game_id = ?
+            ORDER BY gp.turn_order
+        `).all(gameId);
+
+        // Turns in the order they were played, so each one starts from the previous board
+        const rows = db.prepare('SELECT * FROM turns WHERE game_id = ? ORDER BY id').all(gameId);
+        const boards = boardHistory.rebuildBoards(rows);
+        const turns = rows.map((turn, index) => ({
+            id: turn.id,
+            playerId: turn.player_id,
+            roundNumber: turn.round_number,
+            direction: turn.direction,
+            word: turn.word,
+            score: turn.score,
+            rack: turn.rack ? JSON.parse(turn.rack) : null,
+            boardStateAfter: boards[index]
+        }));
+
+        const started = Date.now();
+        const analysis = moveGenerator.analyseTurns(turns, parseGameRuleset(game.ruleset, game.dictionary_locale), limit, game.dictionary_locale);
+        console.log(`[SERVER] Analysed ${turns.length} turns of game ${gameId} in ${Date.now() - started}ms`);
+
+        const names = new Map(players.map(player => [player.id, player.name]));
+        const summary = players.map(player => {
+            const analysed = analysis.filter(turn => turn.playerId === player.id && turn.analysed);
+            return {
+                playerId: player.id,
+                name: player.name,
+                turnsAnalysed: analysed.length,
+                bestPlaysFound: analysed.filter(turn => turn.pointsMissed === 0).length,
+                pointsMissed: analysed.reduce((sum, turn) => sum + turn.pointsMissed, 0)
+            };
+        });
+
+        res.json({
+            gameId,
+            players: summary,
+            turns: analysis.map(turn => ({ ...turn, playerName: names.get(turn.playerId) || null }))
+        });
+    } catch (error) {
+        console.error('Error analysing game:', error);
+        res.status(500).json({ error: 'Failed to analyse game' });
+    }
+});
+
+// GET /api/games/:id/export.gcg - The game as a GCG file for other Scrabble tools
+router.get('/:id/export.gcg', (req, res) => {
+    try {
+        const gameId = parseInt(req.params.id);
+        const db = getDatabase();
+
+        const game = getLiveGame(db, gameId, 'id, created_at, dictionary_locale, ruleset');
+        if (!game) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        const players = db.prepare(`
+            SELECT p.id, p.name
+            FROM game_players gp
+            JOIN players p ON gp.player_id = p.id
+            WHERE gp.game_id = ?
+            ORDER BY gp.turn_order
+        `).all(gameId);
+        const turns = db.prepare('SELECT * FROM turns WHERE game_id = ? ORDER BY id').all(gameId);
+
+        const file = gcg.buildGcg(game, players, turns, parseGameRuleset(game.ruleset, game.dictionary_locale));
+
+        res.set('Content-Disposition', `attachment; filename="game-${gameId}.gcg"`);
+        res.type('text/plain; charset=utf-8').send(file);
+    } catch (error) {
+        console.error('Error exporting game:', error);
+        res.status(500).json({ error: 'Failed to export game' });
     }
 });
 
@@ -487,11 +1608,10 @@ router.get('/:id/statistics', (req, res) => {
             SELECT g.*, w.name as winner_name
             FROM games g
             LEFT JOIN players w ON g.winner_id = w.id
-            WHERE g.id = ?
+            WHERE g.id = ? AND g.deleted_at IS NULL
         `).get(gameId);
 
         if (!game) {
-            db.close();
             return res.status(404).json({ error: 'Game not found' });
         }
 
@@ -513,20 +1633,25 @@ router.get('/:id/statistics', (req, res) => {
             ORDER BY t.round_number, t.id
         `).all(gameId);
 
-        // Parse JSON fields and standardize field names
-        const processedTurns = turns.map(turn => ({
+        // Parse JSON fields and standardize field names (checkpoints stay server-side)
+        const processedTurns = turns.map(({ board_checkpoint, placed_tiles, ...turn }) => ({
             ...turn,
             playerId: turn.player_id,
             roundNumber: turn.round_number,
+            turnType: gameLogic.getTurnType(turn.direction),
+            tilesExchanged: turn.tiles_exchanged || 0,
+            challengeResult: turn.challenge_result || null,
+            invalidWords: JSON.parse(turn.invalid_words || '[]'),
             secondaryWords: JSON.parse(turn.secondary_words || '[]'),
             blankTiles: JSON.parse(turn.blank_tiles || '[]'),
-            boardStateAfter: JSON.parse(turn.board_state_after || '[]')
+            placedTiles: JSON.parse(placed_tiles || '[]')
         }));
 
         // Calculate statistics
         const totalTurns = processedTurns.length;
         const playersCount = players.length;
-        const currentRound = Math.floor(totalTurns / playersCount) + 1;
+        const turnsTaken = processedTurns.filter(turn => turn.challengeResult !== 'penalty').length;
+        const currentRound = Math.floor(turnsTaken / playersCount) + 1;
 
         // Find highest scoring turn
         let highestScoringTurn = null;
@@ -557,7 +1682,11 @@ router.get('/:id/statistics', (req, res) => {
                 ...player,
                 averageScore: Math.round(averageScore * 100) / 100,
                 totalTurns: playerTurns.length,
-                validTurns: validPlayerTurns.length
+                validTurns: validPlayerTurns.length,
+                passes: playerTurns.filter(t => t.turnType === 'pass').length,
+                exchanges: playerTurns.filter(t => t.turnType === 'exchange').length,
+                phoniesWithdrawn: playerTurns.filter(t => t.challengeResult === 'phony').length,
+                challengesLost: playerTurns.filter(t => t.challengeResult === 'lost_turn' || t.challengeResult === 'penalty').length
             };
         });
 
@@ -589,7 +1718,6 @@ router.get('/:id/statistics', (req, res) => {
             winningScore: Math.max(...players.map(p => p.score || 0))
         };
 
-        db.close();
         res.json(statistics);
     } catch (error) {
         console.error('Error fetching game statistics:', error);
@@ -1,8 +1,13 @@
 const express = require('express');
 const { getDatabase } = require('../database/init');
+const { canonicalizePlayerName, findSharedGames, mergePlayers } = require('../services/players');
+const playerStats = require('../services/playerStats');
+const ratings = require('../services/ratings');
 
 const router = express.Router();
 
+// GET /api/players - Name suggestions, matching the start of the name
+// Archived players match only by full name, and ?includeArchived=true lists everyone
 router.get('/', (req, res) => {
     try {
         const query = (req.query.query || '').trim();
@@ -11,25 +16,39 @@ router.get('/', (req, res) => {
         const db = getDatabase();
         let players;
 
-        if (query) {
+        if (req.query.includeArchived === 'true') {
+            players = db.prepare(`
+                SELECT
+                    p.id,
+                    p.name,
+                    p.created_at,
+                    p.archived_at,
+                    (SELECT COUNT(*)
+                     FROM game_players gp
+                     JOIN games g ON gp.game_id = g.id
+                     WHERE gp.player_id = p.id AND g.deleted_at IS NULL) as games_played
+                FROM players p
+                ORDER BY p.archived_at IS NOT NULL, p.name COLLATE NOCASE
+            `).all();
+        } else if (query) {
             const pattern = `${query.toLowerCase()}%`;
             players = db.prepare(`
                 SELECT id, name
                 FROM players
-                WHERE LOWER(name) LIKE ?
+                WHERE LOWER(name) LIKE ? AND (archived_at IS NULL OR LOWER(name) = ?)
                 ORDER BY name COLLATE NOCASE
                 LIMIT ?
-            `).all(pattern, limit);
+            `).all(pattern, query.toLowerCase(), limit);
         } else {
             players = db.prepare(`
                 SELECT id, name
                 FROM players
+                WHERE archived_at IS NULL
                 ORDER BY name COLLATE NOCASE
                 LIMIT ?
             `).all(limit);
         }
 
-        db.close();
         res.json(players);
     } catch (error) {
         console.error('Error searching players:', error);
@@ -37,4 +56,157 @@ router.get('/', (req, res) => {
     }
 });
 
+// GET /api/players/:id - Profile with career statistics from finished games
+router.get('/:id', (req, res) => {
+    try {
+        const playerId = parseInt(req.params.id);
+        const db = getDatabase();
+
+        const profile = playerStats.getPlayerProfile(db, playerId);
+        if (!profile) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+
+        res.json(profile);
+    } catch (error) {
+        console.error('Error fetching player profile:', error);
+        res.status(500).json({ error: 'Failed to fetch player' });
+    }
+});
+
+// GET /api/players/:id/vs/:otherId - Head-to-head record from the first player's side
+router.get('/:id/vs/:otherId', (req, res) => {
+    try {
+        const playerId = parseInt(req.params.id);
+        const opponentId = parseInt(req.params.otherId);
+
+        if (playerId === opponentId) {
+            return res.status(400).json({ error: 'Pick two different players' });
+        }
+
+        const db = getDatabase();
+        const getPlayer = db.prepare('SELECT id, name FROM players WHERE id = ?');
+        const player = getPlayer.get(playerId);
+        const opponent = getPlayer.get(opponentId);
+        if (!player || !opponent) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+
+        res.json({
+            player,
+            opponent,
+            ...playerStats.getHeadToHead(db, playerId, opponentId)
+        });
+    } catch (error) {
+        console.error('Error fetching head-to-head record:', error);
+        res.status(500).json({ error: 'Failed to fetch head-to-head record' });
+    }
+});
+
+// PUT /api/players/:id - Rename a player
+router.put('/:id', (req, res) => {
+    try {
+        const playerId = parseInt(req.params.id);
+        const name = typeof req.body.name === 'string' ? canonicalizePlayerName(req.body.name) : '';
+
+        if (!name) {
+            return res.status(400).json({ error: 'A name is required' });
+        }
+
+        const db = getDatabase();
+        const player = db.prepare('SELECT id, name FROM players WHERE id = ?').get(playerId);
+        if (!player) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+
+        const existing = db.prepare('SELECT id FROM players WHERE LOWER(name) = LOWER(?) AND id != ?').get(name, playerId);
+        if (existing) {
+            return res.status(409).json({
+                error: `There is already a player called ${name}; merge them instead`,
+                code: 'NAME_TAKEN',
+                playerId: existing.id
+            });
+        }
+
+        db.prepare('UPDATE players SET name = ? WHERE id = ?').run(name, playerId);
+
+        console.log(`[SERVER] Player ${playerId} renamed from ${player.name} to ${name}`);
+        res.json({ success: true, id: playerId, name });
+    } catch (error) {
+        console.error('Error renaming player:', error);
+        res.status(500).json({ error: 'Failed to rename player' });
+    }
+});
+
+// POST /api/players/:id/merge - Fold this player into another, e.g. a name typed two ways
+// Body: { intoId }. Their games, turns and wins move across and this player is deleted.
+router.post('/:id/merge', (req, res) => {
+    try {
+        const fromId = parseInt(req.params.id);
+        const intoId = parseInt(req.body.intoId);
+
+        if (!Number.isInteger(intoId)) {
+            return res.status(400).json({ error: 'intoId is required' });
+        }
+        if (fromId === intoId) {
+            return res.status(400).json({ error: 'A player cannot be merged into themselves' });
+        }
+
+        const db = getDatabase();
+        const getPlayer = db.prepare('SELECT id, name FROM players WHERE id = ?');
+        const from = getPlayer.get(fromId);
+        const into = getPlayer.get(intoId);
+        if (!from || !into) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+
+        // Two people who played each other can't be the same person
+        const sharedGames = findSharedGames(db, fromId, intoId);
+        if (sharedGames.length > 0) {
+            return res.status(409).json({
+                error: `${from.name} and ${into.name} played in the same game, so they are different people`,
+                code: 'PLAYERS_SHARE_GAMES',
+                gameIds: sharedGames
+            });
+        }
+
+        const moved = db.transaction(() => {
+            const counts = mergePlayers(db, fromId, intoId);
+            ratings.recomputeRatings(db);
+            return counts;
+        })();
+
+        console.log(`[SERVER] Player ${from.name} (${fromId}) merged into ${into.name} (${intoId})`);
+        res.json({ success: true, player: into, moved });
+    } catch (error) {
+        console.error('Error merging players:', error);
+        res.status(500).json({ error: 'Failed to merge players' });
+    }
+});
+
+// PUT /api/players/:id/archive - Hide a player from name suggestions, or bring them back
+// Body: { archived }. Their games are kept, and typing their full name still finds them.
+router.put('/:id/archive', (req, res) => {
+    try {
+        const playerId = parseInt(req.params.id);
+        const archived = req.body.archived !== false;
+
+        const db = getDatabase();
+        const result = db.prepare(`
+            UPDATE players
+            SET archived_at = CASE WHEN ? THEN COALESCE(archived_at, CURRENT_TIMESTAMP) END
+            WHERE id = ?
+        `).run(archived ? 1 : 0, playerId);
+
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+
+        res.json({ success: true, archived });
+    } catch (error) {
+        console.error('Error archiving player:', error);
+        res.status(500).json({ error: 'Failed to archive player' });
+    }
+});
+
 module.exports = router;
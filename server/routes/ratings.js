@@ -0,0 +1,42 @@
+const express = require('express');
+const { getDatabase } = require('../database/init');
+const ratings = require('../services/ratings');
+
+const router = express.Router();
+
+// GET /api/ratings - Leaderboard and each player's rating after every rated game
+// ?playerId=N limits the series to one player; archived players are left out unless
+// ?includeArchived=true.
+router.get('/', (req, res) => {
+    try {
+        const playerId = req.query.playerId === undefined ? null : parseInt(req.query.playerId);
+        if (playerId !== null && !Number.isInteger(playerId)) {
+            return res.status(400).json({ error: 'playerId must be a player id' });
+        }
+
+        const db = getDatabase();
+        res.json(ratings.getLadder(db, {
+            includeArchived: req.query.includeArchived === 'true',
+            playerId
+        }));
+    } catch (error) {
+        console.error('Error fetching ratings:', error);
+        res.status(500).json({ error: 'Failed to fetch ratings' });
+    }
+});
+
+// POST /api/ratings/recompute - Rebuild every rating from the finished games
+router.post('/recompute', (req, res) => {
+    try {
+        const db = getDatabase();
+        const summary = ratings.recomputeRatings(db);
+
+        console.log(`[SERVER] Recomputed ratings from ${summary.gamesRated} games`);
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        console.error('Error recomputing ratings:', error);
+        res.status(500).json({ error: 'Failed to recompute ratings' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const { parseGameRuleset } = require('../services/rulesets');
+
+const router = express.Router();
+
+// GET /api/rulesets/standard - The standard rules, used by the client before a game is loaded
+// ?locale=xx_XX gives the letter values and tiles for that dictionary locale instead.
+router.get('/standard', (req, res) => {
+    try {
+        res.json(parseGameRuleset(null, req.query.locale || null));
+    } catch (error) {
+        console.error('Error fetching standard ruleset:', error);
+        res.status(500).json({ error: 'Failed to fetch ruleset' });
+    }
+});
+
+module.exports = router;
@@ -1,34 +1,10 @@
 const express = require('express');
 const fs = require('fs');
 const dictionaryManager = require('../services/dictionaryManager');
-const { getSpellChecker, reloadDictionary } = require('../services/dictionaryLoader');
+const { getSpellChecker, isValidWord, reloadDictionary } = require('../services/dictionaryLoader');
 
 const router = express.Router();
 
-// Helper function to check if a word is valid
-function isValidWord(word) {
-    const { spell, loaded } = getSpellChecker();
-    if (!loaded || !spell) {
-        // If dictionary not loaded, return true (validation disabled)
-        return true;
-    }
-
-    const cleanWord = word.toUpperCase().trim();
-
-    // Check basic word requirements
-    if (!cleanWord || cleanWord.length === 0) {
-        return false;
-    }
-
-    // Check if word contains only letters
-    if (!/^[A-Z]+$/.test(cleanWord)) {
-        return false;
-    }
-
-    // Use nspell to check the word
-    return spell.correct(cleanWord);
-}
-
 // POST /api/validation/word - Validate a single word
 router.post('/word', async (req, res) => {
     try {
@@ -1,19 +1,23 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const { getDatabase, initializeDatabase } = require('./database/init');
+const { prepareDatabase, closeDatabase } = require('./database/init');
+const backupManager = require('./services/backupManager');
+const trash = require('./services/trash');
 
 const app = express();
 const PORT = process.env.PORT || 3037;
 
 // Middleware
 app.use(cors());
+// Archives hold every game, so they can be far larger than other requests
+app.use('/api/admin/import', express.json({ limit: '50mb' }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../client')));
 
 // Initialize database on startup
 try {
-    initializeDatabase();
+    prepareDatabase();
 } catch (error) {
     console.error('Failed to initialize database:', error);
     process.exit(1);
@@ -38,10 +42,18 @@ dictionaryManager.ensureDefaultDictionaryInstalled();
 const gamesRoutes = require('./routes/games');
 const validationRoutes = require('./routes/validation');
 const playersRoutes = require('./routes/players');
+const analysisRoutes = require('./routes/analysis');
+const adminRoutes = require('./routes/admin');
+const ratingsRoutes = require('./routes/ratings');
+const rulesetsRoutes = require('./routes/rulesets');
 // API Routes
 app.use('/api/games', gamesRoutes);
 app.use('/api/validation', validationRoutes);
 app.use('/api/players', playersRoutes);
+app.use('/api/analysis', analysisRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/ratings', ratingsRoutes);
+app.use('/api/rulesets', rulesetsRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -63,10 +75,34 @@ app.use((error, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`🎯 Scrabble Scorer server running on port ${PORT}`);
     console.log(`📱 Client available at: http://localhost:${PORT}`);
     console.log(`🔗 API available at: http://localhost:${PORT}/api`);
 });
 
+backupManager.startBackupSchedule();
+trash.startPurgeSchedule();
+
+// Finish in-flight requests, then close the database so the WAL is checkpointed
+function shutdown(signal) {
+    console.log(`[SERVER] ${signal} received, shutting down`);
+    backupManager.stopBackupSchedule();
+    trash.stopPurgeSchedule();
+    server.close(() => {
+        closeDatabase();
+        process.exit(0);
+    });
+    // Idle keep-alive connections would otherwise hold the server open
+    server.closeIdleConnections();
+    setTimeout(() => {
+        console.error('[SERVER] Forcing shutdown');
+        closeDatabase();
+        process.exit(1);
+    }, 10000).unref();
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 module.exports = app;
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const { LATEST_VERSION } = require('../database/init');
+const { canonicalizePlayerName, findOrCreatePlayer } = require('./players');
+
+// A household archive holds every player, game and turn in one JSON file, for moving to
+// another server or merging two of them. Column values are copied as stored (JSON columns
+// stay JSON text) and rows refer to each other by the ids of the exporting database.
+// Trashed games travel with their deleted_at. Undo history (rewinds) is not included.
+
+const ARCHIVE_FORMAT = 'scrabble-keeper-archive';
+const ARCHIVE_VERSION = 1;
+
+const GAME_COLUMNS = [
+    'created_at', 'status', 'winner_id', 'board_state', 'challenge_rule',
+    'challenge_penalty', 'dictionary_mode', 'dictionary_locale', 'ruleset', 'deleted_at', 'gcg_hash'
+];
+const GAME_PLAYER_COLUMNS = ['player_id', 'score', 'turn_order', 'rack'];
+const TURN_COLUMNS = [
+    'player_id', 'round_number', 'word', 'score', 'secondary_words', 'placed_tiles',
+    'board_checkpoint', 'start_row', 'start_col', 'direction', 'blank_tiles',
+    'tiles_exchanged', 'challenge_result', 'invalid_words', 'rack', 'withdrawn_play', 'created_at'
+];
+
+function pick(row, columns) {
+    const picked = {};
+    columns.forEach(column => {
+        picked[column] = row[column] === undefined ? null : row[column];
+    });
+    return picked;
+}
+
+// Identifies a game by what happened in it rather than by its id: when it started, who
+// played in which order, and every turn. The same game exported twice hashes the same.
+function gameContentHash(game, playerNames, turns) {
+    const content = {
+        createdAt: game.created_at,
+        players: playerNames,
+        turns: turns.map(turn => [
+            turn.playerName, turn.direction, turn.word, turn.score, turn.start_row, turn.start_col,
+            turn.blank_tiles || '[]', turn.tiles_exchanged || 0, turn.challenge_result || null
+        ])
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+// Content hash of every game in the database, read from only the columns the hash covers
+function loadGameContentHashes(db) {
+    const games = new Map(db.prepare('SELECT id, created_at FROM games').all()
+        .map(game => [game.id, { game, playerNames: [], turns: [] }]));
+
+    db.prepare(`
+        SELECT gp.game_id, p.name
+        FROM game_players gp
+        JOIN players p ON gp.player_id = p.id
+        ORDER BY gp.game_id, gp.turn_order
+    `).all().forEach(row => games.get(row.game_id).playerNames.push(row.name));
+
+    db.prepare(`
+        SELECT t.game_id, p.name AS playerName, t.direction, t.word, t.score, t.start_row,
+               t.start_col, t.blank_tiles, t.tiles_exchanged, t.challenge_result
+        FROM turns t
+        JOIN players p ON t.player_id = p.id
+        ORDER BY t.game_id, t.id
+    `).all().forEach(turn => games.get(turn.game_id).turns.push(turn));
+
+    return new Set([...games.values()].map(({ game, playerNames, turns }) => gameContentHash(game, playerNames, turns)));
+}
+
+function exportArchive(db) {
+    const players = db.prepare('SELECT id, name, created_at, archived_at FROM players ORDER BY id').all();
+    const names = new Map(players.map(player => [player.id, player.name]));
+
+    const getGamePlayers = db.prepare('SELECT * FROM game_players WHERE game_id = ? ORDER BY turn_order');
+    const getTurns = db.prepare('SELECT * FROM turns WHERE game_id = ? ORDER BY id');
+
+    const games = db.prepare('SELECT * FROM games ORDER BY id').all().map(game => {
+        const gamePlayers = getGamePlayers.all(game.id);
+        const turns = getTurns.all(game.id);
+        return {
+            id: game.id,
+            contentHash: gameContentHash(
+                game,
+                gamePlayers.map(player => names.get(player.player_id)),
+                turns.map(turn => ({ ...turn, playerName: names.get(turn.player_id) }))
+            ),
+            ...pick(game, GAME_COLUMNS),
+            players: gamePlayers.map(player => pick(player, GAME_PLAYER_COLUMNS)),
+            turns: turns.map(turn => pick(turn, TURN_COLUMNS))
+        };
+    });
+
+    return {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        schemaVersion: LATEST_VERSION,
+        exportedAt: new Date().toISOString(),
+        players,
+        games
+    };
+}
+
+// Returns null for an archive that can be imported, otherwise an error message
+function validateArchive(archive) {
+    if (!archive || archive.format !== ARCHIVE_FORMAT) {
+        return 'Not a Scrabble Keeper archive';
+    }
+    if (archive.version !== ARCHIVE_VERSION) {
+        return `Unsupported archive version: ${archive.version}`;
+    }
+    if (archive.schemaVersion > LATEST_VERSION) {
+        return `Archive is from a newer version of the app (schema ${archive.schemaVersion}, this server has ${LATEST_VERSION})`;
+    }
+    if (!Array.isArray(archive.players) || !Array.isArray(archive.games)) {
+        return 'Archive must list players and games';
+    }
+
+    const playerIds = new Set(archive.players.map(player => player.id));
+    for (const player of archive.players) {
+        if (!Number.isInteger(player.id) || typeof player.name !== 'string' || !canonicalizePlayerName(player.name)) {
+            return 'Every archived player needs an id and a name';
+        }
+    }
+    for (const game of archive.games) {
+        if (!Array.isArray(game.players) || !Array.isArray(game.turns)) {
+            return `Game ${game.id} must list its players and turns`;
+        }
+        const unknown = [...game.players, ...game.turns].find(row => !playerIds.has(row.player_id));
+        if (unknown) {
+            return `Game ${game.id} refers to player ${unknown.player_id}, who is not in the archive`;
+        }
+        const hasWinner = game.winner_id !== null && game.winner_id !== undefined;
+        if (hasWinner && !game.players.some(player => player.player_id === game.winner_id)) {
+            return `Game ${game.id} has winner ${game.winner_id}, who is not one of its players`;
+        }
+    }
+
+    return null;
+}
+
+// Merge an archive into the database, inside the caller's transaction. Players are matched
+// by name ignoring case, and games already here (same content hash) are skipped.
+function importArchive(db, archive) {
+    const summary = { playersCreated: 0, playersMatched: 0, gamesImported: 0, gamesSkipped: 0, importedGameIds: [] };
+
+    // Local player id for each archived player id
+    const playerIds = new Map();
+    const playerNames = new Map();
+    archive.players.forEach(player => {
+        const name = canonicalizePlayerName(player.name);
+        const existing = db.prepare('SELECT id FROM players WHERE LOWER(name) = LOWER(?)').get(name);
+        const local = existing || findOrCreatePlayer(db, name);
+        if (!existing && player.archived_at) {
+            db.prepare('UPDATE players SET archived_at = ? WHERE id = ?').run(player.archived_at, local.id);
+        }
+        summary[existing ? 'playersMatched' : 'playersCreated']++;
+        playerIds.set(player.id, local.id);
+        playerNames.set(player.id, name);
+    });
+
+    const knownHashes = loadGameContentHashes(db);
+
+    const insertGame = db.prepare(`
+        INSERT INTO games (${GAME_COLUMNS.join(', ')})
+        VALUES (${GAME_COLUMNS.map(() => '?').join(', ')})
+    `);
+    const insertGamePlayer = db.prepare(`
+        INSERT INTO game_players (game_id, ${GAME_PLAYER_COLUMNS.join(', ')})
+        VALUES (?, ${GAME_PLAYER_COLUMNS.map(() => '?').join(', ')})
+    `);
+    const insertTurn = db.prepare(`
+        INSERT INTO turns (game_id, ${TURN_COLUMNS.join(', ')})
+        VALUES (?, ${TURN_COLUMNS.map(() => '?').join(', ')})
+    `);
+
+    archive.games.forEach(game => {
+        // Hashed from the names as they will be stored here, so it matches exportArchive
+        const hash = gameContentHash(
+            game,
+            game.players.map(player => playerNames.get(player.player_id)),
+            game.turns.map(turn => ({ ...turn, playerName: playerNames.get(turn.player_id) }))
+        );
+        if (knownHashes.has(hash)) {
+            summary.gamesSkipped++;
+            return;
+        }
+
+        const localGame = {
+            ...pick(game, GAME_COLUMNS),
+            winner_id: game.winner_id === null || game.winner_id === undefined ? null : playerIds.get(game.winner_id)
+        };
+        const gameId = insertGame.run(...GAME_COLUMNS.map(column => localGame[column])).lastInsertRowid;
+
+        game.players.forEach(player => {
+            const row = { ...pick(player, GAME_PLAYER_COLUMNS), player_id: playerIds.get(player.player_id) };
+            insertGamePlayer.run(gameId, ...GAME_PLAYER_COLUMNS.map(column => row[column]));
+        });
+        game.turns.forEach(turn => {
+            const row = { ...pick(turn, TURN_COLUMNS), player_id: playerIds.get(turn.player_id) };
+            insertTurn.run(gameId, ...TURN_COLUMNS.map(column => row[column]));
+        });
+
+        knownHashes.add(hash);
+        summary.gamesImported++;
+        summary.importedGameIds.push(gameId);
+    });
+
+    return summary;
+}
+
+module.exports = {
+    ARCHIVE_FORMAT,
+    exportArchive,
+    validateArchive,
+    importArchive,
+    gameContentHash
+};
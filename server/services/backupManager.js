@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { getDatabase, closeDatabase, prepareDatabase, dbPath, LATEST_VERSION } = require('../database/init');
+
+// Backups are taken with SQLite's online backup API, so they are consistent even while the
+// server is writing. Scheduled backups are pruned to the newest BACKUP_KEEP; manual ones and
+// the safety copy taken before a restore are kept until removed by hand.
+const backupDir = process.env.BACKUP_DIR || path.join(__dirname, '../database/backups');
+const BACKUP_INTERVAL_HOURS = process.env.BACKUP_INTERVAL_HOURS === undefined ? 24 : Number(process.env.BACKUP_INTERVAL_HOURS);
+const BACKUP_KEEP = process.env.BACKUP_KEEP === undefined ? 14 : Number(process.env.BACKUP_KEEP);
+
+const BACKUP_KINDS = ['manual', 'scheduled', 'pre-restore'];
+const BACKUP_NAME_PATTERN = /^scrabble-(\d{8}-\d{9})-(manual|scheduled|pre-restore)\.db$/;
+const REQUIRED_TABLES = ['players', 'games', 'game_players', 'turns'];
+
+let busy = false;
+let scheduleTimer = null;
+
+function ensureDirectory() {
+    if (!fs.existsSync(backupDir)) {
+        fs.mkdirSync(backupDir, { recursive: true });
+    }
+}
+
+// 20261019-054700123 from 2026-10-19T05:47:00.123Z
+function timestamp(date) {
+    return date.toISOString().replace(/[-:Z]/g, '').replace('T', '-').replace('.', '');
+}
+
+function describeBackup(name) {
+    const match = BACKUP_NAME_PATTERN.exec(name);
+    if (!match) {
+        return null;
+    }
+    const stats = fs.statSync(path.join(backupDir, name));
+    return {
+        name,
+        kind: match[2],
+        size: stats.size,
+        createdAt: stats.mtime.toISOString()
+    };
+}
+
+function listBackups() {
+    if (!fs.existsSync(backupDir)) {
+        return [];
+    }
+    return fs.readdirSync(backupDir)
+        .map(describeBackup)
+        .filter(Boolean)
+        .sort((a, b) => b.name.localeCompare(a.name));
+}
+
+// Runs one backup or restore at a time
+async function exclusive(operation) {
+    if (busy) {
+        const error = new Error('Another backup or restore is in progress');
+        error.code = 'BACKUP_IN_PROGRESS';
+        throw error;
+    }
+    busy = true;
+    try {
+        return await operation();
+    } finally {
+        busy = false;
+    }
+}
+
+async function writeBackup(kind) {
+    ensureDirectory();
+    const name = `scrabble-${timestamp(new Date())}-${kind}.db`;
+    const filePath = path.join(backupDir, name);
+    await getDatabase().backup(filePath);
+
+    // The copy inherits WAL mode; switch it back so each backup is a single file
+    const copy = new Database(filePath);
+    copy.pragma('journal_mode = DELETE');
+    copy.close();
+
+    console.log(`[SERVER] Database backed up to ${name}`);
+    return describeBackup(name);
+}
+
+function createBackup(kind = 'manual') {
+    if (!BACKUP_KINDS.includes(kind)) {
+        throw new Error(`Unknown backup kind: ${kind}`);
+    }
+    return exclusive(() => writeBackup(kind));
+}
+
+// Deletes the oldest scheduled backups beyond the retention count
+function pruneBackups(keep = BACKUP_KEEP) {
+    const scheduled = listBackups().filter(backup => backup.kind === 'scheduled');
+    const removed = scheduled.slice(Math.max(keep, 0));
+    removed.forEach(backup => fs.rmSync(path.join(backupDir, backup.name), { force: true }));
+    return removed.map(backup => backup.name);
+}
+
+// Returns null for a usable database file, otherwise { error, code }. The file is opened for
+// writing so a WAL-mode file can be switched to a single file.
+function validateBackupFile(filePath) {
+    let db;
+    try {
+        db = new Database(filePath, { fileMustExist: true });
+        db.pragma('journal_mode = DELETE');
+
+        const integrity = db.pragma('integrity_check', { simple: true });
+        if (integrity !== 'ok') {
+            return { error: `Backup failed the integrity check: ${integrity}`, code: 'INVALID_BACKUP' };
+        }
+
+        const tables = new Set(db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(row => row.name));
+        const missing = REQUIRED_TABLES.filter(table => !tables.has(table));
+        if (missing.length > 0) {
+            return { error: `Backup is missing tables: ${missing.join(', ')}`, code: 'INVALID_BACKUP' };
+        }
+
+        if (tables.has('schema_migrations')) {
+            const { version } = db.prepare('SELECT MAX(version) as version FROM schema_migrations').get();
+            if (version > LATEST_VERSION) {
+                return {
+                    error: `Backup is at schema version ${version}, newer than this server (${LATEST_VERSION})`,
+                    code: 'BACKUP_TOO_NEW'
+                };
+            }
+        }
+
+        return null;
+    } catch (error) {
+        return { error: `Not a valid database: ${error.message}`, code: 'INVALID_BACKUP' };
+    } finally {
+        if (db) db.close();
+    }
+}
+
+// Swaps a backup in as the live database. The current database is backed up first, and an
+// older backup is migrated up to the current schema when the database is reopened.
+function restoreBackup(name) {
+    return exclusive(async () => {
+        const backup = BACKUP_NAME_PATTERN.test(name) && fs.existsSync(path.join(backupDir, name))
+            ? path.join(backupDir, name)
+            : null;
+        if (!backup) {
+            return { error: 'Backup not found', code: 'BACKUP_NOT_FOUND' };
+        }
+
+        // Check the copy beside the live file, then rename it over the live file so the swap
+        // is atomic
+        const staged = `${dbPath}.restore`;
+        fs.copyFileSync(backup, staged);
+
+        const invalid = validateBackupFile(staged);
+        if (invalid) {
+            fs.rmSync(staged, { force: true });
+            return invalid;
+        }
+
+        const safetyBackup = await writeBackup('pre-restore');
+
+        closeDatabase();
+        fs.rmSync(`${dbPath}-wal`, { force: true });
+        fs.rmSync(`${dbPath}-shm`, { force: true });
+        fs.renameSync(staged, dbPath);
+        prepareDatabase();
+
+        console.log(`[SERVER] Database restored from ${name}`);
+        return { restored: describeBackup(name), safetyBackup };
+    });
+}
+
+async function runScheduledBackup() {
+    try {
+        await createBackup('scheduled');
+        const removed = pruneBackups();
+        if (removed.length > 0) {
+            console.log(`[SERVER] Removed ${removed.length} old scheduled backup(s)`);
+        }
+    } catch (error) {
+        console.error('[SERVER] Scheduled backup failed:', error.message);
+    }
+}
+
+// Takes a scheduled backup every BACKUP_INTERVAL_HOURS (0 turns the schedule off)
+function startBackupSchedule() {
+    if (!(BACKUP_INTERVAL_HOURS > 0)) {
+        console.log('[SERVER] Scheduled backups are off');
+        return;
+    }
+    scheduleTimer = setInterval(runScheduledBackup, BACKUP_INTERVAL_HOURS * 60 * 60 * 1000);
+    scheduleTimer.unref();
+    console.log(`[SERVER] Backing up every ${BACKUP_INTERVAL_HOURS}h, keeping ${BACKUP_KEEP} scheduled backups`);
+}
+
+function stopBackupSchedule() {
+    if (scheduleTimer) {
+        clearInterval(scheduleTimer);
+        scheduleTimer = null;
+    }
+}
+
+function getSchedule() {
+    return {
+        intervalHours: BACKUP_INTERVAL_HOURS > 0 ? BACKUP_INTERVAL_HOURS : 0,
+        keep: BACKUP_KEEP,
+        directory: backupDir
+    };
+}
+
+module.exports = {
+    listBackups,
+    createBackup,
+    pruneBackups,
+    validateBackupFile,
+    restoreBackup,
+    startBackupSchedule,
+    stopBackupSchedule,
+    getSchedule
+};
@@ -0,0 +1,119 @@
+// Turns store only the tiles they placed (row, col, letter, isBlank). A full board is kept as
+// a checkpoint every CHECKPOINT_INTERVAL turns, and on any turn that changed the board in some
+// other way (an adjustment that set it by hand). The board after a turn is rebuilt from the
+// nearest checkpoint at or before it.
+
+const BOARD_SIZE = 15;
+const CHECKPOINT_INTERVAL = 10;
+
+function createEmptyBoard() {
+    return Array(BOARD_SIZE).fill(null).map(() => Array(BOARD_SIZE).fill(null));
+}
+
+function parseBoard(boardJson) {
+    const board = typeof boardJson === 'string' ? JSON.parse(boardJson || '[]') : boardJson;
+    if (!Array.isArray(board) || board.length !== BOARD_SIZE) {
+        return createEmptyBoard();
+    }
+    return board.map(row => (Array.isArray(row) ? row.map(tile => tile || null) : Array(BOARD_SIZE).fill(null)));
+}
+
+// Tiles in after that are not in before. replaced is true when a tile of before was removed
+// or changed, which placed tiles alone cannot describe.
+function diffBoards(before, after) {
+    const placedTiles = [];
+    let replaced = false;
+
+    for (let row = 0; row < BOARD_SIZE; row++) {
+        for (let col = 0; col < BOARD_SIZE; col++) {
+            const old = before[row] && before[row][col];
+            const tile = after[row] && after[row][col];
+            if (tile && !old) {
+                placedTiles.push({ row, col, letter: tile.letter, isBlank: !!tile.isBlank });
+            } else if (old && (!tile || tile.letter !== old.letter || !!tile.isBlank !== !!old.isBlank)) {
+                replaced = true;
+            }
+        }
+    }
+
+    return { placedTiles, replaced };
+}
+
+function applyPlacedTiles(board, placedTiles) {
+    const next = board.map(row => [...row]);
+    for (const tile of placedTiles) {
+        next[tile.row][tile.col] = { letter: tile.letter, isBlank: tile.isBlank };
+    }
+    return next;
+}
+
+// Column values for a turn that takes the board from before to after.
+// position is the number of turns the game had before this one.
+function describeTurnBoard(before, after, position) {
+    const { placedTiles, replaced } = diffBoards(parseBoard(before), parseBoard(after));
+    const isCheckpoint = replaced || (position + 1) % CHECKPOINT_INTERVAL === 0;
+
+    return {
+        placedTiles: JSON.stringify(placedTiles),
+        boardCheckpoint: isCheckpoint ? JSON.stringify(parseBoard(after)) : null
+    };
+}
+
+// Same as describeTurnBoard, for a turn about to be added to the end of a game
+function describeNextTurnBoard(db, gameId, before, after) {
+    const position = db.prepare('SELECT COUNT(*) as count FROM turns WHERE game_id = ?').get(gameId).count;
+    return describeTurnBoard(before, after, position);
+}
+
+// Boards after each turn, for turn rows (oldest first) with placed_tiles and board_checkpoint
+function rebuildBoards(turns, startBoard = createEmptyBoard()) {
+    let board = startBoard;
+    return turns.map(turn => {
+        board = turn.board_checkpoint
+            ? parseBoard(turn.board_checkpoint)
+            : applyPlacedTiles(board, JSON.parse(turn.placed_tiles || '[]'));
+        return board;
+    });
+}
+
+// Board after a given turn of a game (turnId 0 is the empty board before the first turn)
+function getBoardAfterTurn(db, gameId, turnId) {
+    if (!turnId) {
+        return createEmptyBoard();
+    }
+
+    const checkpoint = db.prepare(`
+        SELECT id, board_checkpoint FROM turns
+        WHERE game_id = ? AND id <= ? AND board_checkpoint IS NOT NULL
+        ORDER BY id DESC
+        LIMIT 1
+    `).get(gameId, turnId);
+
+    const turns = db.prepare(`
+        SELECT placed_tiles, board_checkpoint FROM turns
+        WHERE game_id = ? AND id > ? AND id <= ?
+        ORDER BY id
+    `).all(gameId, checkpoint ? checkpoint.id : 0, turnId);
+
+    const startBoard = checkpoint ? parseBoard(checkpoint.board_checkpoint) : createEmptyBoard();
+    const boards = rebuildBoards(turns, startBoard);
+    return boards.length > 0 ? boards[boards.length - 1] : startBoard;
+}
+
+// Board after the most recent turn of a game strictly before beforeTurnId
+function getBoardBeforeTurn(db, gameId, beforeTurnId) {
+    const previous = db.prepare('SELECT MAX(id) as id FROM turns WHERE game_id = ? AND id < ?').get(gameId, beforeTurnId);
+    return getBoardAfterTurn(db, gameId, previous.id || 0);
+}
+
+module.exports = {
+    CHECKPOINT_INTERVAL,
+    createEmptyBoard,
+    parseBoard,
+    diffBoards,
+    describeTurnBoard,
+    describeNextTurnBoard,
+    rebuildBoards,
+    getBoardAfterTurn,
+    getBoardBeforeTurn
+};
@@ -2,11 +2,19 @@ const fs = require('fs');
 const nspell = require('nspell');
 const dictionaryManager = require('./dictionaryManager');
 
-let currentDictionary = {
-    locale: null,
-    spell: null,
-    loaded: false
-};
+// Dictionaries are loaded once per locale and kept, so each game's words are checked against
+// the dictionary for its own locale. Games without a stored locale use the active dictionary.
+const dictionaries = new Map();
+const pendingLoads = new Map();
+let activeLocale = null;
+
+function notLoaded() {
+    return { locale: null, spell: null, loaded: false };
+}
+
+function resolveLocale(locale) {
+    return locale || activeLocale || dictionaryManager.getActiveLocale();
+}
 
 async function loadDictionaryForLocale(locale) {
     try {
@@ -25,9 +33,8 @@ async function loadDictionaryForLocale(locale) {
 
                 const spell = nspell(aff, dic);
 
-                currentDictionary = { locale: 'en_AU', spell, loaded: true };
                 console.log(`📚 Bundled dictionary-en-au loaded successfully`);
-                return currentDictionary;
+                return { locale: 'en_AU', spell, loaded: true };
             } catch (pkgError) {
                 console.warn('Failed to load bundled dictionary-en-au package, falling back to file system:', pkgError.message);
             }
@@ -37,45 +44,98 @@ async function loadDictionaryForLocale(locale) {
 
         if (!fs.existsSync(affPath) || !fs.existsSync(dicPath)) {
             console.warn(`Dictionary files for locale ${locale} not found.`);
-            currentDictionary = { locale: null, spell: null, loaded: false };
-            return currentDictionary;
+            return notLoaded();
         }
 
         const aff = fs.readFileSync(affPath, 'utf8');
         const dic = fs.readFileSync(dicPath, 'utf8');
         const spell = nspell(aff, dic);
 
-        currentDictionary = { locale, spell, loaded: true };
         console.log(`📚 Dictionary for locale ${locale} loaded successfully`);
-        return currentDictionary;
+        return { locale, spell, loaded: true };
     } catch (error) {
         console.error(`❌ Failed to load dictionary for locale ${locale}:`, error.message);
-        currentDictionary = { locale: null, spell: null, loaded: false };
-        return currentDictionary;
+        return notLoaded();
     }
 }
 
+// Load a locale's dictionary unless it is already loaded. A dictionary that failed to load is
+// not kept, so installing it later takes effect on the next request.
+async function loadDictionary(locale) {
+    const key = resolveLocale(locale);
+    if (dictionaries.has(key)) {
+        return dictionaries.get(key);
+    }
+    if (!pendingLoads.has(key)) {
+        pendingLoads.set(key, loadDictionaryForLocale(key).then(dictionary => {
+            pendingLoads.delete(key);
+            if (dictionary.loaded) {
+                dictionaries.set(key, dictionary);
+            }
+            return dictionary;
+        }));
+    }
+    return pendingLoads.get(key);
+}
+
 async function loadActiveDictionary() {
-    const activeLocale = dictionaryManager.getActiveLocale();
-    return loadDictionaryForLocale(activeLocale);
+    activeLocale = dictionaryManager.getActiveLocale();
+    return loadDictionary(activeLocale);
+}
+
+// The loaded dictionary for a locale (the active one by default), or loaded: false while it
+// has not been loaded
+function getSpellChecker(locale = null) {
+    return dictionaries.get(resolveLocale(locale)) || notLoaded();
+}
+
+// Check a word against the locale's dictionary
+function isValidWord(word, locale = null) {
+    const { spell, loaded } = getSpellChecker(locale);
+    if (!loaded || !spell) {
+        // If dictionary not loaded, return true (validation disabled)
+        return true;
+    }
+
+    const cleanWord = word.toUpperCase().trim();
+
+    // Check basic word requirements
+    if (!cleanWord || cleanWord.length === 0) {
+        return false;
+    }
+
+    // Check if word contains only letters (accented letters and the Catalan middle dot included)
+    if (!/^[\p{L}·]+$/u.test(cleanWord)) {
+        return false;
+    }
+
+    // Use nspell to check the word
+    return spell.correct(cleanWord);
 }
 
-function getSpellChecker() {
-    // Return current state synchronously
-    // If loading is in progress, this might return loaded: false
-    // detailed loading state could be added if needed
-    return currentDictionary;
+// Return the words that fail the locale's dictionary check
+function findInvalidWords(words, locale = null) {
+    const key = resolveLocale(locale);
+    return words.filter(word => !isValidWord(word, key));
 }
 
+// Read a locale's dictionary again, keeping the old copy in use until the new one is ready
 async function reloadDictionary(locale) {
-    if (locale) {
-        return loadDictionaryForLocale(locale);
+    const key = resolveLocale(locale);
+    const dictionary = await loadDictionaryForLocale(key);
+    if (dictionary.loaded) {
+        dictionaries.set(key, dictionary);
+    } else {
+        dictionaries.delete(key);
     }
-    return loadActiveDictionary();
+    return dictionary;
 }
 
 module.exports = {
     loadActiveDictionary,
+    loadDictionary,
     getSpellChecker,
+    isValidWord,
+    findInvalidWords,
     reloadDictionary
 };
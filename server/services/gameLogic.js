@@ -1,29 +1,42 @@
 // Server-side Game Logic Service
 // Ported from client/js/game-state.js to ensure authoritative server state
 
-const LETTER_SCORES = {
-    'A': 1, 'B': 3, 'C': 3, 'D': 2, 'E': 1, 'F': 4, 'G': 2, 'H': 4, 'I': 1, 'J': 8,
-    'K': 5, 'L': 1, 'M': 3, 'N': 1, 'O': 1, 'P': 3, 'Q': 10, 'R': 1, 'S': 1, 'T': 1,
-    'U': 1, 'V': 4, 'W': 4, 'X': 8, 'Y': 4, 'Z': 10
+const { STANDARD_RULESET } = require('./rulesets');
+
+const PLACEMENT_DIRECTIONS = ['across', 'down'];
+const TURN_TYPES = [...PLACEMENT_DIRECTIONS, 'adjustment', 'pass', 'exchange'];
+
+const CHALLENGE_RULES = ['double', 'single'];
+const DEFAULT_CHALLENGE_PENALTY = 5;
+const DICTIONARY_MODES = ['strict', 'warn', 'off'];
+
+const RACK_SIZE = STANDARD_RULESET.rackSize;
+const SCORELESS_TURN_LIMIT = 6;
+const BOARD_SIZE = 15;
+const CENTER = 7;
+
+// Error codes returned by validatePlacement, one per broken placement rule
+const PLACEMENT_ERRORS = {
+    INVALID_DIRECTION: 'INVALID_DIRECTION',
+    INVALID_WORD: 'INVALID_WORD',
+    OUT_OF_BOUNDS: 'OUT_OF_BOUNDS',
+    TILE_MISMATCH: 'TILE_MISMATCH',
+    NO_NEW_TILES: 'NO_NEW_TILES',
+    TOO_MANY_TILES: 'TOO_MANY_TILES',
+    NOT_IN_LINE: 'NOT_IN_LINE',
+    FIRST_MOVE_OFF_CENTER: 'FIRST_MOVE_OFF_CENTER',
+    SINGLE_LETTER_WORD: 'SINGLE_LETTER_WORD',
+    NOT_CONNECTED: 'NOT_CONNECTED'
 };
 
-const BOARD_LAYOUT = [
-    ['TWS', '', '', 'DLS', '', '', '', 'TWS', '', '', '', 'DLS', '', '', 'TWS'],
-    ['', 'DWS', '', '', '', 'TLS', '', '', '', 'TLS', '', '', '', 'DWS', ''],
-    ['', '', 'DWS', '', '', '', 'DLS', '', 'DLS', '', '', '', 'DWS', '', ''],
-    ['DLS', '', '', 'DWS', '', '', '', 'DLS', '', '', '', 'DWS', '', '', 'DLS'],
-    ['', '', '', '', 'DWS', '', '', '', '', '', 'DWS', '', '', '', ''],
-    ['', 'TLS', '', '', '', 'TLS', '', '', '', 'TLS', '', '', '', 'TLS', ''],
-    ['', '', 'DLS', '', '', '', 'DLS', '', 'DLS', '', '', '', 'DLS', '', ''],
-    ['TWS', '', '', 'DLS', '', '', '', 'DWS', '', '', '', 'DLS', '', '', 'TWS'],
-    ['', '', 'DLS', '', '', '', 'DLS', '', 'DLS', '', '', '', 'DLS', '', ''],
-    ['', 'TLS', '', '', '', 'TLS', '', '', '', 'TLS', '', '', '', 'TLS', ''],
-    ['', '', '', '', 'DWS', '', '', '', '', '', 'DWS', '', '', '', ''],
-    ['DLS', '', '', 'DWS', '', '', '', 'DLS', '', '', '', 'DWS', '', '', 'DLS'],
-    ['', '', 'DWS', '', '', '', 'DLS', '', 'DLS', '', '', '', 'DWS', '', ''],
-    ['', 'DWS', '', '', '', 'TLS', '', '', '', 'TLS', '', '', '', 'DWS', ''],
-    ['TWS', '', '', 'DLS', '', '', '', 'TWS', '', '', '', 'DLS', '', '', 'TWS']
-];
+function isPlacementDirection(direction) {
+    return PLACEMENT_DIRECTIONS.includes(direction);
+}
+
+// Turn type as shown in history/statistics ('play' for scored word placements)
+function getTurnType(direction) {
+    return isPlacementDirection(direction) ? 'play' : direction;
+}
 
 function isValidBoardPosition(row, col) {
     return Number.isInteger(row) && Number.isInteger(col) &&
@@ -37,6 +50,27 @@ function createSafeBoardCopy(boardState) {
     return boardState.map(row => Array.isArray(row) ? [...row] : Array(15).fill(null));
 }
 
+// Split a word into the tiles of the ruleset's tile set, preferring digraph tiles
+// (Spanish "CHICO" is CH-I-C-O). Returns null if a letter has no tile.
+function splitWordIntoTiles(word, ruleset = STANDARD_RULESET) {
+    const tileNames = Object.keys(ruleset.letterScores).sort((a, b) => b.length - a.length);
+    const upperWord = word.toUpperCase();
+    const tiles = [];
+
+    let index = 0;
+    while (index < upperWord.length) {
+        const tile = tileNames.find(name => upperWord.startsWith(name, index));
+        if (!tile) {
+            return null;
+        }
+        tiles.push(tile);
+        index += tile.length;
+    }
+
+    return tiles;
+}
+
+// word is the list of tiles being played, one per square
 function identifyNewPlacements(word, startRow, startCol, direction, blankIndices, boardState) {
     const placements = [];
     // Normalize blankIndices to Set
@@ -225,7 +259,7 @@ function findSecondaryWord(placement, primaryDirection, boardState) {
     };
 }
 
-function calculateWordScore(wordData, newPlacements) {
+function calculateWordScore(wordData, newPlacements, ruleset = STANDARD_RULESET) {
     let score = 0;
     let wordMultiplier = 1;
 
@@ -233,11 +267,11 @@ function calculateWordScore(wordData, newPlacements) {
         // Find if this tile corresponds to a new placement to apply premium squares
         const newPlacement = newPlacements.find(p => p.row === tile.row && p.col === tile.col && p.isNew);
 
-        let letterScore = tile.isBlank ? 0 : (LETTER_SCORES[tile.letter] || 0);
+        let letterScore = tile.isBlank ? 0 : (ruleset.letterScores[tile.letter] || 0);
 
         if (newPlacement) {
             // It's a new tile, check for premium squares
-            const premium = BOARD_LAYOUT[tile.row][tile.col];
+            const premium = ruleset.boardLayout[tile.row][tile.col];
             if (premium === 'DLS') letterScore *= 2;
             if (premium === 'TLS') letterScore *= 3;
             if (premium === 'DWS') wordMultiplier *= 2;
@@ -250,13 +284,104 @@ function calculateWordScore(wordData, newPlacements) {
     return score * wordMultiplier;
 }
 
-function calculateTurn(word, startRow, startCol, direction, blankIndices, boardState) {
-    const newPlacements = identifyNewPlacements(word, startRow, startCol, direction, blankIndices, boardState);
+function isBoardEmpty(boardState) {
+    return countTilesOnBoard(boardState) === 0;
+}
+
+function hasNeighbouringTile(row, col, boardState) {
+    return [[-1, 0], [1, 0], [0, -1], [0, 1]].some(([dr, dc]) => {
+        const r = row + dr;
+        const c = col + dc;
+        return isValidBoardPosition(r, c) && !!boardState[r][c];
+    });
+}
+
+// Check a play against the placement rules before it is scored.
+// Returns null when the play is legal, otherwise { error, code }.
+function validatePlacement(word, startRow, startCol, direction, boardState, ruleset = STANDARD_RULESET) {
+    if (!isPlacementDirection(direction)) {
+        return { error: `Invalid direction: ${direction}`, code: PLACEMENT_ERRORS.INVALID_DIRECTION };
+    }
+
+    if (typeof word !== 'string' || !/^[\p{L}·]+$/u.test(word)) {
+        return { error: 'Word must contain letters only', code: PLACEMENT_ERRORS.INVALID_WORD };
+    }
+
+    const tiles = splitWordIntoTiles(word, ruleset);
+    if (!tiles) {
+        return { error: `Word cannot be spelled with the ${ruleset.tileSet} tile set`, code: PLACEMENT_ERRORS.INVALID_WORD };
+    }
+
+    const endRow = direction === 'across' ? startRow : startRow + tiles.length - 1;
+    const endCol = direction === 'across' ? startCol + tiles.length - 1 : startCol;
+    if (!isValidBoardPosition(startRow, startCol) || !isValidBoardPosition(endRow, endCol)) {
+        return { error: 'Word does not fit on the board', code: PLACEMENT_ERRORS.OUT_OF_BOUNDS };
+    }
+
+    const board = createSafeBoardCopy(boardState);
+    const newTiles = [];
+    for (let i = 0; i < tiles.length; i++) {
+        const row = direction === 'across' ? startRow : startRow + i;
+        const col = direction === 'across' ? startCol + i : startCol;
+        const existingTile = board[row][col];
+
+        if (existingTile) {
+            if (existingTile.letter !== tiles[i]) {
+                return {
+                    error: `Square ${row},${col} already holds ${existingTile.letter}, not ${tiles[i]}`,
+                    code: PLACEMENT_ERRORS.TILE_MISMATCH
+                };
+            }
+        } else {
+            newTiles.push({ row, col });
+        }
+    }
+
+    if (newTiles.length === 0) {
+        return { error: 'No new tiles placed', code: PLACEMENT_ERRORS.NO_NEW_TILES };
+    }
+
+    if (newTiles.length > RACK_SIZE) {
+        return { error: `A play cannot place more than ${RACK_SIZE} tiles`, code: PLACEMENT_ERRORS.TOO_MANY_TILES };
+    }
+
+    // New tiles must share one row or column. The word is walked square by square from its
+    // start, so every square between the new tiles is already filled and no gap can occur.
+    const sameRow = newTiles.every(t => t.row === newTiles[0].row);
+    const sameCol = newTiles.every(t => t.col === newTiles[0].col);
+    if (!sameRow && !sameCol) {
+        return { error: 'All tiles must be placed in a single row or column', code: PLACEMENT_ERRORS.NOT_IN_LINE };
+    }
 
-    if (newPlacements.length === 0) {
-        return { error: 'No new tiles placed' };
+    if (isBoardEmpty(board)) {
+        if (!newTiles.some(t => t.row === CENTER && t.col === CENTER)) {
+            return { error: 'The first word must cover the centre square', code: PLACEMENT_ERRORS.FIRST_MOVE_OFF_CENTER };
+        }
+        if (newTiles.length < 2) {
+            return { error: 'The first word must be at least two letters long', code: PLACEMENT_ERRORS.SINGLE_LETTER_WORD };
+        }
+        return null;
     }
 
+    // Compare squares, not letters: a digraph tile (e.g. Spanish CH) spells two letters
+    const usesExistingTile = newTiles.length < tiles.length;
+    if (!usesExistingTile && !newTiles.some(t => hasNeighbouringTile(t.row, t.col, board))) {
+        return { error: 'The word must connect to tiles already on the board', code: PLACEMENT_ERRORS.NOT_CONNECTED };
+    }
+
+    return null;
+}
+
+function calculateTurn(word, startRow, startCol, direction, blankIndices, boardState, ruleset = STANDARD_RULESET) {
+    const placementError = validatePlacement(word, startRow, startCol, direction, boardState, ruleset);
+    if (placementError) {
+        return placementError;
+    }
+
+    // Placements are made tile by tile, so digraph tiles (e.g. Spanish CH) take a single square
+    const tiles = splitWordIntoTiles(word, ruleset);
+    const newPlacements = identifyNewPlacements(tiles, startRow, startCol, direction, blankIndices, boardState);
+
     // Primary Word
     const primaryWord = findPrimaryWord(newPlacements, direction, boardState);
     if (!primaryWord) {
@@ -266,27 +391,33 @@ function calculateTurn(word, startRow, startCol, direction, blankIndices, boardS
     let totalScore = 0;
     const scoredWords = [];
 
-    // Score Primary
-    const pScore = calculateWordScore(primaryWord, newPlacements);
-    totalScore += pScore;
-    scoredWords.push({ ...primaryWord, score: pScore });
+    // Score Primary (a lone tile only forms words crosswise, so it scores nothing on its own)
+    if (primaryWord.tiles.length > 1) {
+        const pScore = calculateWordScore(primaryWord, newPlacements, ruleset);
+        totalScore += pScore;
+        scoredWords.push({ ...primaryWord, score: pScore });
+    }
 
     // Secondary Words
     for (const p of newPlacements) {
         if (p.isNew) {
             const sWord = findSecondaryWord(p, direction, boardState);
             if (sWord) {
-                const sScore = calculateWordScore(sWord, newPlacements);
+                const sScore = calculateWordScore(sWord, newPlacements, ruleset);
                 totalScore += sScore;
                 scoredWords.push({ ...sWord, score: sScore });
             }
         }
     }
 
+    if (scoredWords.length === 0) {
+        return { error: 'A play must form a word of at least two letters', code: PLACEMENT_ERRORS.SINGLE_LETTER_WORD };
+    }
+
     // Bingo
     const placedCount = newPlacements.filter(p => p.isNew).length;
-    if (placedCount === 7) {
-        totalScore += 50;
+    if (placedCount === RACK_SIZE) {
+        totalScore += ruleset.bingoBonus;
     }
 
     // Generate New Board State
@@ -305,7 +436,296 @@ function calculateTurn(word, startRow, startCol, direction, blankIndices, boardS
     };
 }
 
+function countTilesOnBoard(boardState) {
+    if (!Array.isArray(boardState)) return 0;
+    return boardState.reduce((count, row) =>
+        count + (Array.isArray(row) ? row.filter(Boolean).length : 0), 0);
+}
+
+function calculatePass(boardState) {
+    return {
+        score: 0,
+        boardState: createSafeBoardCopy(boardState),
+        tilesExchanged: 0
+    };
+}
+
+function calculateExchange(tilesExchanged, boardState, numPlayers, ruleset = STANDARD_RULESET) {
+    const count = Number(tilesExchanged);
+    if (!Number.isInteger(count) || count < 1 || count > RACK_SIZE) {
+        return { error: `An exchange must swap between 1 and ${RACK_SIZE} tiles` };
+    }
+
+    // Exchanges are only allowed while at least a full rack remains in the bag.
+    // Racks are assumed full, which always holds while the bag still has tiles.
+    const totalTiles = Object.values(ruleset.tileDistribution).reduce((sum, count) => sum + count, 0);
+    const tilesInBag = totalTiles - countTilesOnBoard(boardState) - (numPlayers * RACK_SIZE);
+    if (tilesInBag < RACK_SIZE) {
+        return { error: `Exchanges are not allowed with fewer than ${RACK_SIZE} tiles in the bag` };
+    }
+
+    return {
+        score: 0,
+        boardState: createSafeBoardCopy(boardState),
+        tilesExchanged: count
+    };
+}
+
+// Decide the outcome of a challenge once the challenged words have been checked.
+// A phony is always withdrawn; a failed challenge costs the challenger their turn
+// under double-challenge rules, or a point penalty under single-challenge rules.
+function resolveChallenge(invalidWords, rule, penalty) {
+    if (invalidWords.length > 0) {
+        return { outcome: 'phony', challengerScore: 0, consumesTurn: true };
+    }
+
+    if (rule === 'single') {
+        const points = Number.isInteger(penalty) && penalty >= 0 ? penalty : DEFAULT_CHALLENGE_PENALTY;
+        return { outcome: 'penalty', challengerScore: -points, consumesTurn: false };
+    }
+
+    return { outcome: 'lost_turn', challengerScore: 0, consumesTurn: true };
+}
+
+function boardsMatch(a, b) {
+    for (let row = 0; row < BOARD_SIZE; row++) {
+        for (let col = 0; col < BOARD_SIZE; col++) {
+            const first = a[row] && a[row][col];
+            const second = b[row] && b[row][col];
+            if (!first !== !second) return false;
+            if (first && (first.letter !== second.letter || !!first.isBlank !== !!second.isBlank)) return false;
+        }
+    }
+    return true;
+}
+
+// Re-score a run of turns (oldest first) from boardBefore, after an earlier turn was edited.
+// Each turn needs id, direction, word, startRow, startCol, blankTiles, score, tilesExchanged,
+// challengeResult and its stored boardStateAfter. Returns { turns, boardState } with the new
+// score, secondary words and board for each turn, or { conflict } for the first turn that no
+// longer fits.
+function replayTurns(boardBefore, turns, numPlayers, ruleset = STANDARD_RULESET) {
+    let board = createSafeBoardCopy(boardBefore);
+    let storedBefore = boardBefore;
+    const replayed = [];
+
+    for (const turn of turns) {
+        const conflict = (error, code = 'REPLAY_CONFLICT') => ({
+            conflict: { turnId: turn.id, direction: turn.direction, word: turn.word, error, code }
+        });
+        let entry;
+
+        if (isPlacementDirection(turn.direction)) {
+            const result = calculateTurn(turn.word, turn.startRow, turn.startCol, turn.direction, turn.blankTiles, board, ruleset);
+            if (result.error) {
+                return conflict(result.error, result.code);
+            }
+            entry = {
+                score: result.score,
+                secondaryWords: result.scoredWords.filter(w => !w.isPrimary).map(w => w.word),
+                scoredWords: result.scoredWords,
+                boardState: result.boardState
+            };
+        } else if (turn.direction === 'exchange') {
+            const result = calculateExchange(turn.tilesExchanged, board, numPlayers, ruleset);
+            if (result.error) {
+                return conflict(result.error);
+            }
+            entry = { score: 0, boardState: result.boardState };
+        } else if (turn.direction === 'challenge') {
+            // A failed challenge refers to the play just before it, which must still be the same word
+            const challenged = replayed[replayed.length - 1];
+            if (turn.challengeResult !== 'phony' && challenged && challenged.word !== turn.word) {
+                return conflict(`This challenge was of ${turn.word}, which is no longer the play before it`);
+            }
+            entry = { score: turn.score, boardState: createSafeBoardCopy(board) };
+        } else if (turn.direction === 'adjustment') {
+            // Adjustments that replaced the board by hand cannot be carried over a different board
+            if (!boardsMatch(storedBefore, turn.boardStateAfter)) {
+                return conflict('This adjustment set the board by hand and cannot be replayed');
+            }
+            entry = { score: turn.score, boardState: createSafeBoardCopy(board) };
+        } else {
+            entry = { score: 0, boardState: createSafeBoardCopy(board) };
+        }
+
+        replayed.push({ id: turn.id, direction: turn.direction, word: turn.word, ...entry });
+        board = entry.boardState;
+        storedBefore = turn.boardStateAfter;
+    }
+
+    return { turns: replayed, boardState: board };
+}
+
+// Number of consecutive scoreless turns at the end of the history (oldest first).
+// Adjustments and single-challenge penalties are not player turns, so they neither
+// count towards nor break the run.
+function countScorelessTurns(turns) {
+    let count = 0;
+    for (let i = turns.length - 1; i >= 0; i--) {
+        const turn = turns[i];
+        if (turn.direction === 'adjustment' || turn.challenge_result === 'penalty') {
+            continue;
+        }
+        if (turn.score !== 0) {
+            break;
+        }
+        count++;
+    }
+    return count;
+}
+
+// Tiles not yet on the board (in the bag or on racks), as letter -> count
+function getUnseenTiles(boardState, ruleset = STANDARD_RULESET) {
+    const unseen = { ...ruleset.tileDistribution };
+    if (Array.isArray(boardState)) {
+        boardState.forEach(row => {
+            if (!Array.isArray(row)) return;
+            row.forEach(tile => {
+                if (!tile) return;
+                const key = tile.isBlank ? '_' : tile.letter;
+                if (unseen[key] !== undefined) {
+                    unseen[key]--;
+                }
+            });
+        });
+    }
+    return unseen;
+}
+
+function normalizeRackTile(tile) {
+    if (tile === '' || tile === '?' || tile === '_') return '_';
+    return typeof tile === 'string' ? tile.toUpperCase() : tile;
+}
+
+// Check the tiles a player says they hold against what is still unseen.
+// Returns { rack } with normalized tiles ('_' for blanks) or { error[, code] }.
+function validateRack(rack, boardState, ruleset = STANDARD_RULESET) {
+    if (!Array.isArray(rack)) {
+        return { error: 'Rack must be an array of tiles' };
+    }
+
+    const normalizedRack = rack.map(normalizeRackTile);
+    if (normalizedRack.length > RACK_SIZE) {
+        return { error: `A rack cannot hold more than ${RACK_SIZE} tiles` };
+    }
+
+    const unseen = getUnseenTiles(boardState, ruleset);
+    const claimed = {};
+    for (const tile of normalizedRack) {
+        if (unseen[tile] === undefined) {
+            return { error: `Unknown tile: ${tile}` };
+        }
+        claimed[tile] = (claimed[tile] || 0) + 1;
+        if (claimed[tile] > unseen[tile]) {
+            return { error: `Only ${unseen[tile]} ${tile} tile(s) remain unseen`, code: 'RACK_EXCEEDS_UNSEEN' };
+        }
+    }
+
+    return { rack: normalizedRack };
+}
+
+// Unseen tiles from one player's point of view: everything not on the board or on their own rack
+function getUnseenTilesForPlayer(boardState, rack, ruleset = STANDARD_RULESET) {
+    const unseen = getUnseenTiles(boardState, ruleset);
+    for (const tile of rack.map(normalizeRackTile)) {
+        if (unseen[tile] > 0) {
+            unseen[tile]--;
+        }
+    }
+    return unseen;
+}
+
+function rackValue(rack, letterScores) {
+    return rack.reduce((sum, tile) => sum + (tile === '_' ? 0 : (letterScores[tile] || 0)), 0);
+}
+
+// Work out the end-of-game rack adjustments.
+// wentOutPlayerId is the player who used all their tiles, or null when nobody did
+// (e.g. six scoreless turns); racks maps player id -> leftover tiles.
+function calculateSettlement(playerIds, wentOutPlayerId, racks, boardState, ruleset = STANDARD_RULESET) {
+    const normalizedRacks = {};
+    for (const playerId of playerIds) {
+        const rack = racks[playerId] || [];
+        if (!Array.isArray(rack)) {
+            return { error: `Rack for player ${playerId} must be an array of tiles` };
+        }
+        normalizedRacks[playerId] = rack.map(normalizeRackTile);
+    }
+
+    const unknownPlayers = Object.keys(racks).filter(id => !playerIds.includes(parseInt(id, 10)));
+    if (unknownPlayers.length > 0) {
+        return { error: `Racks given for players not in this game: ${unknownPlayers.join(', ')}` };
+    }
+
+    if (wentOutPlayerId !== null && !playerIds.includes(wentOutPlayerId)) {
+        return { error: 'The player who went out is not in this game' };
+    }
+
+    if (wentOutPlayerId !== null && normalizedRacks[wentOutPlayerId].length > 0) {
+        return { error: 'The player who went out cannot have tiles left' };
+    }
+
+    const unseen = getUnseenTiles(boardState, ruleset);
+    const claimed = {};
+    for (const playerId of playerIds) {
+        const rack = normalizedRacks[playerId];
+        if (rack.length > RACK_SIZE) {
+            return { error: `Player ${playerId} cannot have more than ${RACK_SIZE} tiles left` };
+        }
+        for (const tile of rack) {
+            if (unseen[tile] === undefined) {
+                return { error: `Unknown tile: ${tile}` };
+            }
+            claimed[tile] = (claimed[tile] || 0) + 1;
+        }
+    }
+
+    const overclaimed = Object.keys(claimed).filter(tile => claimed[tile] > unseen[tile]);
+    if (overclaimed.length > 0) {
+        return {
+            error: `More tiles on racks than remain unseen: ${overclaimed.join(', ')}`,
+            code: 'RACKS_EXCEED_UNSEEN',
+            overclaimed: overclaimed.map(tile => ({ tile, claimed: claimed[tile], unseen: unseen[tile] }))
+        };
+    }
+
+    const adjustments = playerIds.map(playerId => ({
+        playerId,
+        rack: normalizedRacks[playerId],
+        score: -rackValue(normalizedRacks[playerId], ruleset.letterScores)
+    }));
+
+    // The player who went out collects everyone else's rack values
+    if (wentOutPlayerId !== null) {
+        const bonus = adjustments.reduce((sum, adj) => sum - adj.score, 0);
+        adjustments.find(adj => adj.playerId === wentOutPlayerId).score = bonus;
+    }
+
+    return { adjustments };
+}
+
 module.exports = {
     calculateTurn,
-    isValidBoardPosition
+    calculatePass,
+    calculateExchange,
+    resolveChallenge,
+    validatePlacement,
+    splitWordIntoTiles,
+    calculateSettlement,
+    replayTurns,
+    countScorelessTurns,
+    getUnseenTiles,
+    getUnseenTilesForPlayer,
+    validateRack,
+    isValidBoardPosition,
+    isPlacementDirection,
+    getTurnType,
+    TURN_TYPES,
+    CHALLENGE_RULES,
+    DEFAULT_CHALLENGE_PENALTY,
+    DICTIONARY_MODES,
+    PLACEMENT_ERRORS,
+    SCORELESS_TURN_LIMIT,
+    RACK_SIZE
 };
@@ -0,0 +1,421 @@
+// GCG is the plain-text game record read by Quackle, Zyzzyva and most other Scrabble tools.
+// A file has # pragma lines (players, title) followed by one > line per move:
+//   >Nick: RACK POSITION WORD +SCORE CUMULATIVE
+// Positions are row-then-column ("8H") for across plays and column-then-row ("H8") for down
+// plays. In the word, blanks are lowercase and letters already on the board are '.'.
+
+const crypto = require('crypto');
+const gameLogic = require('./gameLogic');
+const { createEmptyBoard, diffBoards } = require('./boardHistory');
+
+const COLUMNS = 'ABCDEFGHIJKLMNO';
+
+// GCG nicknames are single words
+function toNickname(name) {
+    return name.trim().replace(/\s+/g, '_');
+}
+
+function formatPosition(row, col, direction) {
+    return direction === 'across'
+        ? `${row + 1}${COLUMNS[col]}`
+        : `${COLUMNS[col]}${row + 1}`;
+}
+
+function formatScore(score) {
+    return score < 0 ? `${score}` : `+${score}`;
+}
+
+function formatRack(rack) {
+    return rack.map(tile => (tile === '_' ? '?' : tile)).join('');
+}
+
+// The word as GCG writes it: new tiles as letters (lowercase for blanks), tiles that were
+// already on the board as '.'
+function formatPlayedWord(turn, placedTiles, ruleset) {
+    const tiles = gameLogic.splitWordIntoTiles(turn.word, ruleset) || turn.word.toUpperCase().split('');
+    const placed = new Map(placedTiles.map(tile => [`${tile.row},${tile.col}`, tile]));
+
+    return tiles.map((letter, index) => {
+        const row = turn.direction === 'across' ? turn.start_row : turn.start_row + index;
+        const col = turn.direction === 'across' ? turn.start_col + index : turn.start_col;
+        const tile = placed.get(`${row},${col}`);
+        if (!tile) {
+            return '.';
+        }
+        return tile.isBlank ? letter.toLowerCase() : letter;
+    }).join('');
+}
+
+// The move part of a > line, between the rack and the score
+function formatMove(turn, placedTiles, ruleset, settlementRacks) {
+    switch (turn.direction) {
+        case 'across':
+        case 'down':
+            return `${formatPosition(turn.start_row, turn.start_col, turn.direction)} ${formatPlayedWord(turn, placedTiles, ruleset)}`;
+        case 'pass':
+            return '-';
+        case 'exchange':
+            // Only the number of tiles swapped is recorded
+            return `-${turn.tiles_exchanged || 0}`;
+        case 'challenge':
+            // A failed single challenge is scored without using up a turn. Points taken from
+            // the challenger go on a '-' line with a negative score, and points given to the
+            // challenged player on a (challenge) line. A lost turn reads as a pass.
+            return turn.challenge_result === 'penalty' && turn.score >= 0 ? '(challenge)' : '-';
+        case 'adjustment':
+            // The player who went out is credited with everyone else's leftover tiles;
+            // everyone else loses the value of their own
+            return `(${turn.word || settlementRacks.get(turn.round_number) || ''})`;
+        default:
+            return '-';
+    }
+}
+
+function challengeNote(turn) {
+    if (turn.direction !== 'challenge') {
+        return null;
+    }
+    if (turn.challenge_result === 'phony') {
+        return turn.withdrawn_play ? null : `#note ${turn.word} was challenged off the board as a phony`;
+    }
+    if (turn.challenge_result === 'lost_turn') {
+        return `#note Lost turn for an unsuccessful challenge of ${turn.word}`;
+    }
+    if (turn.score > 0) {
+        return `#note Bonus for an unsuccessful challenge of ${turn.word}`;
+    }
+    return `#note Penalty for an unsuccessful challenge of ${turn.word}`;
+}
+
+// End-of-game leftover racks, joined per settlement round, for the went-out player's line
+function collectSettlementRacks(turns) {
+    const racks = new Map();
+    turns.filter(turn => turn.direction === 'adjustment' && turn.word && turn.word !== '<EMPTY>')
+        .forEach(turn => racks.set(turn.round_number, (racks.get(turn.round_number) || '') + turn.word));
+    return racks;
+}
+
+// game: games row with id and created_at; players: { id, name } in turn order;
+// turns: turns rows oldest first
+function buildGcg(game, players, turns, ruleset) {
+    const nicknames = new Map(players.map(player => [player.id, toNickname(player.name)]));
+    const totals = new Map(players.map(player => [player.id, 0]));
+    const settlementRacks = collectSettlementRacks(turns);
+
+    const lines = ['#character-encoding UTF-8'];
+    players.forEach((player, index) => {
+        lines.push(`#player${index + 1} ${nicknames.get(player.id)} ${player.name}`);
+    });
+    lines.push(`#title Game ${game.id}`);
+    lines.push(`#description Scrabble Keeper game ${game.id}, played ${String(game.created_at).slice(0, 10)}`);
+
+    const pushLine = (turn, rack, move, score) => {
+        totals.set(turn.player_id, totals.get(turn.player_id) + score);
+        const parts = [`>${nicknames.get(turn.player_id)}:`];
+        if (rack) {
+            parts.push(rack);
+        }
+        parts.push(move, formatScore(score), `${totals.get(turn.player_id)}`);
+        lines.push(parts.join(' '));
+    };
+
+    turns.forEach(turn => {
+        // A settled player with no tiles left has nothing to report
+        if (turn.direction === 'adjustment' && turn.score === 0) {
+            return;
+        }
+
+        let rack = turn.rack ? formatRack(JSON.parse(turn.rack)) : '';
+        if (turn.direction === 'adjustment') {
+            // Leftover tiles count against the player holding them
+            rack = turn.score < 0 ? turn.word : '';
+        }
+
+        if (turn.challenge_result === 'phony' && turn.withdrawn_play) {
+            // GCG keeps a phony as the play itself, then a -- line taking its points back
+            const play = JSON.parse(turn.withdrawn_play);
+            const playTurn = { word: turn.word, start_row: play.startRow, start_col: play.startCol, direction: play.direction };
+            pushLine(turn, rack, formatMove(playTurn, play.placedTiles, ruleset, settlementRacks), play.score);
+            pushLine(turn, rack, '--', -play.score);
+            return;
+        }
+
+        pushLine(turn, rack, formatMove(turn, JSON.parse(turn.placed_tiles || '[]'), ruleset, settlementRacks), turn.score);
+
+        const note = challengeNote(turn);
+        if (note) {
+            lines.push(note);
+        }
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+const POSITION_PATTERN = /^(?:(\d{1,2})([A-O])|([A-O])(\d{1,2}))$/i;
+const RACK_PATTERN = /^[A-Z?]+$/i;
+
+// { row, col, direction } from "8H" (across) or "H8" (down), or null
+function parsePosition(text) {
+    const match = POSITION_PATTERN.exec(text);
+    if (!match) {
+        return null;
+    }
+    const across = match[1] !== undefined;
+    const row = parseInt(across ? match[1] : match[4], 10) - 1;
+    const col = COLUMNS.indexOf((across ? match[2] : match[3]).toUpperCase());
+    if (row < 0 || row > 14) {
+        return null;
+    }
+    return { row, col, direction: across ? 'across' : 'down' };
+}
+
+function parseRack(text) {
+    return text.toUpperCase().split('').map(tile => (tile === '?' ? '_' : tile));
+}
+
+// One > line: { nickname, rack, type, ...move fields, score, total }, or { error }
+function parseMoveLine(line) {
+    const match = /^>([^:]+):\s*(.*)$/.exec(line);
+    if (!match) {
+        return { error: 'Move lines look like ">Nick: RACK 8H WORD +10 10"' };
+    }
+
+    const tokens = match[2].trim().split(/\s+/);
+    if (tokens.length < 3) {
+        return { error: 'Move is missing its score or running total' };
+    }
+
+    const total = parseInt(tokens.pop(), 10);
+    const score = parseInt(tokens.pop(), 10);
+    if (!Number.isInteger(score) || !Number.isInteger(total)) {
+        return { error: 'Score and running total must be numbers' };
+    }
+
+    // The rack is optional; it is only there when the move has more to it
+    let rack = null;
+    if (tokens.length > 1 && RACK_PATTERN.test(tokens[0]) && !parsePosition(tokens[0])) {
+        rack = parseRack(tokens.shift());
+    }
+
+    const move = { nickname: match[1].trim(), rack, score, total };
+    const [first, second] = tokens;
+
+    if (tokens.length === 2 && parsePosition(first)) {
+        // Older files put played-through letters in brackets, WO(R)D, rather than as dots
+        const word = second.replace(/\(([^)]*)\)/g, (_, letters) => '.'.repeat(letters.length));
+        return { ...move, type: 'play', position: parsePosition(first), word };
+    }
+    if (tokens.length !== 1) {
+        return { error: `Unrecognised move: ${tokens.join(' ')}` };
+    }
+    if (first === '--') {
+        return { ...move, type: 'phony' };
+    }
+    if (first === '-') {
+        // A pass never scores, so points taken off on a - line are a failed challenge's penalty
+        return { ...move, type: score < 0 ? 'penalty' : 'pass' };
+    }
+    if (/^-\d+$/.test(first)) {
+        return { ...move, type: 'exchange', tilesExchanged: parseInt(first.slice(1), 10) };
+    }
+    if (/^-[A-Z?]+$/i.test(first)) {
+        return { ...move, type: 'exchange', tilesExchanged: first.length - 1 };
+    }
+    if (first.toLowerCase() === '(challenge)') {
+        return { ...move, type: 'challenge' };
+    }
+    if (/^\([A-Z?]*\)$/i.test(first) || first.toLowerCase() === '(time)') {
+        return { ...move, type: 'adjustment', tiles: first.slice(1, -1).toUpperCase() };
+    }
+    return { error: `Unrecognised move: ${first}` };
+}
+
+// Players and moves from a GCG file, or { error, line }
+function parseGcg(text) {
+    const players = [];
+    const moves = [];
+    const lines = String(text).split(/\r?\n/);
+
+    for (let index = 0; index < lines.length; index++) {
+        const line = lines[index].trim();
+        const lineNumber = index + 1;
+
+        const player = /^#player(\d)\s+(\S+)\s*(.*)$/.exec(line);
+        if (player) {
+            players[parseInt(player[1], 10) - 1] = { nickname: player[2], name: player[3] || player[2] };
+            continue;
+        }
+
+        if (line.startsWith('>')) {
+            const move = parseMoveLine(line);
+            if (move.error) {
+                return { error: move.error, line: lineNumber };
+            }
+            moves.push({ ...move, line: lineNumber });
+        }
+        // Other pragmas, notes and their continuation lines don't affect the game
+    }
+
+    // Files without #player lines name players by their nicknames, in order of first move
+    if (players.length === 0) {
+        moves.forEach(move => {
+            if (!players.some(player => player.nickname === move.nickname)) {
+                players.push({ nickname: move.nickname, name: move.nickname });
+            }
+        });
+    }
+
+    const known = players.filter(Boolean);
+    const stranger = moves.find(move => !known.some(player => player.nickname === move.nickname));
+    if (stranger) {
+        return { error: `${stranger.nickname} is not one of the file's players`, line: stranger.line };
+    }
+
+    return { players: known, moves };
+}
+
+// Identifies a parsed file by its players and moves, so the same game imported twice hashes
+// the same however its notes and spacing differ
+function gcgContentHash(parsed) {
+    const content = {
+        players: parsed.players.map(player => player.name),
+        moves: parsed.moves.map(({ line, ...move }) => move)
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+// Replay parsed moves from an empty board. Plays are scored with calculateTurn; other moves
+// keep the file's score. Returns { turns, boardState, scoreDifferences } or { error, line }.
+// Each turn has playerIndex, direction, word, startRow, startCol, blankTiles, score,
+// secondaryWords, tilesExchanged, challengeResult, rack, withdrawnPlay, boardBefore and
+// boardAfter.
+function replayGcgMoves(players, moves, ruleset) {
+    const indexes = new Map(players.map((player, index) => [player.nickname, index]));
+    const turns = [];
+    const scoreDifferences = [];
+    let board = createEmptyBoard();
+
+    for (const move of moves) {
+        const playerIndex = indexes.get(move.nickname);
+        const base = {
+            playerIndex,
+            word: '',
+            startRow: -1,
+            startCol: -1,
+            blankTiles: [],
+            secondaryWords: [],
+            tilesExchanged: 0,
+            challengeResult: null,
+            rack: move.rack,
+            withdrawnPlay: null,
+            boardBefore: board,
+            boardAfter: board,
+            line: move.line
+        };
+
+        if (move.type === 'play') {
+            const { row, col, direction } = move.position;
+            const letters = [];
+            const blankTiles = [];
+            for (let index = 0; index < move.word.length; index++) {
+                const r = direction === 'across' ? row : row + index;
+                const c = direction === 'across' ? col + index : col;
+                const char = move.word[index];
+                if (char === '.') {
+                    const tile = board[r] && board[r][c];
+                    if (!tile) {
+                        return { error: `No tile at ${formatPosition(r, c, direction)} to play through`, line: move.line };
+                    }
+                    letters.push(tile.letter);
+                } else {
+                    if (char !== char.toUpperCase()) {
+                        blankTiles.push(index);
+                    }
+                    letters.push(char.toUpperCase());
+                }
+            }
+
+            const word = letters.join('');
+            const result = gameLogic.calculateTurn(word, row, col, direction, blankTiles, board, ruleset);
+            if (result.error) {
+                return { error: `${word}: ${result.error}`, line: move.line };
+            }
+
+            if (result.score !== move.score) {
+                scoreDifferences.push({
+                    line: move.line,
+                    player: move.nickname,
+                    word,
+                    fileScore: move.score,
+                    computedScore: result.score
+                });
+            }
+
+            turns.push({
+                ...base,
+                direction,
+                word,
+                startRow: row,
+                startCol: col,
+                blankTiles,
+                score: result.score,
+                secondaryWords: result.scoredWords.filter(w => !w.isPrimary).map(w => w.word),
+                boardAfter: result.boardState
+            });
+            board = result.boardState;
+        } else if (move.type === 'phony') {
+            // The player's play just before is withdrawn, as a phony challenge does here
+            const withdrawn = turns[turns.length - 1];
+            if (!withdrawn || withdrawn.playerIndex !== playerIndex || !gameLogic.isPlacementDirection(withdrawn.direction)) {
+                return { error: 'A withdrawn phony must follow that player\'s play', line: move.line };
+            }
+            turns.pop();
+            board = withdrawn.boardBefore;
+            turns.push({
+                ...base,
+                direction: 'challenge',
+                word: withdrawn.word,
+                score: 0,
+                secondaryWords: withdrawn.secondaryWords,
+                challengeResult: 'phony',
+                rack: withdrawn.rack,
+                withdrawnPlay: {
+                    direction: withdrawn.direction,
+                    startRow: withdrawn.startRow,
+                    startCol: withdrawn.startCol,
+                    placedTiles: diffBoards(withdrawn.boardBefore, withdrawn.boardAfter).placedTiles,
+                    score: withdrawn.score
+                },
+                boardBefore: board,
+                boardAfter: board
+            });
+        } else if (move.type === 'challenge' || move.type === 'penalty') {
+            // A failed single challenge, which does not use up a turn. (challenge) is the bonus
+            // the challenged player gets, on their own line; a penalty is taken off the
+            // challenger. Either way the points belong to the line's player.
+            const challenged = [...turns].reverse().find(turn => gameLogic.isPlacementDirection(turn.direction));
+            turns.push({
+                ...base,
+                direction: 'challenge',
+                word: challenged ? challenged.word : '',
+                score: move.score,
+                challengeResult: 'penalty'
+            });
+        } else if (move.type === 'adjustment') {
+            turns.push({ ...base, direction: 'adjustment', word: move.tiles, score: move.score, rack: null });
+        } else {
+            turns.push({ ...base, direction: move.type, score: 0, tilesExchanged: move.tilesExchanged || 0 });
+        }
+    }
+
+    return { turns, boardState: board, scoreDifferences };
+}
+
+module.exports = {
+    buildGcg,
+    parseGcg,
+    gcgContentHash,
+    replayGcgMoves,
+    formatPosition,
+    toNickname
+};
@@ -0,0 +1,387 @@
+// Best-move generator: finds the highest-scoring legal plays for a board and rack.
+// Candidates come from the Appel-Jacobson anchor/cross-check search over a DAWG of the
+// game's dictionary; each one is then scored (and re-checked) by gameLogic.calculateTurn.
+
+const gameLogic = require('./gameLogic');
+const { getSpellChecker } = require('./dictionaryLoader');
+const { STANDARD_RULESET } = require('./rulesets');
+
+const BOARD_SIZE = 15;
+const CENTER = 7;
+const DEFAULT_MOVE_LIMIT = 10;
+const DEFAULT_ALTERNATIVES = 3;
+
+let nextNodeId = 0;
+
+function createNode() {
+    return { id: nextNodeId++, final: false, edges: new Map() };
+}
+
+// Build a minimal DAWG from tile sequences (Daciuk's incremental algorithm).
+// Words must be sorted so that shared prefixes arrive together.
+function buildDawg(tileWords) {
+    const root = createNode();
+    const register = new Map();
+    const unchecked = [];
+    let previous = [];
+
+    const signature = node => `${node.final ? 1 : 0}|${[...node.edges].map(([tile, child]) => `${tile}:${child.id}`).join(',')}`;
+
+    const minimize = downTo => {
+        while (unchecked.length > downTo) {
+            const { parent, tile, child } = unchecked.pop();
+            const key = signature(child);
+            const existing = register.get(key);
+            if (existing) {
+                parent.edges.set(tile, existing);
+            } else {
+                register.set(key, child);
+            }
+        }
+    };
+
+    for (const word of tileWords) {
+        let prefix = 0;
+        while (prefix < word.length && prefix < previous.length && word[prefix] === previous[prefix]) {
+            prefix++;
+        }
+        minimize(prefix);
+
+        let node = prefix > 0 ? unchecked[prefix - 1].child : root;
+        for (let i = prefix; i < word.length; i++) {
+            const child = createNode();
+            node.edges.set(word[i], child);
+            unchecked.push({ parent: node, tile: word[i], child });
+            node = child;
+        }
+        node.final = true;
+        previous = word;
+    }
+    minimize(0);
+
+    return root;
+}
+
+function dawgContains(dawg, tiles) {
+    let node = dawg;
+    for (const tile of tiles) {
+        node = node.edges.get(tile);
+        if (!node) return false;
+    }
+    return node.final;
+}
+
+// One DAWG per locale, built from that locale's dictionary and tile set, then reused.
+// It is rebuilt when the dictionary is reloaded or the tile set changes.
+const wordStructures = new Map();
+
+function getWordStructure(ruleset, locale = null) {
+    const { spell, loaded, locale: dictionaryLocale } = getSpellChecker(locale);
+    if (!loaded || !spell) {
+        return null;
+    }
+
+    const cached = wordStructures.get(dictionaryLocale);
+    if (cached && cached.spell === spell && cached.tileSet === ruleset.tileSet) {
+        return cached.dawg;
+    }
+
+    // nspell keeps every affixed form of the dictionary in spell.data. Capitalised entries
+    // (proper nouns, abbreviations) are not playable, so only lowercase words are kept.
+    const started = Date.now();
+    const tileWords = Object.keys(spell.data)
+        .filter(word => word.length >= 2 && /^\p{Ll}+$/u.test(word))
+        .map(word => gameLogic.splitWordIntoTiles(word, ruleset))
+        .filter(tiles => tiles && tiles.length >= 2 && tiles.length <= BOARD_SIZE)
+        .map(tiles => ({ tiles, key: tiles.join('\u0000') }))
+        .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+        .map(entry => entry.tiles);
+
+    const dawg = buildDawg(tileWords);
+    wordStructures.set(dictionaryLocale, { spell, tileSet: ruleset.tileSet, dawg });
+    console.log(`Move generator: built ${dictionaryLocale} word graph from ${tileWords.length} words in ${Date.now() - started}ms`);
+    return dawg;
+}
+
+function createEmptyBoard() {
+    return Array(BOARD_SIZE).fill(null).map(() => Array(BOARD_SIZE).fill(null));
+}
+
+function transpose(board) {
+    return board[0].map((_, col) => board.map(row => row[col]));
+}
+
+function hasTile(grid, row, col) {
+    return row >= 0 && row < BOARD_SIZE && col >= 0 && col < BOARD_SIZE && !!grid[row][col];
+}
+
+// Tiles that can go on each empty square without breaking the word formed across it
+// (vertically in grid terms). null means any tile fits.
+function computeCrossChecks(grid, dawg, tileNames) {
+    const crossChecks = createEmptyBoard();
+
+    for (let row = 0; row < BOARD_SIZE; row++) {
+        for (let col = 0; col < BOARD_SIZE; col++) {
+            if (grid[row][col] || (!hasTile(grid, row - 1, col) && !hasTile(grid, row + 1, col))) {
+                continue;
+            }
+
+            const above = [];
+            for (let r = row - 1; hasTile(grid, r, col); r--) above.unshift(grid[r][col].letter);
+            const below = [];
+            for (let r = row + 1; hasTile(grid, r, col); r++) below.push(grid[r][col].letter);
+
+            crossChecks[row][col] = new Set(tileNames.filter(tile => dawgContains(dawg, [...above, tile, ...below])));
+        }
+    }
+
+    return crossChecks;
+}
+
+function findAnchors(grid, boardIsEmpty) {
+    const anchors = createEmptyBoard().map(row => row.map(() => false));
+
+    if (boardIsEmpty) {
+        anchors[CENTER][CENTER] = true;
+        return anchors;
+    }
+
+    for (let row = 0; row < BOARD_SIZE; row++) {
+        for (let col = 0; col < BOARD_SIZE; col++) {
+            anchors[row][col] = !grid[row][col] && (
+                hasTile(grid, row - 1, col) || hasTile(grid, row + 1, col) ||
+                hasTile(grid, row, col - 1) || hasTile(grid, row, col + 1)
+            );
+        }
+    }
+
+    return anchors;
+}
+
+// Run the anchor search along every row of grid, calling record(row, startCol, tiles)
+// for each candidate. tiles is the full word: { tile, isBlank, isNew } per square.
+function searchRows(grid, dawg, rack, tileNames, boardIsEmpty, record) {
+    const crossChecks = computeCrossChecks(grid, dawg, tileNames);
+    const anchors = findAnchors(grid, boardIsEmpty);
+    const rackSize = [...rack.values()].reduce((sum, count) => sum + count, 0);
+
+    const takeFromRack = tile => {
+        const count = rack.get(tile) || 0;
+        if (count === 0) return false;
+        rack.set(tile, count - 1);
+        return true;
+    };
+    const returnToRack = tile => rack.set(tile, rack.get(tile) + 1);
+
+    for (let row = 0; row < BOARD_SIZE; row++) {
+        for (let anchor = 0; anchor < BOARD_SIZE; anchor++) {
+            if (!anchors[row][anchor]) continue;
+
+            const extendRight = (startCol, col, node, tiles) => {
+                if (col >= BOARD_SIZE || !grid[row][col]) {
+                    if (node.final && col > anchor) {
+                        record(row, startCol, tiles);
+                    }
+                    if (col >= BOARD_SIZE) return;
+
+                    const allowed = crossChecks[row][col];
+                    for (const [tile, child] of node.edges) {
+                        if (allowed && !allowed.has(tile)) continue;
+
+                        if (takeFromRack(tile)) {
+                            tiles.push({ tile, isBlank: false, isNew: true });
+                            extendRight(startCol, col + 1, child, tiles);
+                            tiles.pop();
+                            returnToRack(tile);
+                        }
+                        if (takeFromRack('_')) {
+                            tiles.push({ tile, isBlank: true, isNew: true });
+                            extendRight(startCol, col + 1, child, tiles);
+                            tiles.pop();
+                            returnToRack('_');
+                        }
+                    }
+                    return;
+                }
+
+                const existing = grid[row][col];
+                const child = node.edges.get(existing.letter);
+                if (child) {
+                    tiles.push({ tile: existing.letter, isBlank: existing.isBlank, isNew: false });
+                    extendRight(startCol, col + 1, child, tiles);
+                    tiles.pop();
+                }
+            };
+
+            // Tiles already left of the anchor form a fixed prefix
+            if (hasTile(grid, row, anchor - 1)) {
+                let startCol = anchor;
+                while (hasTile(grid, row, startCol - 1)) startCol--;
+
+                let node = dawg;
+                const tiles = [];
+                for (let col = startCol; col < anchor && node; col++) {
+                    const existing = grid[row][col];
+                    node = node.edges.get(existing.letter);
+                    tiles.push({ tile: existing.letter, isBlank: existing.isBlank, isNew: false });
+                }
+                if (node) extendRight(startCol, anchor, node, tiles);
+                continue;
+            }
+
+            // Otherwise build left parts over the empty, non-anchor squares before it
+            let limit = 0;
+            while (limit < rackSize - 1 && anchor - limit - 1 >= 0 &&
+                !grid[row][anchor - limit - 1] && !anchors[row][anchor - limit - 1]) {
+                limit++;
+            }
+
+            const leftPart = (node, tiles, remaining) => {
+                extendRight(anchor - tiles.length, anchor, node, tiles);
+                if (remaining === 0) return;
+
+                for (const [tile, child] of node.edges) {
+                    if (takeFromRack(tile)) {
+                        tiles.push({ tile, isBlank: false, isNew: true });
+                        leftPart(child, tiles, remaining - 1);
+                        tiles.pop();
+                        returnToRack(tile);
+                    }
+                    if (takeFromRack('_')) {
+                        tiles.push({ tile, isBlank: true, isNew: true });
+                        leftPart(child, tiles, remaining - 1);
+                        tiles.pop();
+                        returnToRack('_');
+                    }
+                }
+            };
+            leftPart(dawg, [], limit);
+        }
+    }
+}
+
+// Find the best plays for a rack using the locale's dictionary (the active one by default).
+// Returns { moves } or { error, code }.
+function generateMoves(boardState, rack, ruleset = STANDARD_RULESET, limit = DEFAULT_MOVE_LIMIT, locale = null) {
+    const dawg = getWordStructure(ruleset, locale);
+    if (!dawg) {
+        return { error: 'Dictionary not loaded; moves cannot be generated', code: 'DICTIONARY_NOT_LOADED' };
+    }
+
+    const board = Array.isArray(boardState) && boardState.length === BOARD_SIZE
+        ? boardState.map(row => (Array.isArray(row) ? row.map(tile => tile || null) : Array(BOARD_SIZE).fill(null)))
+        : createEmptyBoard();
+
+    const rackCheck = gameLogic.validateRack(rack, board, ruleset);
+    if (rackCheck.error) {
+        return rackCheck;
+    }
+
+    const rackCounts = new Map();
+    rackCheck.rack.forEach(tile => rackCounts.set(tile, (rackCounts.get(tile) || 0) + 1));
+
+    const tileNames = Object.keys(ruleset.letterScores);
+    const boardIsEmpty = board.every(row => row.every(tile => !tile));
+    const moves = new Map();
+
+    // Down plays are found by searching the rows of the transposed board
+    for (const direction of ['across', 'down']) {
+        const grid = direction === 'across' ? board : transpose(board);
+
+        searchRows(grid, dawg, rackCounts, tileNames, boardIsEmpty, (row, startCol, tiles) => {
+            const startRow = direction === 'across' ? row : startCol;
+            const startColumn = direction === 'across' ? startCol : row;
+            const word = tiles.map(t => t.tile).join('');
+            const blankTiles = tiles.map((t, index) => (t.isBlank && t.isNew ? index : -1)).filter(index => index >= 0);
+
+            const result = gameLogic.calculateTurn(word, startRow, startColumn, direction, blankTiles, board, ruleset);
+            if (result.error) {
+                return;
+            }
+
+            // A single tile can be found from both directions; keep one copy per set of placements
+            const placed = tiles
+                .map((t, index) => (t.isNew ? `${direction === 'across' ? startRow : startRow + index},${direction === 'across' ? startColumn + index : startColumn}=${t.isBlank ? '_' : ''}${t.tile}` : null))
+                .filter(Boolean)
+                .sort()
+                .join(';');
+            if (moves.has(placed)) {
+                return;
+            }
+
+            const leave = [...rackCheck.rack];
+            tiles.filter(t => t.isNew).forEach(t => leave.splice(leave.indexOf(t.isBlank ? '_' : t.tile), 1));
+
+            moves.set(placed, {
+                word,
+                startRow,
+                startCol: startColumn,
+                direction,
+                blankTiles,
+                score: result.score,
+                tilesPlaced: result.placedCount,
+                words: result.scoredWords.map(w => ({ word: w.word, score: w.score })),
+                leave
+            });
+        });
+    }
+
+    const ranked = [...moves.values()].sort((a, b) => b.score - a.score || b.tilesPlaced - a.tilesPlaced || a.word.localeCompare(b.word));
+    return { moves: ranked.slice(0, limit), totalMoves: ranked.length };
+}
+
+// Compare each turn with the best plays that were available from the board before it.
+// turns must be in play order with their JSON columns parsed. Only turns with a recorded
+// rack are analysed: the tiles placed alone would only find rearrangements of the play.
+function analyseTurns(turns, ruleset = STANDARD_RULESET, limit = DEFAULT_ALTERNATIVES, locale = null) {
+    let boardBefore = createEmptyBoard();
+
+    return turns.map(turn => {
+        const boardAfter = Array.isArray(turn.boardStateAfter) && turn.boardStateAfter.length === BOARD_SIZE
+            ? turn.boardStateAfter
+            : createEmptyBoard();
+        const isPlacement = gameLogic.isPlacementDirection(turn.direction);
+        const entry = {
+            turnId: turn.id,
+            playerId: turn.playerId,
+            roundNumber: turn.roundNumber,
+            direction: turn.direction,
+            word: turn.word,
+            playedScore: turn.score,
+            rackRecorded: Array.isArray(turn.rack),
+            analysed: false
+        };
+
+        const rack = turn.rack;
+        const canAnalyse = (isPlacement || turn.direction === 'pass' || turn.direction === 'exchange') &&
+            Array.isArray(rack) && rack.length > 0;
+
+        if (canAnalyse) {
+            const result = generateMoves(boardBefore, rack, ruleset, limit, locale);
+            if (result.error) {
+                entry.reason = result.error;
+            } else {
+                const bestScore = result.moves.length > 0 ? result.moves[0].score : 0;
+                Object.assign(entry, {
+                    analysed: true,
+                    rack,
+                    bestScore,
+                    pointsMissed: Math.max(0, bestScore - turn.score),
+                    alternatives: result.moves
+                });
+            }
+        } else if (isPlacement || turn.direction === 'pass' || turn.direction === 'exchange') {
+            entry.reason = 'No rack recorded for this turn';
+        }
+
+        boardBefore = boardAfter;
+        return entry;
+    });
+}
+
+module.exports = {
+    generateMoves,
+    analyseTurns,
+    DEFAULT_MOVE_LIMIT,
+    DEFAULT_ALTERNATIVES
+};
@@ -0,0 +1,203 @@
+const { RACK_SIZE } = require('./gameLogic');
+const ratings = require('./ratings');
+
+// Career statistics count finished games that are not in the trash. Every score change is
+// a turn, so game totals come from game_players and per-turn figures from turns.
+const FAVOURITE_WORD_COUNT = 5;
+const RECENT_FORM_GAMES = 5;
+
+// A player's finished games, newest first, each with their result and everyone's scores
+function getFinishedGames(db, playerId) {
+    const games = db.prepare(`
+        SELECT g.id, g.created_at, g.winner_id, gp.score
+        FROM game_players gp
+        JOIN games g ON gp.game_id = g.id
+        WHERE gp.player_id = ? AND g.status = 'finished' AND g.deleted_at IS NULL
+        ORDER BY g.created_at DESC, g.id DESC
+    `).all(playerId);
+
+    const getPlayers = db.prepare(`
+        SELECT p.id, p.name, gp.score
+        FROM game_players gp
+        JOIN players p ON gp.player_id = p.id
+        WHERE gp.game_id = ?
+        ORDER BY gp.turn_order
+    `);
+
+    return games.map(game => {
+        const players = getPlayers.all(game.id);
+        const topScore = Math.max(...players.map(player => player.score));
+
+        // A shared top score is stored as a tie, with no winner
+        let result = 'loss';
+        if (game.winner_id === playerId) {
+            result = 'win';
+        } else if (game.winner_id === null && game.score === topScore) {
+            result = 'tie';
+        }
+
+        return {
+            gameId: game.id,
+            date: game.created_at,
+            winnerId: game.winner_id,
+            result,
+            score: game.score,
+            opponents: players.filter(player => player.id !== playerId)
+        };
+    });
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function getPlayerProfile(db, playerId) {
+    const player = db.prepare('SELECT id, name, created_at, archived_at FROM players WHERE id = ?').get(playerId);
+    if (!player) {
+        return null;
+    }
+
+    const games = getFinishedGames(db, playerId);
+    const count = result => games.filter(game => game.result === result).length;
+    const bestGame = games.reduce((best, game) => (!best || game.score > best.score ? game : best), null);
+
+    const { inProgress } = db.prepare(`
+        SELECT COUNT(*) as inProgress
+        FROM game_players gp
+        JOIN games g ON gp.game_id = g.id
+        WHERE gp.player_id = ? AND g.status != 'finished' AND g.deleted_at IS NULL
+    `).get(playerId);
+
+    // Turns from the finished games. Adjustments and single-challenge penalties aren't turns taken.
+    const finishedTurns = `
+        FROM turns t
+        JOIN games g ON t.game_id = g.id
+        WHERE t.player_id = ? AND g.status = 'finished' AND g.deleted_at IS NULL
+    `;
+    const turnTotals = db.prepare(`
+        SELECT COUNT(*) as turns, COALESCE(SUM(t.score), 0) as points
+        ${finishedTurns}
+          AND t.direction != 'adjustment' AND COALESCE(t.challenge_result, '') != 'penalty'
+    `).get(playerId);
+
+    const { bingos } = db.prepare(`
+        SELECT COUNT(*) as bingos
+        ${finishedTurns}
+          AND t.direction IN ('across', 'down') AND json_array_length(COALESCE(t.placed_tiles, '[]')) = ?
+    `).get(playerId, RACK_SIZE);
+
+    const bestTurn = db.prepare(`
+        SELECT t.game_id as gameId, t.word, t.score, t.created_at as date
+        ${finishedTurns}
+          AND t.direction IN ('across', 'down')
+        ORDER BY t.score DESC, t.id ASC
+        LIMIT 1
+    `).get(playerId) || null;
+
+    const favouriteWords = db.prepare(`
+        SELECT UPPER(t.word) as word, COUNT(*) as count, MAX(t.score) as bestScore
+        ${finishedTurns}
+          AND t.direction IN ('across', 'down')
+        GROUP BY UPPER(t.word)
+        ORDER BY count DESC, bestScore DESC, word ASC
+        LIMIT ?
+    `).all(playerId, FAVOURITE_WORD_COUNT);
+
+    return {
+        id: player.id,
+        name: player.name,
+        createdAt: player.created_at,
+        archivedAt: player.archived_at,
+        gamesPlayed: games.length,
+        gamesInProgress: inProgress,
+        wins: count('win'),
+        losses: count('loss'),
+        ties: count('tie'),
+        winRate: games.length > 0 ? round(count('win') / games.length) : 0,
+        averageScore: games.length > 0 ? round(games.reduce((sum, game) => sum + game.score, 0) / games.length) : 0,
+        bestGame: bestGame ? { gameId: bestGame.gameId, score: bestGame.score, date: bestGame.date } : null,
+        turnsTaken: turnTotals.turns,
+        averagePointsPerTurn: turnTotals.turns > 0 ? round(turnTotals.points / turnTotals.turns) : 0,
+        bingos,
+        bestTurn,
+        rating: ratings.getPlayerRating(db, playerId),
+        favouriteWords,
+        recentForm: games.slice(0, RECENT_FORM_GAMES)
+    };
+}
+
+// Longest run of the given result in games listed oldest first
+function longestRun(games, result) {
+    let longest = 0;
+    let current = 0;
+    games.forEach(game => {
+        current = game.result === result ? current + 1 : 0;
+        longest = Math.max(longest, current);
+    });
+    return longest;
+}
+
+// Record between two players over the finished games they both played. In games with more
+// players, the recorded winner beats the other; otherwise the higher score does.
+function getHeadToHead(db, playerId, opponentId) {
+    const games = getFinishedGames(db, playerId)
+        .filter(game => game.opponents.some(opponent => opponent.id === opponentId))
+        .map(game => {
+            const opponentScore = game.opponents.find(opponent => opponent.id === opponentId).score;
+            let result;
+            if (game.result === 'win') {
+                result = 'win';
+            } else if (game.winnerId === opponentId) {
+                result = 'loss';
+            } else if (game.score === opponentScore) {
+                result = 'tie';
+            } else {
+                result = game.score > opponentScore ? 'win' : 'loss';
+            }
+
+            return {
+                gameId: game.gameId,
+                date: game.date,
+                result,
+                score: game.score,
+                opponentScore,
+                spread: game.score - opponentScore,
+                playerCount: game.opponents.length + 1
+            };
+        });
+
+    const count = result => games.filter(game => game.result === result).length;
+    const biggest = result => games
+        .filter(game => game.result === result)
+        .reduce((best, game) => (!best || Math.abs(game.spread) > Math.abs(best.spread) ? game : best), null);
+    const oldestFirst = [...games].reverse();
+
+    let currentStreak = null;
+    if (games.length > 0 && games[0].result !== 'tie') {
+        const length = games.findIndex(game => game.result !== games[0].result);
+        currentStreak = {
+            playerId: games[0].result === 'win' ? playerId : opponentId,
+            length: length === -1 ? games.length : length
+        };
+    }
+
+    return {
+        gamesPlayed: games.length,
+        wins: count('win'),
+        losses: count('loss'),
+        ties: count('tie'),
+        averageSpread: games.length > 0 ? round(games.reduce((sum, game) => sum + game.spread, 0) / games.length) : 0,
+        largestWin: biggest('win'),
+        largestLoss: biggest('loss'),
+        longestWinStreak: longestRun(oldestFirst, 'win'),
+        longestLossStreak: longestRun(oldestFirst, 'loss'),
+        currentStreak,
+        games
+    };
+}
+
+module.exports = {
+    getFinishedGames,
+    getPlayerProfile,
+    getHeadToHead
+};
@@ -0,0 +1,72 @@
+// Player names are stored in title case ("Ann Lee") and matched ignoring case, which the
+// unique idx_players_name_lower index enforces.
+
+// Anything that is not a name comes back as '', which callers reject
+function canonicalizePlayerName(name) {
+    if (!name || typeof name !== 'string') {
+        return '';
+    }
+
+    return name
+        .trim()
+        .replace(/\s+/g, ' ')
+        .split(' ')
+        .filter(Boolean)
+        .map(part => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase())
+        .join(' ');
+}
+
+// Player with this name in any letter case, created if there isn't one
+function findOrCreatePlayer(db, name) {
+    const getPlayerByLower = db.prepare('SELECT id, name FROM players WHERE LOWER(name) = LOWER(?)');
+    let player = getPlayerByLower.get(name);
+
+    if (!player) {
+        try {
+            db.prepare('INSERT INTO players (name) VALUES (?)').run(name);
+        } catch (error) {
+            if (error.code !== 'SQLITE_CONSTRAINT_UNIQUE') {
+                throw error;
+            }
+        }
+        player = getPlayerByLower.get(name);
+    }
+
+    return player;
+}
+
+// Games that both players took part in, which stop them being merged
+function findSharedGames(db, playerId, otherId) {
+    return db.prepare(`
+        SELECT game_id FROM game_players
+        WHERE player_id = ? AND game_id IN (SELECT game_id FROM game_players WHERE player_id = ?)
+        ORDER BY game_id
+    `).all(playerId, otherId).map(row => row.game_id);
+}
+
+// Moves everything recorded for one player onto another and deletes the first, inside the
+// caller's transaction. Turns taken off by a rewind are kept as JSON, so those are rewritten too.
+// The first player's ratings are dropped; the caller recomputes the ladder.
+function mergePlayers(db, fromId, intoId) {
+    const moved = {
+        games: db.prepare('UPDATE game_players SET player_id = ? WHERE player_id = ?').run(intoId, fromId).changes,
+        turns: db.prepare('UPDATE turns SET player_id = ? WHERE player_id = ?').run(intoId, fromId).changes,
+        wins: db.prepare('UPDATE games SET winner_id = ? WHERE winner_id = ?').run(intoId, fromId).changes
+    };
+    db.prepare('UPDATE rewinds SET previous_winner_id = ? WHERE previous_winner_id = ?').run(intoId, fromId);
+    db.prepare(`
+        UPDATE archived_turns
+        SET turn_data = json_set(turn_data, '$.player_id', ?)
+        WHERE json_extract(turn_data, '$.player_id') = ?
+    `).run(intoId, fromId);
+    db.prepare('DELETE FROM rating_history WHERE player_id = ?').run(fromId);
+    db.prepare('DELETE FROM players WHERE id = ?').run(fromId);
+    return moved;
+}
+
+module.exports = {
+    canonicalizePlayerName,
+    findOrCreatePlayer,
+    findSharedGames,
+    mergePlayers
+};
@@ -0,0 +1,199 @@
+// Household ladder using Elo. Each finished game (not in the trash) is rated once, in the
+// order games were rated, and every player's rating before and after it is kept in
+// rating_history. A game with more than two players counts as a result between each pair,
+// with K shared out so a game is worth the same however many played. The recorded winner
+// beats everyone; other pairs are decided by score.
+const INITIAL_RATING = 1500;
+const K_FACTOR = 32;
+
+function expectedScore(rating, opponentRating) {
+    return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+// 1 if a beat b, 0.5 for a tie, 0 if b won
+function pairResult(a, b, winnerId) {
+    if (winnerId === a.playerId) return 1;
+    if (winnerId === b.playerId) return 0;
+    if (a.score === b.score) return 0.5;
+    return a.score > b.score ? 1 : 0;
+}
+
+function getRatableGame(db, gameId) {
+    const game = db.prepare(`
+        SELECT id, winner_id, created_at FROM games
+        WHERE id = ? AND status = 'finished' AND deleted_at IS NULL
+    `).get(gameId);
+    if (!game) {
+        return null;
+    }
+
+    const players = db.prepare('SELECT player_id as playerId, score FROM game_players WHERE game_id = ? ORDER BY turn_order').all(gameId);
+    return players.length >= 2 ? { ...game, players } : null;
+}
+
+// Rates one game from the players' current ratings (playerId -> { rating, gamesRated }),
+// records it and updates the map
+function rateGame(db, game, current, ratedAt) {
+    const kFactor = K_FACTOR / (game.players.length - 1);
+    const before = new Map(game.players.map(player => [player.playerId, current.get(player.playerId) || { rating: INITIAL_RATING, gamesRated: 0 }]));
+
+    const insert = db.prepare(`
+        INSERT INTO rating_history (game_id, player_id, rating_before, rating_after, games_rated, rated_at)
+        VALUES (?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+    `);
+
+    game.players.forEach(player => {
+        const { rating, gamesRated } = before.get(player.playerId);
+        const change = game.players
+            .filter(opponent => opponent.playerId !== player.playerId)
+            .reduce((sum, opponent) => sum + kFactor * (
+                pairResult(player, opponent, game.winner_id) - expectedScore(rating, before.get(opponent.playerId).rating)
+            ), 0);
+
+        insert.run(game.id, player.playerId, rating, rating + change, gamesRated + 1, ratedAt);
+        current.set(player.playerId, { rating: rating + change, gamesRated: gamesRated + 1 });
+    });
+}
+
+// Latest rating of each rated player
+function getCurrentRatings(db) {
+    const rows = db.prepare(`
+        SELECT player_id, rating_after, games_rated FROM rating_history
+        WHERE id IN (SELECT MAX(id) FROM rating_history GROUP BY player_id)
+    `).all();
+    return new Map(rows.map(row => [row.player_id, { rating: row.rating_after, gamesRated: row.games_rated }]));
+}
+
+// Throws away every rating and replays the ladder. Games keep the place they were first
+// rated in; games never rated are placed by when they started.
+function recomputeRatings(db) {
+    return db.transaction(() => {
+        const games = db.prepare(`
+            SELECT g.id, COALESCE((SELECT MIN(r.rated_at) FROM rating_history r WHERE r.game_id = g.id), g.created_at) as rated_at
+            FROM games g
+            WHERE g.status = 'finished' AND g.deleted_at IS NULL
+            ORDER BY rated_at, g.id
+        `).all();
+
+        db.prepare('DELETE FROM rating_history').run();
+
+        const current = new Map();
+        let gamesRated = 0;
+        games.forEach(({ id, rated_at: ratedAt }) => {
+            const game = getRatableGame(db, id);
+            if (game) {
+                rateGame(db, game, current, ratedAt);
+                gamesRated++;
+            }
+        });
+
+        return { gamesRated, playersRated: current.size };
+    })();
+}
+
+function getGameRatingChanges(db, gameId) {
+    return db.prepare(`
+        SELECT player_id as playerId, rating_before as before, rating_after as after
+        FROM rating_history WHERE game_id = ? ORDER BY id
+    `).all(gameId).map(change => ({
+        playerId: change.playerId,
+        before: Math.round(change.before),
+        after: Math.round(change.after)
+    }));
+}
+
+// Brings the ladder up to date after a game changed: a newly finished game is rated on top
+// of the current ratings, and a game that was already rated (its result may have changed, or
+// it is no longer finished) has the ladder replayed. Returns the game's rating changes.
+function syncGame(db, gameId) {
+    const alreadyRated = db.prepare('SELECT 1 FROM rating_history WHERE game_id = ? LIMIT 1').get(gameId);
+    if (alreadyRated) {
+        recomputeRatings(db);
+    } else {
+        const game = getRatableGame(db, gameId);
+        if (!game) {
+            return [];
+        }
+        rateGame(db, game, getCurrentRatings(db), null);
+    }
+    return getGameRatingChanges(db, gameId);
+}
+
+// Rates finished games that have no ratings yet, e.g. after upgrading or importing
+function ensureRatings(db) {
+    const { unrated } = db.prepare(`
+        SELECT COUNT(*) as unrated FROM games g
+        WHERE g.status = 'finished' AND g.deleted_at IS NULL
+          AND NOT EXISTS (SELECT 1 FROM rating_history r WHERE r.game_id = g.id)
+          AND (SELECT COUNT(*) FROM game_players gp WHERE gp.game_id = g.id) >= 2
+    `).get();
+    return unrated > 0 ? recomputeRatings(db) : null;
+}
+
+function getPlayerRating(db, playerId) {
+    const row = db.prepare(`
+        SELECT rating_after as rating, games_rated as gamesRated,
+               (SELECT MAX(rating_after) FROM rating_history WHERE player_id = ?) as peak
+        FROM rating_history WHERE player_id = ?
+        ORDER BY id DESC LIMIT 1
+    `).get(playerId, playerId);
+    return row
+        ? { rating: Math.round(row.rating), gamesRated: row.gamesRated, peak: Math.round(row.peak) }
+        : null;
+}
+
+// Leaderboard of rated players, highest first, and each player's rating after every game
+function getLadder(db, { includeArchived = false, playerId = null } = {}) {
+    const rows = db.prepare(`
+        SELECT r.game_id, r.player_id, r.rating_before, r.rating_after, r.games_rated, r.rated_at,
+               p.name, p.archived_at
+        FROM rating_history r
+        JOIN players p ON r.player_id = p.id
+        ORDER BY r.id
+    `).all();
+
+    const players = new Map();
+    rows.forEach(row => {
+        if (!includeArchived && row.archived_at) return;
+        if (!players.has(row.player_id)) {
+            players.set(row.player_id, { playerId: row.player_id, name: row.name, points: [], peak: row.rating_after });
+        }
+        const player = players.get(row.player_id);
+        player.points.push({ gameId: row.game_id, ratedAt: row.rated_at, rating: Math.round(row.rating_after) });
+        player.peak = Math.max(player.peak, row.rating_after);
+        player.last = row;
+    });
+
+    const leaderboard = [...players.values()]
+        .map(player => ({
+            playerId: player.playerId,
+            name: player.name,
+            rating: Math.round(player.last.rating_after),
+            gamesRated: player.last.games_rated,
+            peakRating: Math.round(player.peak),
+            lastChange: Math.round(player.last.rating_after - player.last.rating_before),
+            lastRatedAt: player.last.rated_at
+        }))
+        .sort((a, b) => b.rating - a.rating || a.name.localeCompare(b.name))
+        .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+    const series = [...players.values()]
+        .filter(player => playerId === null || player.playerId === playerId)
+        .map(player => ({ playerId: player.playerId, name: player.name, points: player.points }));
+
+    return {
+        system: { name: 'elo', initialRating: INITIAL_RATING, kFactor: K_FACTOR },
+        leaderboard,
+        series
+    };
+}
+
+module.exports = {
+    INITIAL_RATING,
+    K_FACTOR,
+    syncGame,
+    recomputeRatings,
+    ensureRatings,
+    getPlayerRating,
+    getLadder
+};
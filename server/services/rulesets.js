@@ -0,0 +1,141 @@
+// Game rulesets: letter values, premium squares, tile distribution and bingo bonus.
+// A game stores only its overrides; anything left out falls back to the standard rules,
+// with letter values and tiles taken from the game's dictionary language.
+
+const { TILE_SETS, DEFAULT_TILE_SET, getTileSet, getTileSetName } = require('./tileSets');
+
+const BOARD_SIZE = 15;
+const PREMIUM_SQUARES = ['', 'DLS', 'TLS', 'DWS', 'TWS'];
+
+const STANDARD_RULESET = Object.freeze({
+    name: 'standard',
+    bingoBonus: 50,
+    rackSize: 7,
+    tileSet: DEFAULT_TILE_SET,
+    letterScores: TILE_SETS[DEFAULT_TILE_SET].letterScores,
+    tileDistribution: TILE_SETS[DEFAULT_TILE_SET].tileDistribution,
+    boardLayout: [
+        ['TWS', '', '', 'DLS', '', '', '', 'TWS', '', '', '', 'DLS', '', '', 'TWS'],
+        ['', 'DWS', '', '', '', 'TLS', '', '', '', 'TLS', '', '', '', 'DWS', ''],
+        ['', '', 'DWS', '', '', '', 'DLS', '', 'DLS', '', '', '', 'DWS', '', ''],
+        ['DLS', '', '', 'DWS', '', '', '', 'DLS', '', '', '', 'DWS', '', '', 'DLS'],
+        ['', '', '', '', 'DWS', '', '', '', '', '', 'DWS', '', '', '', ''],
+        ['', 'TLS', '', '', '', 'TLS', '', '', '', 'TLS', '', '', '', 'TLS', ''],
+        ['', '', 'DLS', '', '', '', 'DLS', '', 'DLS', '', '', '', 'DLS', '', ''],
+        ['TWS', '', '', 'DLS', '', '', '', 'DWS', '', '', '', 'DLS', '', '', 'TWS'],
+        ['', '', 'DLS', '', '', '', 'DLS', '', 'DLS', '', '', '', 'DLS', '', ''],
+        ['', 'TLS', '', '', '', 'TLS', '', '', '', 'TLS', '', '', '', 'TLS', ''],
+        ['', '', '', '', 'DWS', '', '', '', '', '', 'DWS', '', '', '', ''],
+        ['DLS', '', '', 'DWS', '', '', '', 'DLS', '', '', '', 'DWS', '', '', 'DLS'],
+        ['', '', 'DWS', '', '', '', 'DLS', '', 'DLS', '', '', '', 'DWS', '', ''],
+        ['', 'DWS', '', '', '', 'TLS', '', '', '', 'TLS', '', '', '', 'DWS', ''],
+        ['TWS', '', '', 'DLS', '', '', '', 'TWS', '', '', '', 'DLS', '', '', 'TWS']
+    ]
+});
+
+function isNonNegativeInteger(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+function validateTileMap(map, label) {
+    if (!map || typeof map !== 'object' || Array.isArray(map)) {
+        return `${label} must map tiles to numbers`;
+    }
+    const badEntry = Object.entries(map).find(([tile, value]) => !tile || !isNonNegativeInteger(value));
+    if (badEntry) {
+        return `${label} has an invalid entry for "${badEntry[0]}"`;
+    }
+    return null;
+}
+
+// Check a set of ruleset overrides; returns an error message or null
+function validateRuleset(overrides) {
+    if (overrides === null || overrides === undefined) {
+        return null;
+    }
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return 'Ruleset must be an object';
+    }
+
+    if (overrides.name !== undefined && typeof overrides.name !== 'string') {
+        return 'Ruleset name must be a string';
+    }
+
+    if (overrides.bingoBonus !== undefined && !isNonNegativeInteger(overrides.bingoBonus)) {
+        return 'bingoBonus must be a non-negative whole number';
+    }
+
+    if (overrides.letterScores !== undefined) {
+        const error = validateTileMap(overrides.letterScores, 'letterScores');
+        if (error) return error;
+    }
+
+    if (overrides.tileDistribution !== undefined) {
+        const error = validateTileMap(overrides.tileDistribution, 'tileDistribution');
+        if (error) return error;
+    }
+
+    if (overrides.boardLayout !== undefined) {
+        const layout = overrides.boardLayout;
+        const validShape = Array.isArray(layout) && layout.length === BOARD_SIZE &&
+            layout.every(row => Array.isArray(row) && row.length === BOARD_SIZE);
+        if (!validShape) {
+            return `boardLayout must be ${BOARD_SIZE} rows of ${BOARD_SIZE} squares`;
+        }
+        const badSquare = layout.flat().find(square => !PREMIUM_SQUARES.includes(square));
+        if (badSquare !== undefined) {
+            return `boardLayout has an unknown premium square: "${badSquare}"`;
+        }
+    }
+
+    return null;
+}
+
+// Full ruleset for a game: the standard rules in the given tile set with the game's overrides applied
+function resolveRuleset(overrides, tileSetName = DEFAULT_TILE_SET) {
+    const tileSet = getTileSet(tileSetName);
+    const ruleset = {
+        ...STANDARD_RULESET,
+        tileSet: TILE_SETS[tileSetName] ? tileSetName : DEFAULT_TILE_SET,
+        letterScores: { ...tileSet.letterScores },
+        tileDistribution: { ...tileSet.tileDistribution },
+        boardLayout: STANDARD_RULESET.boardLayout.map(row => [...row])
+    };
+
+    if (!overrides) {
+        return ruleset;
+    }
+
+    ruleset.name = overrides.name || 'custom';
+    if (overrides.bingoBonus !== undefined) ruleset.bingoBonus = overrides.bingoBonus;
+    if (overrides.boardLayout) ruleset.boardLayout = overrides.boardLayout.map(row => [...row]);
+
+    // Letter values are merged so a variant can change a single tile
+    if (overrides.letterScores) Object.assign(ruleset.letterScores, overrides.letterScores);
+
+    // A distribution describes the whole bag, so it replaces the standard one
+    if (overrides.tileDistribution) ruleset.tileDistribution = { ...overrides.tileDistribution };
+
+    return ruleset;
+}
+
+// Read the ruleset stored on a games row (JSON overrides or NULL) for the game's dictionary locale
+function parseGameRuleset(rulesetJson, locale = null) {
+    const tileSetName = getTileSetName(locale);
+    if (!rulesetJson) {
+        return resolveRuleset(null, tileSetName);
+    }
+    try {
+        return resolveRuleset(JSON.parse(rulesetJson), tileSetName);
+    } catch (error) {
+        console.error('Invalid ruleset stored on game, using standard rules:', error.message);
+        return resolveRuleset(null, tileSetName);
+    }
+}
+
+module.exports = {
+    STANDARD_RULESET,
+    validateRuleset,
+    resolveRuleset,
+    parseGameRuleset
+};
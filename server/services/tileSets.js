@@ -0,0 +1,173 @@
+// Letter values and tile distributions for each dictionary language.
+// Keys match the `folder` of the locales in dictionaryManager's SUPPORTED_DICTIONARIES.
+// Multi-letter keys are single digraph tiles (e.g. Spanish CH); '_' is a blank.
+
+const dictionaryManager = require('./dictionaryManager');
+
+const TILE_SETS = {
+    en: {
+        language: 'English',
+        letterScores: {
+            'A': 1, 'B': 3, 'C': 3, 'D': 2, 'E': 1, 'F': 4, 'G': 2, 'H': 4, 'I': 1, 'J': 8,
+            'K': 5, 'L': 1, 'M': 3, 'N': 1, 'O': 1, 'P': 3, 'Q': 10, 'R': 1, 'S': 1, 'T': 1,
+            'U': 1, 'V': 4, 'W': 4, 'X': 8, 'Y': 4, 'Z': 10
+        },
+        tileDistribution: {
+            'A': 9, 'B': 2, 'C': 2, 'D': 4, 'E': 12, 'F': 2, 'G': 3, 'H': 2, 'I': 9, 'J': 1,
+            'K': 1, 'L': 4, 'M': 2, 'N': 6, 'O': 8, 'P': 2, 'Q': 1, 'R': 6, 'S': 4, 'T': 6,
+            'U': 4, 'V': 2, 'W': 2, 'X': 1, 'Y': 2, 'Z': 1, '_': 2
+        }
+    },
+    fr: {
+        language: 'French',
+        letterScores: {
+            'A': 1, 'B': 3, 'C': 3, 'D': 2, 'E': 1, 'F': 4, 'G': 2, 'H': 4, 'I': 1, 'J': 8,
+            'K': 10, 'L': 1, 'M': 2, 'N': 1, 'O': 1, 'P': 3, 'Q': 8, 'R': 1, 'S': 1, 'T': 1,
+            'U': 1, 'V': 4, 'W': 10, 'X': 10, 'Y': 10, 'Z': 10
+        },
+        tileDistribution: {
+            'A': 9, 'B': 2, 'C': 2, 'D': 3, 'E': 15, 'F': 2, 'G': 2, 'H': 2, 'I': 8, 'J': 1,
+            'K': 1, 'L': 5, 'M': 3, 'N': 6, 'O': 6, 'P': 2, 'Q': 1, 'R': 6, 'S': 6, 'T': 6,
+            'U': 6, 'V': 2, 'W': 1, 'X': 1, 'Y': 1, 'Z': 1, '_': 2
+        }
+    },
+    de: {
+        language: 'German',
+        letterScores: {
+            'A': 1, 'Ä': 6, 'B': 3, 'C': 4, 'D': 1, 'E': 1, 'F': 4, 'G': 2, 'H': 2, 'I': 1,
+            'J': 6, 'K': 4, 'L': 2, 'M': 3, 'N': 1, 'O': 2, 'Ö': 8, 'P': 4, 'Q': 10, 'R': 1,
+            'S': 1, 'T': 1, 'U': 1, 'Ü': 6, 'V': 6, 'W': 3, 'X': 8, 'Y': 10, 'Z': 3
+        },
+        tileDistribution: {
+            'A': 5, 'Ä': 1, 'B': 2, 'C': 2, 'D': 4, 'E': 15, 'F': 2, 'G': 3, 'H': 4, 'I': 6,
+            'J': 1, 'K': 2, 'L': 3, 'M': 4, 'N': 9, 'O': 3, 'Ö': 1, 'P': 1, 'Q': 1, 'R': 6,
+            'S': 7, 'T': 6, 'U': 6, 'Ü': 1, 'V': 1, 'W': 1, 'X': 1, 'Y': 1, 'Z': 1, '_': 2
+        }
+    },
+    es: {
+        language: 'Spanish',
+        letterScores: {
+            'A': 1, 'B': 3, 'C': 3, 'CH': 5, 'D': 2, 'E': 1, 'F': 4, 'G': 2, 'H': 4, 'I': 1,
+            'J': 8, 'L': 1, 'LL': 8, 'M': 3, 'N': 1, 'Ñ': 8, 'O': 1, 'P': 3, 'Q': 5, 'R': 1,
+            'RR': 8, 'S': 1, 'T': 1, 'U': 1, 'V': 4, 'X': 8, 'Y': 4, 'Z': 10
+        },
+        tileDistribution: {
+            'A': 12, 'B': 2, 'C': 4, 'CH': 1, 'D': 5, 'E': 12, 'F': 1, 'G': 2, 'H': 2, 'I': 6,
+            'J': 1, 'L': 4, 'LL': 1, 'M': 2, 'N': 5, 'Ñ': 1, 'O': 9, 'P': 2, 'Q': 1, 'R': 5,
+            'RR': 1, 'S': 6, 'T': 4, 'U': 5, 'V': 1, 'X': 1, 'Y': 1, 'Z': 1, '_': 2
+        }
+    },
+    it: {
+        language: 'Italian',
+        letterScores: {
+            'A': 1, 'B': 5, 'C': 2, 'D': 5, 'E': 1, 'F': 5, 'G': 8, 'H': 8, 'I': 1, 'L': 3,
+            'M': 3, 'N': 3, 'O': 1, 'P': 5, 'Q': 10, 'R': 2, 'S': 2, 'T': 2, 'U': 3, 'V': 5,
+            'Z': 8
+        },
+        tileDistribution: {
+            'A': 14, 'B': 3, 'C': 6, 'D': 3, 'E': 11, 'F': 3, 'G': 2, 'H': 2, 'I': 12, 'L': 5,
+            'M': 5, 'N': 5, 'O': 15, 'P': 3, 'Q': 1, 'R': 6, 'S': 6, 'T': 6, 'U': 5, 'V': 3,
+            'Z': 2, '_': 2
+        }
+    },
+    pt: {
+        language: 'Portuguese',
+        letterScores: {
+            'A': 1, 'B': 3, 'C': 2, 'Ç': 3, 'D': 2, 'E': 1, 'F': 4, 'G': 4, 'H': 4, 'I': 1,
+            'J': 5, 'L': 2, 'M': 1, 'N': 3, 'O': 1, 'P': 2, 'Q': 6, 'R': 1, 'S': 1, 'T': 1,
+            'U': 1, 'V': 4, 'X': 8, 'Z': 8
+        },
+        tileDistribution: {
+            'A': 14, 'B': 3, 'C': 4, 'Ç': 2, 'D': 5, 'E': 11, 'F': 2, 'G': 2, 'H': 2, 'I': 10,
+            'J': 2, 'L': 5, 'M': 6, 'N': 4, 'O': 10, 'P': 4, 'Q': 1, 'R': 6, 'S': 8, 'T': 5,
+            'U': 7, 'V': 2, 'X': 1, 'Z': 1, '_': 3
+        }
+    },
+    nl: {
+        language: 'Dutch',
+        letterScores: {
+            'A': 1, 'B': 3, 'C': 5, 'D': 2, 'E': 1, 'F': 4, 'G': 3, 'H': 4, 'I': 1, 'J': 4,
+            'K': 3, 'L': 3, 'M': 3, 'N': 1, 'O': 1, 'P': 3, 'Q': 10, 'R': 2, 'S': 2, 'T': 2,
+            'U': 4, 'V': 4, 'W': 5, 'X': 8, 'Y': 8, 'Z': 4
+        },
+        tileDistribution: {
+            'A': 6, 'B': 2, 'C': 2, 'D': 5, 'E': 18, 'F': 2, 'G': 3, 'H': 2, 'I': 4, 'J': 2,
+            'K': 3, 'L': 3, 'M': 3, 'N': 10, 'O': 6, 'P': 2, 'Q': 1, 'R': 5, 'S': 5, 'T': 5,
+            'U': 3, 'V': 2, 'W': 2, 'X': 1, 'Y': 1, 'Z': 2, '_': 2
+        }
+    },
+    sv: {
+        language: 'Swedish',
+        letterScores: {
+            'A': 1, 'B': 4, 'C': 8, 'D': 1, 'E': 1, 'F': 3, 'G': 2, 'H': 2, 'I': 1, 'J': 7,
+            'K': 2, 'L': 1, 'M': 2, 'N': 1, 'O': 2, 'P': 4, 'R': 1, 'S': 1, 'T': 1, 'U': 4,
+            'V': 3, 'X': 8, 'Y': 7, 'Z': 10, 'Å': 4, 'Ä': 3, 'Ö': 4
+        },
+        tileDistribution: {
+            'A': 8, 'B': 2, 'C': 1, 'D': 5, 'E': 7, 'F': 2, 'G': 3, 'H': 2, 'I': 5, 'J': 1,
+            'K': 3, 'L': 5, 'M': 3, 'N': 6, 'O': 5, 'P': 2, 'R': 8, 'S': 8, 'T': 8, 'U': 3,
+            'V': 2, 'X': 1, 'Y': 1, 'Z': 1, 'Å': 2, 'Ä': 2, 'Ö': 2, '_': 2
+        }
+    },
+    no: {
+        language: 'Norwegian',
+        letterScores: {
+            'A': 1, 'B': 4, 'C': 10, 'D': 1, 'E': 1, 'F': 2, 'G': 2, 'H': 3, 'I': 1, 'J': 4,
+            'K': 2, 'L': 1, 'M': 2, 'N': 1, 'O': 2, 'P': 4, 'R': 1, 'S': 1, 'T': 1, 'U': 4,
+            'V': 4, 'W': 8, 'Y': 6, 'Æ': 6, 'Ø': 5, 'Å': 4
+        },
+        tileDistribution: {
+            'A': 7, 'B': 3, 'C': 1, 'D': 5, 'E': 9, 'F': 4, 'G': 4, 'H': 3, 'I': 5, 'J': 2,
+            'K': 4, 'L': 5, 'M': 3, 'N': 6, 'O': 4, 'P': 2, 'R': 6, 'S': 6, 'T': 6, 'U': 3,
+            'V': 3, 'W': 1, 'Y': 1, 'Æ': 1, 'Ø': 2, 'Å': 2, '_': 2
+        }
+    },
+    pl: {
+        language: 'Polish',
+        letterScores: {
+            'A': 1, 'Ą': 5, 'B': 3, 'C': 2, 'Ć': 6, 'D': 2, 'E': 1, 'Ę': 5, 'F': 5, 'G': 3,
+            'H': 3, 'I': 1, 'J': 3, 'K': 2, 'L': 2, 'Ł': 3, 'M': 2, 'N': 1, 'Ń': 7, 'O': 1,
+            'Ó': 5, 'P': 2, 'R': 1, 'S': 1, 'Ś': 5, 'T': 2, 'U': 3, 'W': 1, 'Y': 2, 'Z': 1,
+            'Ź': 9, 'Ż': 5
+        },
+        tileDistribution: {
+            'A': 9, 'Ą': 1, 'B': 2, 'C': 3, 'Ć': 1, 'D': 3, 'E': 7, 'Ę': 1, 'F': 1, 'G': 2,
+            'H': 2, 'I': 8, 'J': 2, 'K': 3, 'L': 3, 'Ł': 2, 'M': 3, 'N': 5, 'Ń': 1, 'O': 6,
+            'Ó': 1, 'P': 3, 'R': 4, 'S': 4, 'Ś': 1, 'T': 3, 'U': 2, 'W': 4, 'Y': 4, 'Z': 5,
+            'Ź': 1, 'Ż': 1, '_': 2
+        }
+    },
+    ca: {
+        language: 'Catalan',
+        letterScores: {
+            'A': 1, 'B': 3, 'C': 2, 'Ç': 10, 'D': 2, 'E': 1, 'F': 4, 'G': 3, 'H': 8, 'I': 1,
+            'J': 8, 'L': 1, 'L·L': 10, 'M': 2, 'N': 1, 'NY': 10, 'O': 1, 'P': 3, 'Q': 8, 'R': 1,
+            'S': 1, 'T': 1, 'U': 1, 'V': 4, 'X': 10, 'Z': 8
+        },
+        tileDistribution: {
+            'A': 12, 'B': 2, 'C': 3, 'Ç': 1, 'D': 3, 'E': 13, 'F': 1, 'G': 2, 'H': 1, 'I': 8,
+            'J': 1, 'L': 4, 'L·L': 1, 'M': 3, 'N': 6, 'NY': 1, 'O': 5, 'P': 2, 'Q': 1, 'R': 8,
+            'S': 8, 'T': 5, 'U': 4, 'V': 1, 'X': 1, 'Z': 1, '_': 2
+        }
+    }
+};
+
+const DEFAULT_TILE_SET = 'en';
+
+// Languages without a bundled tile set fall back to the English one
+function getTileSetName(locale) {
+    const metadata = locale ? dictionaryManager.getLocaleMetadata(locale) : null;
+    const folder = metadata ? metadata.folder : String(locale || '').split(/[_-]/)[0].toLowerCase();
+    return TILE_SETS[folder] ? folder : DEFAULT_TILE_SET;
+}
+
+function getTileSet(name) {
+    return TILE_SETS[name] || TILE_SETS[DEFAULT_TILE_SET];
+}
+
+module.exports = {
+    TILE_SETS,
+    DEFAULT_TILE_SET,
+    getTileSetName,
+    getTileSet
+};
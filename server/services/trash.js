@@ -0,0 +1,79 @@
+const { getDatabase } = require('../database/init');
+
+// Deleting a game moves it to the trash by setting games.deleted_at. Trashed games are left
+// out of the history list and statistics, can be restored, and are purged for good once
+// they have been in the trash for TRASH_RETENTION_DAYS (0 keeps them until purged by hand).
+const TRASH_RETENTION_DAYS = process.env.TRASH_RETENTION_DAYS === undefined ? 30 : Number(process.env.TRASH_RETENTION_DAYS);
+const PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+let purgeTimer = null;
+
+function getRetentionDays() {
+    return TRASH_RETENTION_DAYS > 0 ? TRASH_RETENTION_DAYS : 0;
+}
+
+// Removes a game and everything recorded for it, inside the caller's transaction
+function purgeGame(db, gameId) {
+    db.prepare(`
+        DELETE FROM archived_turns
+        WHERE rewind_id IN (SELECT id FROM rewinds WHERE game_id = ?)
+    `).run(gameId);
+    db.prepare('DELETE FROM rewinds WHERE game_id = ?').run(gameId);
+    db.prepare('DELETE FROM rating_history WHERE game_id = ?').run(gameId);
+    db.prepare('DELETE FROM turns WHERE game_id = ?').run(gameId);
+    db.prepare('DELETE FROM game_players WHERE game_id = ?').run(gameId);
+    return db.prepare('DELETE FROM games WHERE id = ?').run(gameId).changes > 0;
+}
+
+// Purges every game that has been in the trash longer than the retention period
+function purgeExpiredGames(db, days = getRetentionDays()) {
+    if (!(days > 0)) {
+        return [];
+    }
+
+    const expired = db.prepare(`
+        SELECT id FROM games
+        WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)
+    `).all(`-${days} days`).map(row => row.id);
+
+    db.transaction(() => expired.forEach(gameId => purgeGame(db, gameId)))();
+    return expired;
+}
+
+function runScheduledPurge() {
+    try {
+        const purged = purgeExpiredGames(getDatabase());
+        if (purged.length > 0) {
+            console.log(`[SERVER] Purged ${purged.length} game(s) from the trash: ${purged.join(', ')}`);
+        }
+    } catch (error) {
+        console.error('[SERVER] Trash purge failed:', error.message);
+    }
+}
+
+// Purges once at start-up and then every few hours
+function startPurgeSchedule() {
+    if (!(TRASH_RETENTION_DAYS > 0)) {
+        console.log('[SERVER] Trashed games are kept until purged by hand');
+        return;
+    }
+    runScheduledPurge();
+    purgeTimer = setInterval(runScheduledPurge, PURGE_INTERVAL_MS);
+    purgeTimer.unref();
+    console.log(`[SERVER] Trashed games are purged after ${TRASH_RETENTION_DAYS} days`);
+}
+
+function stopPurgeSchedule() {
+    if (purgeTimer) {
+        clearInterval(purgeTimer);
+        purgeTimer = null;
+    }
+}
+
+module.exports = {
+    getRetentionDays,
+    purgeGame,
+    purgeExpiredGames,
+    startPurgeSchedule,
+    stopPurgeSchedule
+};